@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * In-memory stand-in for the Aether backend, for trying the app without it.
+ *
+ *   node scripts/aether-stub-server.js [--port 8000]
+ *
+ * Without --port it uses AETHER_STUB_PORT, then AETHER_PORT (set by the
+ * app's backend supervisor). To let the app run it, set the backend command
+ * in Settings to `node` with args `scripts/aether-stub-server.js --port {port}`.
+ *
+ * Serves the endpoints AetherClient and AetherSync call: health, stats,
+ * edicts + webhooks, cron jobs, execution logs, consciousness, Foundry cards
+ * and reports, tasks and a streaming chat echo. Cron edicts "run" on a
+ * timer so the log tail moves. Nothing is persisted.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const portIndex = process.argv.indexOf('--port');
+const port = Number(portIndex > -1 ? process.argv[portIndex + 1] : process.env.AETHER_STUB_PORT || process.env.AETHER_PORT) || 8000;
+const startedAt = Date.now();
+
+const edicts = [
+  { name: 'create_card', description: 'Create a project card from a payload', trigger_type: 'webhook', enabled: true },
+  { name: 'add_checklist', description: 'Add checklist items to the latest card', trigger_type: 'webhook', enabled: true },
+  { name: 'generate_report', description: 'Summarise recent activity into a report', trigger_type: 'cron', schedule: '0 9 * * 1-5', enabled: true },
+  { name: 'sync_health', description: 'Ping integrations and record their status', trigger_type: 'cron', schedule: '*/15 * * * *', enabled: true },
+  { name: 'intelligent_edict', description: 'Ask the consciousness layer to triage new work', trigger_type: 'webhook', enabled: false }
+];
+
+const logs = [];
+const tasks = new Map();
+const reports = [];
+const stats = { total_executions: 0, successful_executions: 0, failed_executions: 0 };
+
+const FOUNDRY_LISTS = ['Backlog', 'In Progress', 'Review', 'Done'];
+const foundryCards = [
+  { id: 'card_1', title: 'System Integration Task', description: 'Created via Foundry OS command', list: 'In Progress', priority: 'high', tags: ['system', 'integration'] },
+  { id: 'card_2', title: 'Pizza directory ratings', description: 'Star ratings and reviews', list: 'Backlog', priority: 'medium', tags: ['pizza'] },
+  { id: 'card_3', title: 'Council verdict export', description: 'Save verdicts as Markdown', list: 'Review', priority: 'low', tags: ['council'] },
+  { id: 'card_4', title: 'Logos builder canvas', description: 'Drag-and-drop layout grid', list: 'Backlog', priority: 'high', tags: ['logos'] },
+  { id: 'card_5', title: 'Terminal tabs', description: 'Builder and Advisor sessions', list: 'Done', priority: 'medium', tags: ['terminal'] }
+].map(card => ({ ...card, created_at: new Date(startedAt).toISOString() }));
+
+function generateReport(payload) {
+  const byList = FOUNDRY_LISTS.map(list => `- ${list}: ${foundryCards.filter(card => card.list === list).length}`);
+  const report = {
+    id: `report_${reports.length + 1}`,
+    title: `Foundry report #${reports.length + 1}`,
+    created_at: new Date().toISOString(),
+    content: [
+      `# Foundry report #${reports.length + 1}`,
+      '',
+      `${foundryCards.length} cards, ${stats.total_executions} edict executions so far.`,
+      '',
+      '## Cards by list',
+      '',
+      ...byList,
+      '',
+      '## Request payload',
+      '',
+      '```json',
+      JSON.stringify(payload, null, 2),
+      '```'
+    ].join('\n')
+  };
+  reports.push(report);
+  return report;
+}
+
+function recordExecution(edictName, triggerType, context, error = null) {
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    edict_name: edictName,
+    trigger_type: triggerType,
+    status: error ? 'error' : 'success',
+    duration_ms: Math.round(20 + Math.random() * 400),
+    context,
+    error
+  };
+  logs.push(entry);
+  logs.splice(0, Math.max(0, logs.length - 500));
+
+  stats.total_executions++;
+  stats[error ? 'failed_executions' : 'successful_executions']++;
+  return entry;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function streamChat(res, message) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const words = `Stub Aether here. You said: ${message}`.split(' ');
+  let index = 0;
+  const timer = setInterval(() => {
+    if (index < words.length) {
+      res.write(`data: ${JSON.stringify({ chunk: `${index ? ' ' : ''}${words[index++]}` })}\n\n`);
+      return;
+    }
+    clearInterval(timer);
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }, 60);
+  res.on('close', () => clearInterval(timer));
+}
+
+async function route(req, res, url) {
+  const { pathname } = url;
+  const method = req.method;
+  let match;
+
+  if (method === 'GET' && pathname === '/health') {
+    return sendJson(res, 200, { status: 'operational', aether_version: 'stub' });
+  }
+  if (method === 'GET' && pathname === '/stats') {
+    return sendJson(res, 200, {
+      ...stats,
+      edicts_loaded: edicts.length,
+      edicts_enabled: edicts.filter(edict => edict.enabled).length,
+      uptime_seconds: Math.round((Date.now() - startedAt) / 1000)
+    });
+  }
+  if (method === 'GET' && pathname === '/edicts') {
+    return sendJson(res, 200, { edicts });
+  }
+  if (method === 'POST' && (match = pathname.match(/^\/webhook\/([\w-]+)$/))) {
+    const edict = edicts.find(candidate => candidate.name === match[1]);
+    if (!edict) {
+      return sendJson(res, 404, { detail: `Unknown edict: ${match[1]}` });
+    }
+    const payload = await readBody(req);
+    if (!edict.enabled) {
+      const entry = recordExecution(edict.name, 'webhook', payload, 'Edict is disabled');
+      return sendJson(res, 409, { detail: entry.error, execution_id: entry.id });
+    }
+    const entry = recordExecution(edict.name, 'webhook', payload);
+    const result = edict.name === 'generate_report' ? { report_id: generateReport(payload).id } : { received: payload };
+    return sendJson(res, 200, { status: 'success', edict_name: edict.name, execution_id: entry.id, result });
+  }
+  if (method === 'GET' && pathname === '/cron/jobs') {
+    return sendJson(res, 200, {
+      jobs: edicts
+        .filter(edict => edict.trigger_type === 'cron')
+        .map(edict => ({ id: `cron_${edict.name}`, edict_name: edict.name, schedule: edict.schedule, enabled: edict.enabled }))
+    });
+  }
+  if (method === 'GET' && pathname === '/logs') {
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 50, 500);
+    return sendJson(res, 200, { logs: logs.slice(-limit) });
+  }
+  if (method === 'GET' && pathname === '/consciousness/status') {
+    return sendJson(res, 200, {
+      consciousness_initialized: true,
+      mode: 'stub',
+      brains: { analytical: 'online', creative: 'online' },
+      last_thought_at: logs.length ? logs[logs.length - 1].timestamp : null
+    });
+  }
+  if (method === 'GET' && pathname === '/foundry/cards') {
+    return sendJson(res, 200, { lists: FOUNDRY_LISTS, cards: foundryCards, total_cards: foundryCards.length });
+  }
+  if (method === 'GET' && pathname === '/foundry/stats') {
+    return sendJson(res, 200, {
+      system_stats: {
+        total_cards: foundryCards.length,
+        completed_cards: foundryCards.filter(card => card.list === 'Done').length,
+        reports_generated: reports.length,
+        ai_actions: stats.total_executions,
+        last_activity: logs.length ? logs[logs.length - 1].timestamp : null
+      },
+      cards_by_priority: ['high', 'medium', 'low'].reduce((counts, priority) => ({
+        ...counts,
+        [priority]: foundryCards.filter(card => card.priority === priority).length
+      }), {}),
+      recent_actions: logs.slice(-5).reverse().map(log => ({ action: `${log.edict_name} (${log.trigger_type})`, timestamp: log.timestamp }))
+    });
+  }
+  if (method === 'GET' && pathname === '/foundry/reports') {
+    return sendJson(res, 200, { reports: reports.slice().reverse() });
+  }
+  if (method === 'POST' && pathname === '/consciousness/query') {
+    const { query } = await readBody(req);
+    return sendJson(res, 200, { response: `Stub consciousness considered: ${query}`, confidence: 0.5 });
+  }
+
+  // Tasks (AetherSync)
+  if (method === 'GET' && pathname === '/api/tasks') {
+    return sendJson(res, 200, { tasks: [...tasks.values()] });
+  }
+  if (method === 'POST' && pathname === '/api/tasks') {
+    const task = { ...(await readBody(req)), id: crypto.randomUUID(), updated_at: new Date().toISOString() };
+    tasks.set(task.id, task);
+    return sendJson(res, 201, task);
+  }
+  if ((match = pathname.match(/^\/api\/tasks\/([^/]+)$/))) {
+    const id = decodeURIComponent(match[1]);
+    if (!tasks.has(id)) {
+      return sendJson(res, 404, { detail: 'Task not found' });
+    }
+    if (method === 'PUT') {
+      const task = { ...tasks.get(id), ...(await readBody(req)), id, updated_at: new Date().toISOString() };
+      tasks.set(id, task);
+      return sendJson(res, 200, task);
+    }
+    if (method === 'DELETE') {
+      tasks.delete(id);
+      return sendJson(res, 200, { deleted: true });
+    }
+  }
+
+  // Chat
+  if (method === 'POST' && pathname === '/api/chat') {
+    const { message = '' } = await readBody(req);
+    return streamChat(res, message);
+  }
+  if (method === 'GET' && pathname.startsWith('/api/chat/history/')) {
+    return sendJson(res, 200, { messages: [] });
+  }
+
+  return sendJson(res, 404, { detail: `No stub for ${method} ${pathname}` });
+}
+
+const server = http.createServer(async (req, res) => {
+  // The renderer calls from a file:// page, so every response needs CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  try {
+    await route(req, res, new URL(req.url, `http://localhost:${port}`));
+  } catch (error) {
+    sendJson(res, error instanceof SyntaxError ? 400 : 500, { detail: error.message });
+  }
+  console.log(`${req.method} ${req.url} -> ${res.statusCode}`);
+});
+
+// Let the cron edicts tick every 30s so there is always something to tail
+const cronTimer = setInterval(() => {
+  edicts
+    .filter(edict => edict.trigger_type === 'cron' && edict.enabled)
+    .forEach(edict => {
+      const failed = Math.random() < 0.1;
+      recordExecution(edict.name, 'cron', { scheduled: edict.schedule }, failed ? 'Simulated failure' : null);
+    });
+}, 30000);
+
+server.listen(port, () => {
+  console.log(`🧪 Aether stub listening on http://localhost:${port}`);
+});
+
+// SIGTERM is what the app's backend supervisor sends on stop
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+  console.log(`🛑 ${signal} - shutting down`);
+  clearInterval(cronTimer);
+  server.close(() => process.exit(0));
+  // Keep-alive connections would hold close() open
+  setTimeout(() => process.exit(0), 1000).unref();
+}));
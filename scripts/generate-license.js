@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Issue a test license signed with a local key pair.
+ *
+ *   node scripts/generate-license.js --plan teams --seats 5 --days 365 \
+ *     --licensee "Test User" --email test@example.com [--out license.txt]
+ *
+ * The first run creates .license-keys/ (git-ignored) with an Ed25519 key
+ * pair. Development builds (not packaged) trust .license-keys/public.pem,
+ * so licenses from this script activate there - and nowhere else.
+ *
+ * Packaged builds trust resources/license-public.pem: the release build
+ * copies the release key's public half there (e.g. as an extraResources
+ * entry). Licenses for customers are signed with that key's private half.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { signLicense, PLANS } = require('../src/main/license');
+
+const KEY_DIR = path.resolve(__dirname, '../.license-keys');
+const PRIVATE_KEY_FILE = path.join(KEY_DIR, 'private.pem');
+const PUBLIC_KEY_FILE = path.join(KEY_DIR, 'public.pem');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const next = argv[i + 1];
+      args[argv[i].slice(2)] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+function loadOrCreatePrivateKey() {
+  if (fs.existsSync(PRIVATE_KEY_FILE)) {
+    return fs.readFileSync(PRIVATE_KEY_FILE, 'utf8');
+  }
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.mkdirSync(KEY_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(PRIVATE_KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(PUBLIC_KEY_FILE, publicKey.export({ type: 'spki', format: 'pem' }));
+  console.error(`🔑 Created test signing key pair in ${KEY_DIR}`);
+  return fs.readFileSync(PRIVATE_KEY_FILE, 'utf8');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: generate-license.js --plan free|pro|teams [--seats N] [--days N | --expires ISO] [--licensee NAME] [--email EMAIL] [--out FILE]');
+    return;
+  }
+
+  const plan = args.plan || 'pro';
+  if (!PLANS.includes(plan)) {
+    throw new Error(`--plan must be one of ${PLANS.join(', ')}`);
+  }
+  const seats = parseInt(args.seats || '1', 10);
+  if (!Number.isInteger(seats) || seats < 1) {
+    throw new Error('--seats must be a positive integer');
+  }
+
+  let expiresAt = null;
+  if (args.expires) {
+    expiresAt = new Date(args.expires).toISOString();
+  } else if (args.days) {
+    expiresAt = new Date(Date.now() + Number(args.days) * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const license = signLicense({
+    license_id: crypto.randomUUID(),
+    licensee: args.licensee || 'Test License',
+    email: args.email || null,
+    plan,
+    seats,
+    issued_at: new Date().toISOString(),
+    expires_at: expiresAt
+  }, loadOrCreatePrivateKey());
+
+  if (args.out) {
+    fs.writeFileSync(args.out, `${license}\n`);
+    console.error(`📄 License written to ${args.out}`);
+  } else {
+    console.log(license);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,142 @@
+const { EventEmitter } = require('events');
+const { requestJson } = require('./http-client');
+
+const DEFAULT_BASE_URL = 'http://localhost:8000';
+const SYNC_INTERVAL = 30000; // 30 seconds
+
+/**
+ * Keeps the local TaskStore in step with Aether's /api/tasks whenever the
+ * backend is reachable. The local store is the source of truth; a failed
+ * sync just leaves changes pending for the next attempt.
+ */
+class AetherSync extends EventEmitter {
+  constructor(taskStore, options = {}) {
+    super();
+    this.taskStore = taskStore;
+    this.baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    this.interval = options.interval || SYNC_INTERVAL;
+    this.timer = null;
+    this.isSyncing = false;
+    this.online = false;
+    this.lastSyncedAt = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.sync();
+    this.timer = setInterval(() => this.sync(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      online: this.online,
+      lastSyncedAt: this.lastSyncedAt,
+      pending: this.taskStore.getPendingTasks().length + this.taskStore.getDeletedRemoteIds().length
+    };
+  }
+
+  // Reachability shows in the renderer's sync status, from the 'status' event
+  setOnline(online) {
+    this.online = online;
+    this.emit('status', this.getStatus());
+  }
+
+  async sync() {
+    if (this.isSyncing) return this.getStatus();
+    this.isSyncing = true;
+
+    try {
+      await requestJson(`${this.baseUrl}/health`, { timeout: 3000 });
+    } catch (error) {
+      this.isSyncing = false;
+      this.setOnline(false);
+      return this.getStatus();
+    }
+
+    try {
+      await this.pushDeletions();
+      await this.pushPending();
+      await this.pull();
+      this.lastSyncedAt = new Date().toISOString();
+      this.setOnline(true);
+    } catch (error) {
+      console.error('❌ Task sync failed:', error.message);
+      this.setOnline(false);
+    } finally {
+      this.isSyncing = false;
+    }
+
+    return this.getStatus();
+  }
+
+  async pushPending() {
+    for (const task of this.taskStore.getPendingTasks()) {
+      const body = {
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        status: task.status,
+        tags: task.tags,
+        duration_minutes: task.duration_minutes,
+        deadline: task.deadline,
+        project_id: task.project_id,
+        // Lets a pull recognise the copy if the create response loses its ID
+        client_id: task.id
+      };
+
+      if (task.remote_id && await this.pushUpdate(task, body)) {
+        this.taskStore.markSynced(task.id, task.remote_id, task.updated_at);
+      } else {
+        const created = await requestJson(`${this.baseUrl}/api/tasks`, { method: 'POST', body });
+        const remoteId = created && (created.id || (created.task && created.task.id));
+        if (remoteId === undefined || remoteId === null) {
+          this.taskStore.markSyncFailed(task.id, 'The backend did not return an ID for this task');
+        } else {
+          this.taskStore.markSynced(task.id, remoteId, task.updated_at);
+        }
+      }
+    }
+  }
+
+  // False when the backend no longer has the task (deleted there)
+  async pushUpdate(task, body) {
+    try {
+      await requestJson(`${this.baseUrl}/api/tasks/${encodeURIComponent(task.remote_id)}`, { method: 'PUT', body });
+      return true;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      this.taskStore.clearRemoteId(task.id);
+      return false;
+    }
+  }
+
+  async pushDeletions() {
+    for (const remoteId of this.taskStore.getDeletedRemoteIds()) {
+      try {
+        await requestJson(`${this.baseUrl}/api/tasks/${encodeURIComponent(remoteId)}`, { method: 'DELETE' });
+      } catch (error) {
+        // Already gone on the backend - nothing left to replay
+        if (error.status !== 404) throw error;
+      }
+      this.taskStore.clearDeletedRemoteId(remoteId);
+    }
+  }
+
+  async pull() {
+    const data = await requestJson(`${this.baseUrl}/api/tasks`);
+    // Anything but a full list would read as "every task was deleted"
+    if (!data || !Array.isArray(data.tasks)) {
+      throw new Error('Unexpected /api/tasks response');
+    }
+    this.taskStore.mergeRemote(data.tasks);
+  }
+}
+
+module.exports = AetherSync;
@@ -0,0 +1,343 @@
+const { EventEmitter } = require('events');
+const childProcess = require('child_process');
+const { requestJson } = require('./http-client');
+
+const DEFAULT_BACKEND_CONFIG = {
+  command: 'python3',
+  // "{port}" in an argument is replaced with the configured port
+  args: ['-m', 'aether.main', '-c', 'aether/config.yaml'],
+  cwd: '',
+  port: 8000,
+  autoStart: false,
+  autoRestart: true
+};
+
+const HEALTH_INTERVAL = 10000;
+const HEALTH_TIMEOUT = 3000;
+const START_TIMEOUT = 30000;
+const STOP_TIMEOUT = 5000;
+const MAX_LOG_LINES = 1000;
+const MAX_RESTARTS = 5;
+const RESTART_BACKOFF = 1000;
+const RESTART_BACKOFF_MAX = 30000;
+
+/**
+ * Runs the Aether backend as a child process: start/stop/restart, /health
+ * monitoring, captured stdout/stderr and automatic restarts after a crash.
+ *
+ * A backend that is already answering on the port (started by hand) is
+ * adopted as "external" and only health-checked, never killed.
+ *
+ * Emits 'status' (status object) and 'log' (log entry).
+ */
+class BackendSupervisor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.getConfig = options.getConfig || (() => ({}));
+    this.spawn = options.spawn || childProcess.spawn;
+    this.healthInterval = options.healthInterval || HEALTH_INTERVAL;
+    this.startTimeout = options.startTimeout || START_TIMEOUT;
+    this.restartBackoff = options.restartBackoff || RESTART_BACKOFF;
+
+    this.child = null;
+    this.state = 'stopped'; // stopped | starting | running | unhealthy | stopping | crashed | external
+    this.healthy = false;
+    this.startedAt = null;
+    this.lastHealthAt = null;
+    this.exitCode = null;
+    this.error = null;
+    this.restarts = 0;
+    this.restartTimer = null;
+    this.healthTimer = null;
+    this.stopping = null;
+    // The start in progress, shared by every caller until it settles
+    this.starting = null;
+    // Bumped by stop(), so a start waiting on its health probe gives up
+    this.generation = 0;
+    this.logs = [];
+  }
+
+  getBackendConfig() {
+    return { ...DEFAULT_BACKEND_CONFIG, ...this.getConfig() };
+  }
+
+  get baseUrl() {
+    return `http://localhost:${this.getBackendConfig().port}`;
+  }
+
+  getStatus() {
+    const { port } = this.getBackendConfig();
+    return {
+      state: this.state,
+      healthy: this.healthy,
+      pid: this.child ? this.child.pid : null,
+      port,
+      startedAt: this.startedAt,
+      lastHealthAt: this.lastHealthAt,
+      exitCode: this.exitCode,
+      restarts: this.restarts,
+      error: this.error
+    };
+  }
+
+  getLogs(limit = 200) {
+    return this.logs.slice(-limit);
+  }
+
+  setState(state, error = null) {
+    this.state = state;
+    this.error = error;
+    this.emit('status', this.getStatus());
+  }
+
+  log(stream, text) {
+    String(text).split(/\r?\n/).filter(line => line.length > 0).forEach(line => {
+      const entry = { time: new Date().toISOString(), stream, line };
+      this.logs.push(entry);
+      this.emit('log', entry);
+    });
+    this.logs.splice(0, Math.max(0, this.logs.length - MAX_LOG_LINES));
+  }
+
+  async checkHealth() {
+    try {
+      await requestJson(`${this.baseUrl}/health`, { timeout: HEALTH_TIMEOUT });
+      this.lastHealthAt = new Date().toISOString();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Start the backend and wait until /health answers (or the start times out).
+   * Auto-start, the IPC call and the restart timer can overlap; they all get
+   * the same start rather than spawning a backend each.
+   */
+  start() {
+    if (!this.starting) {
+      const starting = this.launch().finally(() => {
+        if (this.starting === starting) this.starting = null;
+      });
+      this.starting = starting;
+    }
+    return this.starting;
+  }
+
+  async launch() {
+    if (this.child || this.state === 'external') {
+      return this.getStatus();
+    }
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    const generation = this.generation;
+    const alreadyRunning = await this.checkHealth();
+    if (generation !== this.generation) {
+      return this.getStatus(); // stopped while probing
+    }
+
+    // Someone else's backend is already on the port - use it, don't fight it
+    if (alreadyRunning) {
+      this.healthy = true;
+      this.log('system', `Backend already running on port ${this.getBackendConfig().port} - monitoring it`);
+      this.setState('external');
+      this.startHealthMonitor();
+      return this.getStatus();
+    }
+
+    const config = this.getBackendConfig();
+    const args = config.args.map(arg => String(arg).replace(/\{port\}/g, config.port));
+    this.log('system', `$ ${[config.command, ...args].join(' ')}${config.cwd ? ` (in ${config.cwd})` : ''}`);
+
+    this.exitCode = null;
+    this.healthy = false;
+    this.setState('starting');
+
+    let child;
+    try {
+      child = this.spawn(config.command, args, {
+        cwd: config.cwd || undefined,
+        env: { ...process.env, AETHER_PORT: String(config.port), PORT: String(config.port) },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Its own process group, so signals reach whatever it starts too
+        detached: process.platform !== 'win32'
+      });
+    } catch (error) {
+      this.log('system', `Failed to start: ${error.message}`);
+      this.setState('crashed', error.message);
+      return this.getStatus();
+    }
+
+    this.child = child;
+    this.startedAt = new Date().toISOString();
+    child.stdout.on('data', data => this.log('stdout', data));
+    child.stderr.on('data', data => this.log('stderr', data));
+    // Spawn failures (command not found, bad cwd) arrive as 'error', followed by 'exit' on some platforms
+    child.on('error', error => {
+      this.log('system', `Process error: ${error.message}`);
+      this.handleExit(child, null, error.message);
+    });
+    child.on('exit', (code, signal) => {
+      this.handleExit(child, code, signal ? `Killed by ${signal}` : null);
+    });
+
+    if (child.pid) {
+      this.log('system', `Started (PID ${child.pid})`);
+    }
+    return this.waitUntilHealthy(child);
+  }
+
+  async waitUntilHealthy(child) {
+    const deadline = Date.now() + this.startTimeout;
+    while (this.child === child && Date.now() < deadline) {
+      if (await this.checkHealth()) {
+        this.healthy = true;
+        this.log('system', 'Backend is healthy');
+        this.setState('running');
+        this.startHealthMonitor();
+        return this.getStatus();
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    if (this.child === child) {
+      this.log('system', `No /health answer after ${this.startTimeout / 1000}s`);
+      this.setState('unhealthy', 'Backend started but /health is not answering');
+      this.startHealthMonitor();
+    }
+    return this.getStatus();
+  }
+
+  handleExit(child, code, reason) {
+    if (this.child !== child) return;
+    // Whatever it started (`npm run dev` and the like) goes with it
+    this.signal(child, 'SIGTERM');
+    this.child = null;
+    // A start still waiting on this child is over; a restart must not join it
+    this.starting = null;
+    this.healthy = false;
+    this.exitCode = code;
+    this.stopHealthMonitor();
+
+    if (this.state === 'stopping') {
+      this.log('system', 'Backend stopped');
+      this.setState('stopped');
+      return;
+    }
+
+    const message = reason || `Exited with code ${code}`;
+    this.log('system', `Backend exited unexpectedly: ${message}`);
+    this.setState('crashed', message);
+    this.scheduleRestart();
+  }
+
+  scheduleRestart() {
+    if (!this.getBackendConfig().autoRestart) return;
+    if (this.restarts >= MAX_RESTARTS) {
+      this.log('system', `Gave up after ${MAX_RESTARTS} restarts - start it again from Settings`);
+      return;
+    }
+
+    const delay = Math.min(this.restartBackoff * 2 ** this.restarts, RESTART_BACKOFF_MAX);
+    this.restarts++;
+    this.log('system', `Restarting in ${delay / 1000}s (attempt ${this.restarts}/${MAX_RESTARTS})`);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.start();
+    }, delay);
+  }
+
+  startHealthMonitor() {
+    this.stopHealthMonitor();
+    this.healthTimer = setInterval(async () => {
+      const healthy = await this.checkHealth();
+      if (!['running', 'unhealthy', 'external'].includes(this.state)) return;
+
+      if (healthy) {
+        // A stable run earns back the restart budget
+        this.restarts = 0;
+      }
+      if (healthy !== this.healthy) {
+        this.healthy = healthy;
+        this.log('system', healthy ? 'Health check recovered' : 'Health check failed');
+        if (this.state === 'external') {
+          this.emit('status', this.getStatus());
+        } else {
+          this.setState(healthy ? 'running' : 'unhealthy', healthy ? null : 'Backend is not answering /health');
+        }
+      }
+    }, this.healthInterval);
+  }
+
+  stopHealthMonitor() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Signal the backend's whole process group, not just the direct child,
+   * which is often a wrapper (npm, a shell) around the real server
+   */
+  signal(child, signal) {
+    if (process.platform !== 'win32' && child.pid) {
+      try {
+        process.kill(-child.pid, signal);
+        return;
+      } catch (error) {
+        // The group is gone already
+      }
+    }
+    child.kill(signal);
+  }
+
+  /**
+   * Stop our backend (SIGTERM, then SIGKILL after a grace period). An
+   * external backend is only forgotten, not killed.
+   */
+  stop() {
+    // A start in progress winds down on its own; the next start() is a new one
+    this.generation++;
+    this.starting = null;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.stopHealthMonitor();
+
+    const child = this.child;
+    if (!child) {
+      this.healthy = false;
+      if (this.state !== 'stopped') this.setState('stopped');
+      return Promise.resolve(this.getStatus());
+    }
+
+    if (this.stopping) {
+      return this.stopping;
+    }
+
+    this.setState('stopping');
+    this.stopping = new Promise(resolve => {
+      const forceKill = setTimeout(() => {
+        this.log('system', `No exit after ${STOP_TIMEOUT / 1000}s - killing`);
+        this.signal(child, 'SIGKILL');
+      }, STOP_TIMEOUT);
+      child.once('exit', () => {
+        clearTimeout(forceKill);
+        this.stopping = null;
+        resolve(this.getStatus());
+      });
+      this.signal(child, 'SIGTERM');
+    });
+    return this.stopping;
+  }
+
+  async restart() {
+    await this.stop();
+    this.restarts = 0;
+    return this.start();
+  }
+}
+
+module.exports = BackendSupervisor;
+module.exports.DEFAULT_BACKEND_CONFIG = DEFAULT_BACKEND_CONFIG;
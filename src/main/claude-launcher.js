@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_CLI_CONFIG = {
+  binary: 'claude',
+  args: [],
+  // Flag that receives the context file contents; empty means "env var only"
+  contextFlag: '--append-system-prompt',
+  // Register the app's MCP server (task tools) with --mcp-config
+  mcp: true
+};
+
+// Printed with Claude's exit code after an interactive run (see exitReport)
+const CLAUDE_EXIT_MARKER = 'FlowSaver: Claude exited with code';
+
+/**
+ * Quote a single argument so an interactive shell treats it as one literal
+ * word. POSIX shells and PowerShell both leave single-quoted text untouched,
+ * so the only character that needs escaping is the single quote itself.
+ */
+function quoteShellArg(value, platform = os.platform()) {
+  const text = String(value);
+  if (platform === 'win32') {
+    return `'${text.replace(/'/g, "''")}'`;
+  }
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Builds the Claude CLI command for a PTY session. Task, project and UI
+ * context are written to a private temp file and only the file path ever
+ * appears on the command line, so nothing user-controlled is interpreted by
+ * the shell. The MCP config (server URL + token) goes in a private file too.
+ */
+class ClaudeLauncher {
+  constructor(options = {}) {
+    this.platform = options.platform || os.platform();
+    // Parent of the private per-run context directory (see getContextDir)
+    this.tmpRoot = options.tmpRoot || os.tmpdir();
+    this.contextDir = null;
+    this.getConfig = options.getConfig || (() => ({}));
+    // `mcpServers` config for the app's MCP server, or null when it isn't running
+    this.getMcpConfig = options.getMcpConfig || (() => null);
+  }
+
+  getCliConfig() {
+    return { ...DEFAULT_CLI_CONFIG, ...this.getConfig() };
+  }
+
+  buildContext({ currentTask, contextData, uiContext } = {}) {
+    const sections = ['# FlowSaver Context'];
+
+    if (currentTask) {
+      sections.push([
+        '## Current Task',
+        `Title: ${currentTask.title}`,
+        currentTask.priority ? `Priority: ${currentTask.priority}` : null,
+        currentTask.tags && currentTask.tags.length ? `Tags: ${currentTask.tags.join(', ')}` : null,
+        currentTask.deadline ? `Deadline: ${currentTask.deadline}` : null,
+        currentTask.duration_minutes ? `Estimate: ${currentTask.duration_minutes} minutes` : null,
+        currentTask.description ? `Description: ${currentTask.description}` : null
+      ].filter(Boolean).join('\n'));
+
+      if (currentTask.project) {
+        const { project } = currentTask;
+        sections.push([
+          '## Project',
+          `Name: ${project.name}`,
+          project.description ? `Description: ${project.description}` : null,
+          project.deadline ? `Deadline: ${project.deadline}` : null,
+          project.progress !== undefined ? `Progress: ${project.progress}%` : null
+        ].filter(Boolean).join('\n'));
+      }
+    }
+
+    if (uiContext) {
+      sections.push(`## UI Context\n${uiContext}`);
+    }
+
+    if (contextData) {
+      sections.push(`## Notes\n${contextData}`);
+    }
+
+    return sections.join('\n\n') + '\n';
+  }
+
+  /**
+   * A fresh directory for this app run, made on first use. mkdtemp picks an
+   * unguessable name and creates it 0700, so another local user cannot have
+   * created it (or a symlink in its place) beforehand. dispose() removes it.
+   */
+  getContextDir() {
+    if (!this.contextDir) {
+      this.contextDir = fs.mkdtempSync(path.join(this.tmpRoot, 'flowsaver-'));
+    }
+    return this.contextDir;
+  }
+
+  contextFilePath(sessionId) {
+    const safeId = String(sessionId || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.getContextDir(), `context-${safeId}.md`);
+  }
+
+  writeContextFile(sessionId, content) {
+    const filePath = this.contextFilePath(sessionId);
+    fs.writeFileSync(filePath, content, { mode: 0o600 });
+    return filePath;
+  }
+
+  mcpConfigPath(sessionId) {
+    const safeId = String(sessionId || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.getContextDir(), `mcp-${safeId}.json`);
+  }
+
+  // Holds the server's bearer token, so it gets the same private file treatment
+  writeMcpConfig(sessionId) {
+    const mcpConfig = this.getCliConfig().mcp ? this.getMcpConfig() : null;
+    if (!mcpConfig) {
+      return null;
+    }
+
+    const filePath = this.mcpConfigPath(sessionId);
+    fs.writeFileSync(filePath, JSON.stringify(mcpConfig, null, 2), { mode: 0o600 });
+    return filePath;
+  }
+
+  /**
+   * Shell command that starts the CLI with the context file. The file path is
+   * quoted; its contents are substituted by the shell as a single argument and
+   * never re-parsed.
+   */
+  buildCommand(contextFile, mcpFile = null) {
+    const { binary, args, contextFlag } = this.getCliConfig();
+    const quote = (value) => quoteShellArg(value, this.platform);
+    const parts = (Array.isArray(args) ? args : []).map(quote);
+    if (mcpFile) {
+      parts.push(quote('--mcp-config'), quote(mcpFile));
+    }
+
+    if (this.platform === 'win32') {
+      if (contextFlag) {
+        parts.push(quote(contextFlag), `(Get-Content -Raw ${quote(contextFile)})`);
+      }
+      return `$env:FLOWSAVER_CONTEXT_FILE=${quote(contextFile)}; & ${quote(binary)} ${parts.join(' ')}`.trim();
+    }
+
+    if (contextFlag) {
+      parts.push(quote(contextFlag), `"$(cat ${quote(contextFile)})"`);
+    }
+    return `FLOWSAVER_CONTEXT_FILE=${quote(contextFile)} ${quote(binary)} ${parts.join(' ')}`.trim();
+  }
+
+  /**
+   * Shell command that prints the marker and the previous command's exit
+   * code. An interactive session outlives Claude, so this line is how the
+   * output watcher learns that Claude exited.
+   */
+  exitReport() {
+    const status = this.platform === 'win32' ? '$LASTEXITCODE' : '$?';
+    return `echo "${CLAUDE_EXIT_MARKER} ${status}"`;
+  }
+
+  prepare(sessionId, context) {
+    const contextFile = this.writeContextFile(sessionId, this.buildContext(context));
+    const mcpFile = this.writeMcpConfig(sessionId);
+    return { contextFile, mcpFile, command: this.buildCommand(contextFile, mcpFile) };
+  }
+
+  cleanup(sessionId) {
+    if (!this.contextDir) {
+      return;
+    }
+    [this.contextFilePath(sessionId), this.mcpConfigPath(sessionId)].forEach(filePath => {
+      try {
+        fs.unlinkSync(filePath);
+      } catch (error) {
+        // Nothing was written for this session
+      }
+    });
+  }
+
+  // Remove this run's context directory, on quit
+  dispose() {
+    if (this.contextDir) {
+      fs.rmSync(this.contextDir, { recursive: true, force: true });
+      this.contextDir = null;
+    }
+  }
+}
+
+module.exports = ClaudeLauncher;
+module.exports.quoteShellArg = quoteShellArg;
+module.exports.DEFAULT_CLI_CONFIG = DEFAULT_CLI_CONFIG;
+module.exports.CLAUDE_EXIT_MARKER = CLAUDE_EXIT_MARKER;
@@ -3,13 +3,19 @@ const { spawn } = require('child_process');
 const pty = require('node-pty');
 const os = require('os');
 const path = require('path');
+const ClaudeLauncher = require('./claude-launcher');
 
 class ClaudeTerminal extends EventEmitter {
-  constructor(projectPath) {
+  constructor(projectPath, options = {}) {
     super();
     this.projectPath = projectPath || process.cwd();
+    this.sessionId = options.sessionId || 'default';
+    this.launcher = options.launcher || new ClaudeLauncher();
     this.ptyProcess = null;
     this.isRunning = false;
+    this.shell = null;
+    this.cols = 80;
+    this.rows = 24;
   }
 
   startSession() {
@@ -19,13 +25,14 @@ class ClaudeTerminal extends EventEmitter {
 
     // Determine shell based on OS
     const shell = os.platform() === 'win32' ? 'powershell.exe' : process.env.SHELL || '/bin/bash';
+    this.shell = shell;
     
     try {
       // Create a PTY process for the terminal
       this.ptyProcess = pty.spawn(shell, [], {
         name: 'xterm-color',
-        cols: 80,
-        rows: 24,
+        cols: this.cols,
+        rows: this.rows,
         cwd: this.projectPath,
         env: {
           ...process.env,
@@ -41,9 +48,9 @@ class ClaudeTerminal extends EventEmitter {
       });
 
       // Handle terminal exit
-      this.ptyProcess.onExit(() => {
+      this.ptyProcess.onExit(({ exitCode }) => {
         this.isRunning = false;
-        this.emit('exit');
+        this.emit('exit', exitCode);
       });
 
       this.emit('ready');
@@ -61,42 +68,36 @@ class ClaudeTerminal extends EventEmitter {
   }
 
   resize(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
     if (this.ptyProcess && this.isRunning) {
       this.ptyProcess.resize(cols, rows);
     }
   }
 
-  // Method to start Claude Code directly
-  startClaude(currentTask = null, contextData = null) {
+  // Method to start Claude Code directly. With exitWhenDone the shell exits
+  // with Claude, so the session ends when Claude does; otherwise the shell
+  // reports Claude's exit code on a line of its own.
+  startClaude(currentTask = null, contextData = null, uiContext = null, options = {}) {
     if (!this.isRunning) {
-      this.startSession();
       // Wait for session to be ready, then start Claude
       this.once('ready', () => {
-        this.launchClaudeCode(currentTask, contextData);
+        this.launchClaudeCode(currentTask, contextData, uiContext, options);
       });
+      this.startSession();
     } else {
-      this.launchClaudeCode(currentTask, contextData);
+      this.launchClaudeCode(currentTask, contextData, uiContext, options);
     }
   }
 
-  launchClaudeCode(currentTask, contextData) {
-    // Build context-aware Claude command
-    let claudeCommand = 'claude';
-    
-    if (currentTask) {
-      claudeCommand += ` --context "Current Task: ${currentTask.title}"`;
-      if (currentTask.priority) {
-        claudeCommand += ` --context "Priority: ${currentTask.priority}"`;
-      }
-    }
-    
-    if (contextData) {
-      claudeCommand += ` --context "${contextData}"`;
-    }
+  launchClaudeCode(currentTask, contextData, uiContext = null, { exitWhenDone = false } = {}) {
+    // Context goes through a temp file so task titles never reach the shell parser
+    const { command } = this.launcher.prepare(this.sessionId, { currentTask, contextData, uiContext });
 
     // Send the command to start Claude
     this.write(`echo "🚀 Starting Claude Code in FlowSaver context..."\n`);
-    this.write(`${claudeCommand}\n`);
+    this.write(exitWhenDone ? `${command}; exit\n` : `${command}; ${this.launcher.exitReport()}\n`);
+    this.emit('claude-started');
   }
 
   kill() {
@@ -104,6 +105,7 @@ class ClaudeTerminal extends EventEmitter {
       this.ptyProcess.kill();
       this.isRunning = false;
     }
+    this.launcher.cleanup(this.sessionId);
   }
 }
 
@@ -0,0 +1,153 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const Store = require('electron-store');
+
+const MESSAGE_ROLES = ['user', 'assistant', 'error'];
+const DEFAULT_TITLE = 'New conversation';
+const MAX_MESSAGES_PER_CONVERSATION = 500;
+
+/**
+ * Chat conversations on disk. Each conversation owns the Aether session ID
+ * its messages were sent with, so switching conversations also switches the
+ * backend session and history can be restored through getChatHistory.
+ */
+class ConversationStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new Store({
+      name: 'conversations',
+      defaults: {
+        conversations: [],
+        activeConversationId: null
+      }
+    });
+  }
+
+  getAll() {
+    return this.store.get('conversations', []);
+  }
+
+  saveAll(conversations) {
+    this.store.set('conversations', conversations);
+    this.emit('changed');
+  }
+
+  /**
+   * Conversation summaries (no message bodies), most recently used first.
+   */
+  list() {
+    return this.getAll()
+      .map(({ messages, ...conversation }) => ({ ...conversation, message_count: messages.length }))
+      .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+  }
+
+  get(id) {
+    const conversation = this.getAll().find(c => c.id === id);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+    return conversation;
+  }
+
+  create({ title, sessionId } = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomUUID(),
+      title: String(title || DEFAULT_TITLE).trim() || DEFAULT_TITLE,
+      session_id: sessionId || `session_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      created_at: now,
+      updated_at: now,
+      messages: []
+    };
+
+    this.saveAll([...this.getAll(), conversation]);
+    this.store.set('activeConversationId', conversation.id);
+    return conversation;
+  }
+
+  /**
+   * The conversation the user was last in - created on first use.
+   */
+  getActive() {
+    const activeId = this.store.get('activeConversationId');
+    const conversation = this.getAll().find(c => c.id === activeId);
+    return conversation || this.create();
+  }
+
+  setActive(id) {
+    const conversation = this.get(id);
+    this.store.set('activeConversationId', id);
+    return conversation;
+  }
+
+  modify(id, mutate) {
+    const conversations = this.getAll();
+    const conversation = conversations.find(c => c.id === id);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+
+    mutate(conversation);
+    conversation.updated_at = new Date().toISOString();
+    this.saveAll(conversations);
+    return conversation;
+  }
+
+  rename(id, title) {
+    const trimmed = String(title || '').trim();
+    if (!trimmed) {
+      throw new Error('Conversation title is required');
+    }
+    return this.modify(id, conversation => {
+      conversation.title = trimmed;
+    });
+  }
+
+  appendMessage(id, message) {
+    const normalized = normalizeMessage(message);
+    return this.modify(id, conversation => {
+      conversation.messages.push(normalized);
+      conversation.messages = conversation.messages.slice(-MAX_MESSAGES_PER_CONVERSATION);
+
+      // Name untitled conversations after their first question
+      if (conversation.title === DEFAULT_TITLE && normalized.role === 'user') {
+        conversation.title = normalized.content.length > 40
+          ? `${normalized.content.substring(0, 40)}...`
+          : normalized.content;
+      }
+    });
+  }
+
+  replaceMessages(id, messages = []) {
+    const normalized = messages.map(normalizeMessage).slice(-MAX_MESSAGES_PER_CONVERSATION);
+    return this.modify(id, conversation => {
+      conversation.messages = normalized;
+    });
+  }
+
+  delete(id) {
+    const conversations = this.getAll();
+    if (!conversations.some(c => c.id === id)) {
+      return false;
+    }
+
+    this.saveAll(conversations.filter(c => c.id !== id));
+    if (this.store.get('activeConversationId') === id) {
+      this.store.set('activeConversationId', null);
+    }
+    return true;
+  }
+}
+
+function normalizeMessage(message = {}) {
+  if (!MESSAGE_ROLES.includes(message.role)) {
+    throw new Error(`Invalid message role: ${message.role}`);
+  }
+  return {
+    role: message.role,
+    content: String(message.content || ''),
+    timestamp: message.timestamp || new Date().toISOString()
+  };
+}
+
+module.exports = ConversationStore;
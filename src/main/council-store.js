@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+const Store = require('electron-store');
+
+const MAX_RUNS = 100;
+
+/**
+ * Saved AI Council runs, newest first, so past questions can be reviewed.
+ */
+class CouncilStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new Store({
+      name: 'council-runs',
+      defaults: {
+        runs: []
+      }
+    });
+  }
+
+  getAll() {
+    return this.store.get('runs', []);
+  }
+
+  /**
+   * Run summaries (no answer bodies), newest first
+   */
+  list() {
+    return this.getAll().map(run => ({
+      id: run.id,
+      question: run.question,
+      status: run.status,
+      created_at: run.created_at,
+      completed_at: run.completed_at,
+      members: run.members.map(({ provider, model, status }) => ({ provider, model, status }))
+    }));
+  }
+
+  get(id) {
+    const run = this.getAll().find(r => r.id === id);
+    if (!run) {
+      throw new Error(`Council run not found: ${id}`);
+    }
+    return run;
+  }
+
+  /**
+   * Insert or replace a run (runs are saved as they progress)
+   */
+  save(run) {
+    const runs = this.getAll().filter(r => r.id !== run.id);
+    this.store.set('runs', [run, ...runs].slice(0, MAX_RUNS));
+    this.emit('changed');
+    return run;
+  }
+
+  delete(id) {
+    const runs = this.getAll();
+    if (!runs.some(r => r.id === id)) {
+      return false;
+    }
+    this.store.set('runs', runs.filter(r => r.id !== id));
+    this.emit('changed');
+    return true;
+  }
+}
+
+module.exports = CouncilStore;
@@ -0,0 +1,256 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// Same budgets AetherClient uses: a chat answer gets CHAT_TIMEOUT, and the
+// synthesis round (which reads every answer) gets the same again.
+const MEMBER_TIMEOUT = 90000; // 90 seconds
+const SYNTHESIS_TIMEOUT = 90000;
+const MAX_MEMBERS = 6;
+
+const MEMBER_SYSTEM_PROMPT = 'You are one member of an AI council. Answer the question directly and concisely, ' +
+  'stating your assumptions and your confidence.';
+
+const SYNTHESIS_SYSTEM_PROMPT = 'You chair an AI council. You receive one question and several independent answers. ' +
+  'First critique each answer (strengths, errors, gaps) under a "## Critique" heading, then give the single best ' +
+  'merged answer under a "## Verdict" heading, noting where the members disagreed.';
+
+/**
+ * AI Council: one question fanned out to several models in parallel, then a
+ * critique/synthesis round that merges their answers into one verdict.
+ * Runs are saved to the CouncilStore as they progress and emitted as
+ * 'progress' (run) so the UI can fill in answers as they arrive.
+ */
+class Council extends EventEmitter {
+  constructor(gateway, store) {
+    super();
+    this.gateway = gateway;
+    this.store = store;
+    this.activeRuns = new Map(); // runId -> { run, controllers: Set<AbortController> }
+  }
+
+  /**
+   * Validate and start a run. Returns the new run right away; answers arrive
+   * through 'progress' events and the final state is saved to the store.
+   *
+   * @param {string} question
+   * @param {Object} options
+   * @param {Array} options.members - [{ provider, model?, timeout? }]
+   * @param {Object} [options.synthesizer] - { provider, model? }; defaults to the first member that answered
+   * @returns {Object} the run, status 'running'
+   */
+  start(question, { members = [], synthesizer = null } = {}) {
+    const trimmed = String(question || '').trim();
+    if (!trimmed) {
+      throw new Error('Council question is required');
+    }
+    if (!Array.isArray(members) || members.length < 2) {
+      throw new Error('A council needs at least two members');
+    }
+    if (members.length > MAX_MEMBERS) {
+      throw new Error(`A council can have at most ${MAX_MEMBERS} members`);
+    }
+
+    const run = {
+      id: crypto.randomUUID(),
+      question: trimmed,
+      status: 'running',
+      created_at: new Date().toISOString(),
+      completed_at: null,
+      members: members.map(member => ({
+        provider: member.provider,
+        model: member.model || null,
+        timeout: Number(member.timeout) > 0 ? Number(member.timeout) : MEMBER_TIMEOUT,
+        status: 'pending',
+        answer: '',
+        error: null,
+        duration_ms: null
+      })),
+      synthesis: {
+        provider: synthesizer ? synthesizer.provider : null,
+        model: synthesizer ? synthesizer.model || null : null,
+        status: 'pending',
+        critique: '',
+        verdict: '',
+        error: null
+      }
+    };
+
+    this.activeRuns.set(run.id, { run, controllers: new Set() });
+    this.update(run);
+
+    this.execute(run).catch(error => {
+      console.error(`❌ Council run ${run.id} crashed:`, error);
+      this.finish(run, 'failed');
+    });
+    return run;
+  }
+
+  async execute(run) {
+    try {
+      // Round 1: everyone answers independently, at the same time
+      await Promise.all(run.members.map(member => this.askMember(run, member)));
+
+      const answered = run.members.filter(member => member.status === 'answered');
+      if (this.isCancelled(run) || answered.length === 0) {
+        run.synthesis.status = 'skipped';
+      }
+      if (this.isCancelled(run)) {
+        return this.finish(run, 'cancelled');
+      }
+      if (answered.length === 0) {
+        return this.finish(run, 'failed');
+      }
+
+      // Round 2: critique the answers and merge them into a verdict
+      await this.synthesize(run, answered);
+      if (this.isCancelled(run)) {
+        return this.finish(run, 'cancelled');
+      }
+      return this.finish(run, run.synthesis.status === 'completed' ? 'completed' : 'partial');
+    } finally {
+      this.activeRuns.delete(run.id);
+    }
+  }
+
+  /**
+   * Chat call with an overall deadline - the pattern AetherClient uses in
+   * createAbortController(): a timer aborts the request when it fires.
+   */
+  async callWithDeadline(run, request, timeout) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+      console.warn(`⏱️ Council member ${request.provider} timed out after ${timeout}ms`);
+    }, timeout);
+
+    const { controllers } = this.activeRuns.get(run.id);
+    controllers.add(controller);
+
+    try {
+      return await this.gateway.chat(request, { signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        error.code = 'timeout';
+        error.message = `No answer within ${timeout / 1000}s`;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      controllers.delete(controller);
+    }
+  }
+
+  async askMember(run, member) {
+    const startedAt = Date.now();
+    try {
+      const result = await this.callWithDeadline(run, {
+        provider: member.provider,
+        model: member.model,
+        messages: [
+          { role: 'system', content: MEMBER_SYSTEM_PROMPT },
+          { role: 'user', content: run.question }
+        ]
+      }, member.timeout);
+
+      member.model = result.model;
+      member.answer = result.text;
+      member.status = 'answered';
+    } catch (error) {
+      member.status = ['timeout', 'cancelled'].includes(error.code) ? error.code : 'failed';
+      member.error = error.message;
+    } finally {
+      member.duration_ms = Date.now() - startedAt;
+      this.update(run);
+    }
+  }
+
+  async synthesize(run, answered) {
+    const synthesis = run.synthesis;
+    if (!synthesis.provider) {
+      synthesis.provider = answered[0].provider;
+      synthesis.model = answered[0].model;
+    }
+
+    const answers = answered
+      .map((member, index) => `### Answer ${index + 1} (${member.provider}${member.model ? ` / ${member.model}` : ''})\n\n${member.answer}`)
+      .join('\n\n');
+
+    synthesis.status = 'running';
+    this.update(run);
+
+    try {
+      const result = await this.callWithDeadline(run, {
+        provider: synthesis.provider,
+        model: synthesis.model,
+        messages: [
+          { role: 'system', content: SYNTHESIS_SYSTEM_PROMPT },
+          { role: 'user', content: `## Question\n\n${run.question}\n\n## Answers\n\n${answers}` }
+        ]
+      }, SYNTHESIS_TIMEOUT);
+
+      const { critique, verdict } = splitSynthesis(result.text);
+      synthesis.model = result.model;
+      synthesis.critique = critique;
+      synthesis.verdict = verdict;
+      synthesis.status = 'completed';
+    } catch (error) {
+      synthesis.status = ['timeout', 'cancelled'].includes(error.code) ? error.code : 'failed';
+      synthesis.error = error.message;
+    } finally {
+      this.update(run);
+    }
+  }
+
+  isCancelled(run) {
+    return run.status === 'cancelled';
+  }
+
+  cancel(runId) {
+    const active = this.activeRuns.get(runId);
+    if (!active) {
+      return false;
+    }
+
+    active.run.status = 'cancelled';
+    active.controllers.forEach(controller => controller.abort());
+    return true;
+  }
+
+  cancelAll() {
+    Array.from(this.activeRuns.keys()).forEach(runId => this.cancel(runId));
+  }
+
+  update(run) {
+    this.store.save(run);
+    this.emit('progress', run);
+  }
+
+  finish(run, status) {
+    run.status = status;
+    run.completed_at = new Date().toISOString();
+    this.store.save(run);
+    this.emit('progress', run);
+    return run;
+  }
+}
+
+/**
+ * Split the chair's reply into its "## Critique" and "## Verdict" sections;
+ * a reply that ignores the format is treated as all verdict.
+ */
+function splitSynthesis(text) {
+  const verdictMatch = text.match(/^#{1,3}\s*Verdict\s*$/im);
+  if (!verdictMatch) {
+    return { critique: '', verdict: text.trim() };
+  }
+
+  const before = text.slice(0, verdictMatch.index);
+  const verdict = text.slice(verdictMatch.index + verdictMatch[0].length);
+  const critique = before.replace(/^#{1,3}\s*Critique\s*$/im, '');
+  return { critique: critique.trim(), verdict: verdict.trim() };
+}
+
+module.exports = Council;
+module.exports.splitSynthesis = splitSynthesis;
@@ -0,0 +1,165 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Minimal JSON-over-HTTP helper for the main process (Electron 22 ships
+ * Node 16, which has no global fetch).
+ */
+function requestJson(url, options = {}) {
+  const { method = 'GET', body, headers = {}, timeout = DEFAULT_TIMEOUT, signal = null } = options;
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method,
+      headers: {
+        'Accept': 'application/json',
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+        ...headers
+      }
+    }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { raw += chunk; });
+      res.on('end', () => {
+        let data = null;
+        try {
+          data = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+          data = raw;
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const error = new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`);
+          error.status = res.statusCode;
+          error.body = data;
+          reject(error);
+          return;
+        }
+
+        resolve(data);
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      const error = new Error(`Request timed out after ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+
+    if (signal) {
+      const onAbort = () => {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        req.destroy(error);
+      };
+      if (signal.aborted) onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+/**
+ * POST-style request whose response body is consumed line by line (SSE and
+ * NDJSON streams). Resolves once the stream ends; non-2xx responses reject
+ * with the parsed error body attached.
+ */
+function requestStream(url, options = {}) {
+  const { method = 'POST', body, headers = {}, timeout = DEFAULT_TIMEOUT, signal = null, onLine } = options;
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method,
+      headers: {
+        'Accept': 'text/event-stream',
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+        ...headers
+      }
+    }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.on('data', (chunk) => { buffer += chunk; });
+        res.on('end', () => {
+          const error = new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`);
+          error.status = res.statusCode;
+          try {
+            error.body = JSON.parse(buffer);
+          } catch (parseError) {
+            error.body = buffer;
+          }
+          reject(error);
+        });
+        return;
+      }
+
+      // A throwing onLine aborts the stream and rejects with its error
+      let failed = false;
+      const emitLines = (lines) => {
+        try {
+          lines.forEach(line => onLine(line.replace(/\r$/, '')));
+          return true;
+        } catch (error) {
+          failed = true;
+          reject(error);
+          res.destroy();
+          return false;
+        }
+      };
+
+      res.on('data', (chunk) => {
+        if (failed) return;
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        emitLines(lines);
+      });
+      res.on('end', () => {
+        if (failed) return;
+        if (!buffer || emitLines([buffer])) {
+          resolve();
+        }
+      });
+      res.on('error', reject);
+    });
+
+    // Idle timeout: only fires when the stream stalls
+    req.setTimeout(timeout, () => {
+      const error = new Error(`Request timed out after ${timeout}ms`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+
+    if (signal) {
+      const onAbort = () => {
+        const error = new Error('Request cancelled');
+        error.name = 'AbortError';
+        req.destroy(error);
+      };
+      if (signal.aborted) onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+module.exports = { requestJson, requestStream };
@@ -0,0 +1,446 @@
+const { TASK_PRIORITIES, TASK_STATUSES } = require('./task-store');
+const { PROJECT_PRIORITIES } = require('./project-store');
+
+/**
+ * Every IPC channel the renderer may use, with a schema for its payload.
+ *
+ * Schemas are a small JSON-schema subset (type, properties, required,
+ * additionalProperties, items, enum, minLength/maxLength, minimum/maximum,
+ * maxItems, pattern, anyOf) - the same dialect electron-store schemas use. The
+ * preload bridge only exposes the channels listed here, and main-process
+ * handlers validate payloads against them before running.
+ */
+
+class IpcValidationError extends Error {
+  constructor(channel, message) {
+    super(`Invalid payload for ${channel}: ${message}`);
+    this.name = 'IpcValidationError';
+    this.channel = channel;
+  }
+}
+
+// --- Schema helpers ---
+
+function object(properties = {}, required = []) {
+  return { type: 'object', properties, required };
+}
+
+const id = { type: 'string', minLength: 1, maxLength: 128 };
+const sessionId = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' };
+const text = (maxLength = 10000) => ({ type: 'string', maxLength });
+const optionalDate = { type: ['string', 'null'], maxLength: 64 };
+const stringList = (maxItems = 100, maxLength = 200) => ({ type: 'array', maxItems, items: text(maxLength) });
+const byId = object({ id }, ['id']);
+const provider = { type: 'string', pattern: '^[a-z0-9_-]{1,32}$' };
+const NO_PAYLOAD = { type: ['undefined', 'null', 'object'] };
+const clock = { type: 'string', pattern: '^\\d{1,2}:\\d{2}$' };
+const leadMinutes = { type: 'integer', minimum: 0, maximum: 43200 };
+
+// Output rules need a pattern to test; exit rules have none
+const watchRuleFields = {
+  id: { type: 'string', pattern: '^[a-z0-9-]{1,64}$' },
+  name: text(100),
+  enabled: { type: 'boolean' }
+};
+const watchRule = {
+  anyOf: [
+    {
+      ...object({
+        ...watchRuleFields,
+        on: { type: 'string', enum: ['output'] },
+        pattern: { type: 'string', minLength: 1, maxLength: 1000 },
+        flags: { type: 'string', pattern: '^[imsu]{0,4}$' }
+      }, ['id', 'name', 'on', 'pattern', 'enabled']),
+      additionalProperties: false
+    },
+    {
+      ...object({ ...watchRuleFields, on: { type: 'string', enum: ['exit'] } }, ['id', 'name', 'on', 'enabled']),
+      additionalProperties: false
+    }
+  ]
+};
+
+const taskFields = {
+  title: text(500),
+  description: text(),
+  priority: { type: 'string', enum: TASK_PRIORITIES },
+  status: { type: 'string', enum: TASK_STATUSES },
+  tags: stringList(50, 50),
+  duration_minutes: { type: ['number', 'null'], minimum: 0, maximum: 100000 },
+  deadline: optionalDate,
+  dependencies: stringList(100, 128),
+  project_id: { type: ['string', 'null'], maxLength: 128 }
+};
+
+const projectFields = {
+  name: text(200),
+  description: text(),
+  deadline: optionalDate,
+  priority: { type: 'string', enum: PROJECT_PRIORITIES }
+};
+
+const chatMessage = object({
+  role: { type: 'string', enum: ['system', 'user', 'assistant', 'error'] },
+  content: text(200000),
+  timestamp: { type: ['string', 'undefined'], maxLength: 64 }
+}, ['role', 'content']);
+
+// Renderer -> main, request/response (ipcRenderer.invoke / ipcMain.handle)
+const INVOKE_CHANNELS = {
+  // Terminals
+  'terminal-start': object({ sessionId, cwd: { type: ['string', 'undefined'], maxLength: 4096 } }, ['sessionId']),
+  'terminal-input': object({ sessionId, data: text(100000) }, ['sessionId', 'data']),
+  'terminal-resize': object({
+    sessionId,
+    cols: { type: 'integer', minimum: 1, maximum: 1000 },
+    rows: { type: 'integer', minimum: 1, maximum: 1000 }
+  }, ['sessionId', 'cols', 'rows']),
+  'terminal-start-claude': object({
+    sessionId,
+    currentTask: { type: ['object', 'null', 'undefined'] },
+    contextData: { type: ['string', 'undefined'], maxLength: 100000 }
+  }, ['sessionId']),
+  'terminal-kill': object({ sessionId }, ['sessionId']),
+  'terminal-list': NO_PAYLOAD,
+  'claude-cli-get-config': NO_PAYLOAD,
+  'claude-cli-set-config': object({
+    binary: text(1024),
+    args: stringList(50, 1024),
+    contextFlag: text(200),
+    mcp: { type: 'boolean' }
+  }, ['binary', 'args']),
+
+  // Terminal recordings
+  'recordings-list': { type: ['undefined', 'object'], properties: { taskId: { type: ['string', 'undefined'], maxLength: 128 } } },
+  'recordings-get': byId,
+  'recordings-search': object({ query: { type: 'string', minLength: 1, maxLength: 200 } }, ['query']),
+  'recordings-delete': byId,
+  'recordings-export': byId,
+
+  // Aether backend process
+  'backend-get-config': NO_PAYLOAD,
+  'backend-set-config': object({
+    command: { type: 'string', minLength: 1, maxLength: 1024 },
+    args: stringList(50, 1024),
+    cwd: text(4096),
+    port: { type: 'integer', minimum: 1, maximum: 65535 },
+    autoStart: { type: 'boolean' },
+    autoRestart: { type: 'boolean' }
+  }, ['command', 'args', 'port']),
+  'backend-status': NO_PAYLOAD,
+  'backend-start': NO_PAYLOAD,
+  'backend-stop': NO_PAYLOAD,
+  'backend-restart': NO_PAYLOAD,
+  'backend-logs': { type: ['undefined', 'object'], properties: { limit: { type: 'integer', minimum: 1, maximum: 1000 } } },
+
+  // Quick capture (global shortcut window)
+  'quick-capture-get-config': NO_PAYLOAD,
+  'quick-capture-set-config': object({
+    enabled: { type: 'boolean' },
+    accelerator: { type: 'string', minLength: 1, maxLength: 100 },
+    refine: { type: 'boolean' }
+  }, ['accelerator']),
+  'quick-capture-parse': object({ text: text(2000) }, ['text']),
+  'quick-capture-refine': object({ text: text(2000) }, ['text']),
+  'quick-capture-hide': NO_PAYLOAD,
+
+  // Reminders
+  'reminders-get-config': NO_PAYLOAD,
+  'reminders-set-config': object({
+    enabled: { type: 'boolean' },
+    leadMinutes: object({
+      high: leadMinutes,
+      medium: leadMinutes,
+      low: leadMinutes
+    }),
+    snoozeMinutes: { type: 'integer', minimum: 1, maximum: 1440 },
+    quietHours: object({ enabled: { type: 'boolean' }, start: clock, end: clock }),
+    digest: object({ enabled: { type: 'boolean' }, time: clock })
+  }),
+  'reminders-list': NO_PAYLOAD,
+  'reminders-snooze': object({ taskId: id, minutes: { type: 'integer', minimum: 1, maximum: 10080 } }, ['taskId']),
+  'reminders-dismiss': object({ taskId: id }, ['taskId']),
+
+  // Terminal output watchers
+  'watchers-get-config': NO_PAYLOAD,
+  'watchers-set-config': object({
+    enabled: { type: 'boolean' },
+    rules: { type: 'array', maxItems: 50, items: watchRule }
+  }),
+  'watchers-list-matches': NO_PAYLOAD,
+
+  // Tasks
+  'tasks-list': { type: ['undefined', 'object'], properties: {
+    status: { type: ['string', 'undefined'], maxLength: 32 },
+    priority: { type: ['string', 'undefined'], maxLength: 32 },
+    tag: { type: ['string', 'undefined'], maxLength: 50 },
+    projectId: { type: ['string', 'undefined'], maxLength: 128 },
+    search: { type: ['string', 'undefined'], maxLength: 500 }
+  } },
+  'tasks-create': object(taskFields, ['title']),
+  'tasks-update': object({ id, changes: object(taskFields) }, ['id', 'changes']),
+  'tasks-complete': byId,
+  'tasks-delete': byId,
+  'tasks-sync': NO_PAYLOAD,
+  'tasks-sync-status': NO_PAYLOAD,
+  'task-session-start': byId,
+  'task-session-list': NO_PAYLOAD,
+  'task-session-summary': object({ taskId: id, sessionId: id, summary: text(20000) }, ['taskId', 'sessionId', 'summary']),
+
+  // Projects
+  'projects-list': { type: ['undefined', 'object'], properties: { includeArchived: { type: 'boolean' } } },
+  'projects-get': byId,
+  'projects-create': object(projectFields, ['name']),
+  'projects-update': object({ id, changes: object(projectFields) }, ['id', 'changes']),
+  'projects-archive': byId,
+  'projects-restore': byId,
+
+  // Schedule
+  'schedule-get': NO_PAYLOAD,
+  'schedule-get-working-hours': NO_PAYLOAD,
+  'schedule-set-working-hours': object({
+    start: clock,
+    end: clock,
+    days: { type: 'array', maxItems: 7, items: { type: 'integer', minimum: 0, maximum: 6 } }
+  }),
+
+  // Analytics
+  'analytics-task-report': { type: ['undefined', 'object'], properties: { days: { type: 'integer', minimum: 1, maximum: 365 } } },
+  'analytics-export': object({
+    format: { type: 'string', enum: ['md', 'csv', 'pdf'] },
+    days: { type: ['integer', 'undefined'], minimum: 1, maximum: 365 }
+  }, ['format']),
+
+  // Import / export / backup
+  'tasks-import-preview': { type: ['undefined', 'object'], properties: {
+    format: { type: 'string', enum: ['csv', 'markdown', 'json'] }
+  } },
+  'tasks-import-apply': object({
+    tasks: {
+      type: 'array',
+      maxItems: 5000,
+      items: object({
+        ...taskFields,
+        completed_at: optionalDate,
+        project_name: { type: ['string', 'null'], maxLength: 200 }
+      }, ['title'])
+    }
+  }, ['tasks']),
+  'tasks-export': object({ format: { type: 'string', enum: ['csv', 'markdown', 'json', 'ics'] } }, ['format']),
+  'backup-export': NO_PAYLOAD,
+  'backup-restore-preview': NO_PAYLOAD,
+  'backup-restore-apply': object({ restoreId: id }, ['restoreId']),
+
+  // UI context
+  'screenshot-analyze': NO_PAYLOAD,
+  'ui-context-get': NO_PAYLOAD,
+
+  // Chat conversations
+  'conversations-list': NO_PAYLOAD,
+  'conversations-get-active': NO_PAYLOAD,
+  'conversations-get': byId,
+  'conversations-create': object({ title: { type: ['string', 'undefined'], maxLength: 200 } }),
+  'conversations-set-active': byId,
+  'conversations-rename': object({ id, title: text(200) }, ['id', 'title']),
+  'conversations-delete': byId,
+  'conversations-append': object({ id, message: chatMessage }, ['id', 'message']),
+  'conversations-replace-messages': object({
+    id,
+    messages: { type: 'array', maxItems: 1000, items: chatMessage }
+  }, ['id', 'messages']),
+
+  // LLM gateway
+  'llm-list-providers': NO_PAYLOAD,
+  'llm-get-config': NO_PAYLOAD,
+  // Strict: provider base URLs (where API keys get sent) must not sneak back in
+  'llm-set-config': {
+    ...object({
+      chatModel: { type: ['string', 'null', 'undefined'], maxLength: 200 }
+    }),
+    additionalProperties: false
+  },
+  'llm-chat': object({
+    requestId: id,
+    provider,
+    model: { type: ['string', 'null', 'undefined'], maxLength: 200 },
+    messages: { type: 'array', minItems: 1, maxItems: 1000, items: chatMessage },
+    stream: { type: ['boolean', 'undefined'] },
+    maxTokens: { type: ['integer', 'undefined'], minimum: 1, maximum: 200000 },
+    temperature: { type: ['number', 'undefined'], minimum: 0, maximum: 2 }
+  }, ['requestId', 'provider', 'messages']),
+  'llm-chat-cancel': object({ requestId: id }, ['requestId']),
+
+  // AI Council
+  'council-get-config': NO_PAYLOAD,
+  'council-start': object({
+    question: text(20000),
+    members: {
+      type: 'array',
+      maxItems: 10,
+      items: object({
+        provider,
+        model: { type: ['string', 'null', 'undefined'], maxLength: 200 },
+        timeout: { type: ['number', 'undefined'], minimum: 1000, maximum: 600000 }
+      }, ['provider'])
+    },
+    synthesizer: {
+      type: ['object', 'null', 'undefined'],
+      properties: { provider, model: { type: ['string', 'null', 'undefined'], maxLength: 200 } },
+      required: ['provider']
+    }
+  }, ['question', 'members']),
+  'council-cancel': object({ runId: id }, ['runId']),
+  'council-list-runs': NO_PAYLOAD,
+  'council-get-run': byId,
+  'council-delete-run': byId,
+
+  // API keys
+  'keys-get-status': NO_PAYLOAD,
+  'save-keys': { type: 'object', additionalProperties: text(1000) },
+  'keys-remove': object({ provider }, ['provider']),
+  'keys-test': object({ provider, key: { type: ['string', 'null', 'undefined'], maxLength: 1000 } }, ['provider']),
+
+  // License
+  'license-get-status': NO_PAYLOAD,
+  'license-activate': object({ license: text(20000) }, ['license']),
+  'license-remove': NO_PAYLOAD
+};
+
+// Renderer -> main, fire-and-forget (ipcRenderer.send / ipcMain.on)
+const SEND_CHANNELS = {
+  'ui-context-snapshot-response': object({
+    requestId: id,
+    snapshot: { type: ['object', 'null'] }
+  }, ['requestId'])
+};
+
+// Main -> renderer events the page may subscribe to
+const EVENT_CHANNELS = [
+  'terminal-output',
+  'terminal-exit',
+  'terminal-error',
+  'tasks-changed',
+  'tasks-sync-status',
+  'projects-changed',
+  'schedule-updated',
+  'ui-context-snapshot-request',
+  'llm-chat-chunk',
+  'council-progress',
+  'license-changed',
+  'backend-status',
+  'backend-log',
+  'recordings-changed',
+  'task-session-ended',
+  'quick-capture-shown',
+  'reminder-fired',
+  'reminder-open',
+  'reminders-changed',
+  'watcher-match'
+];
+
+// --- Validation ---
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Returns null when value matches schema, otherwise a message naming the
+ * first offending path.
+ */
+function checkSchema(schema, value, path = 'payload') {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (schema.type && !types.some(type => matchesType(value, type))) {
+    return `${path} must be ${types.join(' or ')}, got ${typeOf(value)}`;
+  }
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (schema.anyOf) {
+    const errors = schema.anyOf.map(option => checkSchema(option, value, path));
+    if (errors.every(Boolean)) return errors.join(', or ');
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} is too short`;
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is too long`;
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return `${path} has an invalid format`;
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return `${path} must be a finite number`;
+    if (schema.minimum !== undefined && value < schema.minimum) return `${path} must be at least ${schema.minimum}`;
+    if (schema.maximum !== undefined && value > schema.maximum) return `${path} must be at most ${schema.maximum}`;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return `${path} needs at least ${schema.minItems} item(s)`;
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} has too many items`;
+    if (schema.items) {
+      for (let index = 0; index < value.length; index++) {
+        const error = checkSchema(schema.items, value[index], `${path}[${index}]`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) return `${path}.${key} is required`;
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const declared = (schema.properties || {})[key];
+      if (!declared && schema.additionalProperties === false) {
+        return `${path}.${key} is not allowed`;
+      }
+      const propertySchema = declared || schema.additionalProperties;
+      // Otherwise unknown keys are ignored - handlers only read the fields they know
+      if (!propertySchema || propertyValue === undefined) continue;
+      const error = checkSchema(propertySchema, propertyValue, `${path}.${key}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+// Only our own bundled pages may call into the main process
+function isTrustedSender(event) {
+  const frame = event.senderFrame;
+  return Boolean(frame) && frame.url.startsWith('file://');
+}
+
+function validatePayload(channel, payload, channels = INVOKE_CHANNELS) {
+  const schema = channels[channel];
+  if (!schema) {
+    throw new IpcValidationError(channel, 'unknown channel');
+  }
+  const error = checkSchema(schema, payload);
+  if (error) {
+    throw new IpcValidationError(channel, error);
+  }
+  return payload;
+}
+
+module.exports = {
+  INVOKE_CHANNELS,
+  SEND_CHANNELS,
+  EVENT_CHANNELS,
+  IpcValidationError,
+  checkSchema,
+  isTrustedSender,
+  validatePayload
+};
@@ -0,0 +1,210 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const Store = require('electron-store');
+
+/**
+ * Provider API keys, encrypted at rest.
+ *
+ * Keys are sealed with Electron's safeStorage (OS keychain / DPAPI / libsecret)
+ * when it is available, otherwise with AES-256-GCM under a random key
+ * generated once per install and kept in a 0600 file next to the store.
+ * Plaintext only ever leaves this class through getKey() in the main process;
+ * the renderer gets masked values and presence flags from getStatus().
+ */
+class KeyVault extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.providers - provider names that may hold a key
+   * @param {string} options.keyFilePath - where the per-install fallback key lives
+   * @param {Object} [options.safeStorage] - Electron's safeStorage module
+   * @param {Object} [options.store] - electron-store compatible store (tests)
+   */
+  constructor(options = {}) {
+    super();
+    this.providers = options.providers || [];
+    this.keyFilePath = options.keyFilePath;
+    this.safeStorage = options.safeStorage || null;
+    this.store = options.store || new Store({
+      name: 'key-vault',
+      defaults: {
+        keys: {},
+        migratedLegacyStore: false
+      }
+    });
+    this.localKey = null;
+  }
+
+  // --- Encryption ---
+
+  canUseSafeStorage() {
+    try {
+      return Boolean(this.safeStorage && this.safeStorage.isEncryptionAvailable());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 32-byte per-install key, created on first use
+   */
+  getLocalKey() {
+    if (this.localKey) {
+      return this.localKey;
+    }
+
+    if (fs.existsSync(this.keyFilePath)) {
+      this.localKey = Buffer.from(fs.readFileSync(this.keyFilePath, 'utf8').trim(), 'base64');
+    } else {
+      this.localKey = crypto.randomBytes(32);
+      fs.writeFileSync(this.keyFilePath, this.localKey.toString('base64'), { mode: 0o600 });
+    }
+    return this.localKey;
+  }
+
+  seal(plaintext) {
+    if (this.canUseSafeStorage()) {
+      return { scheme: 'safeStorage', data: this.safeStorage.encryptString(plaintext).toString('base64') };
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getLocalKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+      scheme: 'aes-256-gcm',
+      data: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+  }
+
+  unseal({ scheme, data }) {
+    const raw = Buffer.from(data, 'base64');
+    if (scheme === 'safeStorage') {
+      return this.safeStorage.decryptString(raw);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getLocalKey(), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+  }
+
+  // --- Keys ---
+
+  validateProvider(provider) {
+    if (!this.providers.includes(provider)) {
+      throw new Error(`Unknown API key provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Plaintext key for main-process callers (LLM gateway), or '' when unset
+   */
+  getKey(provider) {
+    const entry = this.store.get('keys', {})[provider];
+    if (!entry) {
+      return '';
+    }
+
+    try {
+      return this.unseal(entry);
+    } catch (error) {
+      // e.g. the keychain was reset or the vault key file was lost
+      console.error(`❌ Could not decrypt ${provider} API key:`, error.message);
+      return '';
+    }
+  }
+
+  setKey(provider, value) {
+    this.validateProvider(provider);
+    const trimmed = String(value || '').trim();
+    const keys = this.store.get('keys', {});
+
+    if (trimmed) {
+      keys[provider] = { ...this.seal(trimmed), updated_at: new Date().toISOString() };
+    } else {
+      delete keys[provider];
+    }
+
+    this.store.set('keys', keys);
+    this.emit('changed', provider);
+  }
+
+  /**
+   * Save several keys at once. Blank values are ignored (the renderer never
+   * sees stored keys, so an untouched field must not wipe one); use
+   * removeKey() to delete.
+   */
+  setKeys(values = {}) {
+    Object.entries(values).forEach(([provider, value]) => {
+      if (String(value || '').trim()) {
+        this.setKey(provider, value);
+      }
+    });
+  }
+
+  removeKey(provider) {
+    this.setKey(provider, '');
+  }
+
+  hasKey(provider) {
+    return Boolean(this.getKey(provider));
+  }
+
+  /**
+   * What the renderer may see: presence, a masked hint and when it was saved
+   */
+  getStatus() {
+    const keys = this.store.get('keys', {});
+    return Object.fromEntries(this.providers.map(provider => {
+      const key = this.getKey(provider);
+      return [provider, {
+        present: Boolean(key),
+        masked: key ? maskKey(key) : '',
+        updated_at: key ? keys[provider].updated_at : null
+      }];
+    }));
+  }
+
+  /**
+   * One-time move of keys out of the old electron-store that was "encrypted"
+   * with a key shared by every install. The old copy is deleted afterwards.
+   * `openLegacyStore` is only called when a migration is still due; opening
+   * a corrupt or undecryptable legacy file is reported, not thrown.
+   */
+  migrateLegacyStore(openLegacyStore) {
+    if (this.store.get('migratedLegacyStore', false)) {
+      return 0;
+    }
+
+    let migrated = 0;
+    try {
+      const legacyStore = openLegacyStore();
+      const legacyKeys = legacyStore.get('apiKeys', {}) || {};
+      Object.entries(legacyKeys).forEach(([provider, value]) => {
+        if (this.providers.includes(provider) && String(value || '').trim() && !this.hasKey(provider)) {
+          this.setKey(provider, value);
+          migrated += 1;
+        }
+      });
+      legacyStore.delete('apiKeys');
+    } catch (error) {
+      console.error('❌ Error migrating legacy API keys:', error);
+      return 0;
+    }
+
+    this.store.set('migratedLegacyStore', true);
+    return migrated;
+  }
+}
+
+/**
+ * "sk-ant-api03-abcdef...wxyz" -> "sk-a••••wxyz"; short keys only show their tail
+ */
+function maskKey(key) {
+  if (key.length <= 8) {
+    return `••••${key.slice(-2)}`;
+  }
+  return `${key.slice(0, 4)}••••${key.slice(-4)}`;
+}
+
+module.exports = KeyVault;
+module.exports.maskKey = maskKey;
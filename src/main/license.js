@@ -0,0 +1,193 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Offline licenses: `FLOWSAVER-1.<payload>.<signature>`, both parts base64url.
+ * The payload is JSON ({ license_id, licensee, email, plan, seats, issued_at,
+ * expires_at }) signed with Ed25519; the app only holds public keys, so a
+ * license can be verified without a network call.
+ *
+ * scripts/generate-license.js issues test licenses with a local key pair.
+ */
+
+const LICENSE_PREFIX = 'FLOWSAVER-1';
+const PLANS = ['free', 'pro', 'teams'];
+
+// What each plan unlocks, checked by the renderer gates and by main-process handlers
+const PLAN_FEATURES = {
+  free: ['builder'],
+  pro: ['builder', 'advisor'],
+  teams: ['builder', 'advisor', 'council']
+};
+
+// Public half of the release signing key(s), PEM. The private half never ships.
+// Keys can also come from files (see LICENSE_PUBLIC_KEY_FILE) so a release
+// build can provide its key without it living in the source tree.
+const RELEASE_PUBLIC_KEYS = [];
+
+// Name of the release public key in a packaged app's resources directory
+const LICENSE_PUBLIC_KEY_FILE = 'license-public.pem';
+
+class LicenseError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'LicenseError';
+    this.code = code;
+  }
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Verify a license string against trusted public keys.
+ *
+ * @returns {Object} the license payload
+ * @throws {LicenseError} code 'malformed' | 'bad_signature' | 'invalid'
+ */
+function verifyLicense(licenseText, publicKeys) {
+  const parts = String(licenseText || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== LICENSE_PREFIX) {
+    throw new LicenseError('Not a FlowSaver license', 'malformed');
+  }
+
+  const [, encodedPayload, encodedSignature] = parts;
+  const signedData = Buffer.from(`${parts[0]}.${encodedPayload}`);
+  const signature = base64UrlDecode(encodedSignature);
+
+  const trusted = publicKeys.some(key => {
+    try {
+      return crypto.verify(null, signedData, key, signature);
+    } catch (error) {
+      return false;
+    }
+  });
+  if (!trusted) {
+    throw new LicenseError('License signature is not valid', 'bad_signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  } catch (error) {
+    throw new LicenseError('License payload is unreadable', 'malformed');
+  }
+
+  if (!PLANS.includes(payload.plan)) {
+    throw new LicenseError(`Unknown plan: ${payload.plan}`, 'invalid');
+  }
+  if (!Number.isInteger(payload.seats) || payload.seats < 1) {
+    throw new LicenseError('License seat count must be a positive integer', 'invalid');
+  }
+  if (payload.expires_at && Number.isNaN(new Date(payload.expires_at).getTime())) {
+    throw new LicenseError('License expiry date is invalid', 'invalid');
+  }
+  return payload;
+}
+
+/**
+ * Sign a license payload (used by the local generator script)
+ */
+function signLicense(payload, privateKey) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signedData = Buffer.from(`${LICENSE_PREFIX}.${encodedPayload}`);
+  const signature = crypto.sign(null, signedData, privateKey).toString('base64url');
+  return `${LICENSE_PREFIX}.${encodedPayload}.${signature}`;
+}
+
+/**
+ * The installed license and the plan it grants. Without a valid,
+ * unexpired license the plan is 'free'.
+ */
+class LicenseManager extends EventEmitter {
+  /**
+   * @param {Object} settings - electron-store for the license text
+   * @param {Object} [options]
+   * @param {string[]} [options.publicKeyFiles] - extra trusted PEM files (dev test key)
+   */
+  constructor(settings, options = {}) {
+    super();
+    this.settings = settings;
+    this.publicKeys = [...RELEASE_PUBLIC_KEYS];
+
+    (options.publicKeyFiles || []).forEach(file => {
+      if (fs.existsSync(file)) {
+        this.publicKeys.push(fs.readFileSync(file, 'utf8'));
+      }
+    });
+    if (this.publicKeys.length === 0) {
+      console.warn(`⚠️ No license public key found (${LICENSE_PUBLIC_KEY_FILE}) - licenses cannot be activated`);
+    }
+  }
+
+  getStatus(now = new Date()) {
+    const licenseText = this.settings.get('license', null);
+    const status = { plan: 'free', features: PLAN_FEATURES.free, state: 'none', license: null, error: null };
+    if (!licenseText) {
+      return status;
+    }
+
+    try {
+      const license = verifyLicense(licenseText, this.publicKeys);
+      const expired = Boolean(license.expires_at) && new Date(license.expires_at) <= now;
+      return {
+        ...status,
+        plan: expired ? 'free' : license.plan,
+        features: PLAN_FEATURES[expired ? 'free' : license.plan],
+        state: expired ? 'expired' : 'valid',
+        license
+      };
+    } catch (error) {
+      return { ...status, state: 'invalid', error: error.message };
+    }
+  }
+
+  getPlan() {
+    return this.getStatus().plan;
+  }
+
+  hasFeature(feature) {
+    return this.getStatus().features.includes(feature);
+  }
+
+  /**
+   * Throws unless the current plan includes `feature`
+   */
+  requireFeature(feature) {
+    if (!this.hasFeature(feature)) {
+      const plan = Object.keys(PLAN_FEATURES).find(name => PLAN_FEATURES[name].includes(feature));
+      throw new LicenseError(`This feature needs the ${plan} plan`, 'plan_required');
+    }
+  }
+
+  /**
+   * Install a license. Invalid or expired licenses are rejected and the
+   * current one is kept.
+   */
+  activate(licenseText) {
+    const license = verifyLicense(licenseText, this.publicKeys);
+    if (license.expires_at && new Date(license.expires_at) <= new Date()) {
+      throw new LicenseError(`License expired on ${new Date(license.expires_at).toLocaleDateString()}`, 'expired');
+    }
+
+    this.settings.set('license', String(licenseText).trim());
+    this.emit('changed', this.getStatus());
+    return this.getStatus();
+  }
+
+  deactivate() {
+    this.settings.delete('license');
+    this.emit('changed', this.getStatus());
+    return this.getStatus();
+  }
+}
+
+module.exports = LicenseManager;
+module.exports.LicenseError = LicenseError;
+module.exports.PLAN_FEATURES = PLAN_FEATURES;
+module.exports.PLANS = PLANS;
+module.exports.LICENSE_PUBLIC_KEY_FILE = LICENSE_PUBLIC_KEY_FILE;
+module.exports.verifyLicense = verifyLicense;
+module.exports.signLicense = signLicense;
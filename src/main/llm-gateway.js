@@ -0,0 +1,253 @@
+const { requestJson, requestStream } = require('./http-client');
+const { createLLMProvider, listLLMProviderNames } = require('./llm-providers');
+
+const DEFAULT_TIMEOUT = 60000; // 60 seconds of silence before giving up
+
+/**
+ * Provider-independent error: whatever went wrong (HTTP status, provider
+ * error body, socket failure, cancellation) is reduced to one `code`.
+ */
+class LLMError extends Error {
+  constructor(message, { provider = null, code = 'unknown', status = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.retryable = ['rate_limited', 'server_error', 'timeout', 'network'].includes(code);
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      provider: this.provider,
+      code: this.code,
+      status: this.status,
+      retryable: this.retryable
+    };
+  }
+}
+
+function codeForStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limited';
+  if (status === 404) return 'not_found';
+  if (status >= 400 && status < 500) return 'bad_request';
+  if (status >= 500) return 'server_error';
+  return 'unknown';
+}
+
+/**
+ * One chat API over every configured LLM provider. API keys come from the
+ * key vault. Base URLs can be overridden per provider (the `baseUrls` option
+ * or FLOWSAVER_<PROVIDER>_BASE_URL) to point at a local mock server - never
+ * from settings or IPC, since the API key is sent wherever they point.
+ */
+class LLMGateway {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getApiKey - (providerName) => key or empty
+   * @param {Object} [options.baseUrls] - { [providerName]: baseUrl }, for tests
+   */
+  constructor(options = {}) {
+    this.getApiKey = options.getApiKey || (() => '');
+    this.baseUrls = options.baseUrls || {};
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.inFlight = new Map(); // requestId -> AbortController
+  }
+
+  getProvider(name) {
+    if (!listLLMProviderNames().includes(name)) {
+      throw new LLMError(`Unknown LLM provider: ${name}`, { provider: name, code: 'bad_request' });
+    }
+    const envBaseUrl = process.env[`FLOWSAVER_${name.toUpperCase()}_BASE_URL`];
+    return createLLMProvider(name, { baseUrl: this.baseUrls[name] || envBaseUrl });
+  }
+
+  listProviders() {
+    return listLLMProviderNames().map(name => {
+      const provider = this.getProvider(name);
+      return {
+        name,
+        label: provider.label,
+        models: provider.models,
+        defaultModel: provider.defaultModel,
+        hasKey: Boolean(this.getApiKey(name))
+      };
+    });
+  }
+
+  /**
+   * Run one chat completion.
+   *
+   * @param {Object} request
+   * @param {string} request.provider - openai | anthropic | google | perplexity
+   * @param {string} [request.model] - defaults to the provider's default model
+   * @param {Array} request.messages - [{ role: 'system'|'user'|'assistant', content }]
+   * @param {boolean} [request.stream]
+   * @param {Object} [options]
+   * @param {string} [options.requestId] - lets cancel(requestId) abort the call
+   * @param {AbortSignal} [options.signal] - aborts the call from outside (e.g. a deadline)
+   * @param {Function} [options.onChunk] - (chunk, fullText) for each streamed delta
+   * @returns {Promise<{ text, provider, model }>} rejects with LLMError
+   */
+  async chat(request = {}, options = {}) {
+    const provider = this.getProvider(request.provider);
+    const model = request.model || provider.defaultModel;
+    const messages = normalizeMessages(request.messages);
+    const apiKey = this.getApiKey(provider.name);
+
+    if (!apiKey) {
+      throw new LLMError(`No API key saved for ${provider.label}`, { provider: provider.name, code: 'missing_key' });
+    }
+    if (messages.length === 0) {
+      throw new LLMError('At least one message is required', { provider: provider.name, code: 'bad_request' });
+    }
+
+    const stream = Boolean(request.stream);
+    const { url, headers, body } = provider.buildRequest({
+      model,
+      messages,
+      stream,
+      maxTokens: request.maxTokens,
+      temperature: request.temperature
+    }, apiKey);
+
+    const controller = new AbortController();
+    if (options.signal) {
+      if (options.signal.aborted) controller.abort();
+      options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+    const requestId = options.requestId || null;
+    if (requestId) {
+      this.inFlight.set(requestId, controller);
+    }
+
+    const timeout = request.timeout || this.timeout;
+    try {
+      let text;
+      if (stream) {
+        text = await this.streamCompletion(provider, { url, headers, body, timeout, signal: controller.signal }, options.onChunk);
+      } else {
+        const data = await requestJson(url, { method: 'POST', headers, body, timeout, signal: controller.signal });
+        text = provider.parseResponse(data);
+      }
+      return { text, provider: provider.name, model };
+    } catch (error) {
+      throw this.normalizeError(error, provider);
+    } finally {
+      if (requestId) {
+        this.inFlight.delete(requestId);
+      }
+    }
+  }
+
+  async streamCompletion(provider, { url, headers, body, timeout, signal }, onChunk = () => {}) {
+    let fullText = '';
+
+    await requestStream(url, {
+      method: 'POST',
+      headers,
+      body,
+      timeout,
+      signal,
+      onLine: (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data) return;
+
+        let chunk;
+        try {
+          chunk = provider.parseStreamData(data);
+        } catch (error) {
+          if (error.body) throw error;
+          return; // Malformed event - skip it rather than drop the stream
+        }
+
+        if (chunk) {
+          fullText += chunk;
+          onChunk(chunk, fullText);
+        }
+      }
+    });
+
+    return fullText;
+  }
+
+  normalizeError(error, provider) {
+    if (error instanceof LLMError) {
+      return error;
+    }
+
+    const context = { provider: provider.name, status: error.status || null };
+    if (error.name === 'AbortError') {
+      return new LLMError('Request cancelled', { ...context, code: 'cancelled' });
+    }
+    if (error.code === 'ETIMEDOUT') {
+      return new LLMError(`${provider.label} did not respond in time`, { ...context, code: 'timeout' });
+    }
+    if (error.status) {
+      const detail = provider.parseError(error.body) || (typeof error.body === 'string' && error.body) || error.message;
+      return new LLMError(`${provider.label}: ${detail}`, { ...context, code: codeForStatus(error.status) });
+    }
+    if (error.body) {
+      // Error event inside an otherwise successful stream
+      return new LLMError(`${provider.label}: ${error.message}`, { ...context, code: 'server_error' });
+    }
+    if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'].includes(error.code)) {
+      return new LLMError(`Cannot reach ${provider.label} (${error.code})`, { ...context, code: 'network' });
+    }
+    return new LLMError(`${provider.label}: ${error.message}`, context);
+  }
+
+  /**
+   * Check a key with the provider's cheapest authenticated call.
+   * Uses the saved key unless one is passed in (e.g. typed but not yet saved).
+   * Goes to the same base URL chat() uses, so a test checks what chat will do.
+   *
+   * @returns {Promise<{ valid: boolean, error?: Object }>}
+   */
+  async testKey(providerName, apiKey = null) {
+    const provider = this.getProvider(providerName);
+    const key = apiKey || this.getApiKey(provider.name);
+    if (!key) {
+      return { valid: false, error: new LLMError(`No API key saved for ${provider.label}`, { provider: provider.name, code: 'missing_key' }).toJSON() };
+    }
+
+    const { url, method, headers, body } = provider.buildKeyCheck(key);
+    try {
+      await requestJson(url, { method, headers, body, timeout: 15000 });
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: this.normalizeError(error, provider).toJSON() };
+    }
+  }
+
+  cancel(requestId) {
+    const controller = this.inFlight.get(requestId);
+    if (!controller) {
+      return false;
+    }
+    controller.abort();
+    this.inFlight.delete(requestId);
+    return true;
+  }
+
+  cancelAll() {
+    this.inFlight.forEach(controller => controller.abort());
+    this.inFlight.clear();
+  }
+}
+
+function normalizeMessages(messages = []) {
+  if (!Array.isArray(messages)) {
+    throw new LLMError('messages must be an array', { code: 'bad_request' });
+  }
+  return messages
+    .filter(message => message && ['system', 'user', 'assistant'].includes(message.role))
+    .map(message => ({ role: message.role, content: String(message.content || '') }))
+    .filter(message => message.content);
+}
+
+module.exports = LLMGateway;
+module.exports.LLMError = LLMError;
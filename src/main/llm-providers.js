@@ -0,0 +1,237 @@
+/**
+ * LLM provider adapters share one small interface:
+ *
+ *   name, label                      - identifier (matches the apiKeys field) and display name
+ *   models, defaultModel             - selectable models
+ *   buildRequest(request, apiKey)    - { url, headers, body } for a chat call
+ *   parseResponse(data)              - text of a non-streaming response
+ *   parseStreamData(data)            - text delta of one SSE `data:` payload ('' if none)
+ *   parseError(body)                 - provider's error message, if the body carries one
+ *   buildKeyCheck(apiKey)            - { url, method, headers, body? } - cheapest authenticated call
+ *
+ * `request` is { model, messages: [{ role: 'system'|'user'|'assistant', content }],
+ * stream, maxTokens, temperature }. Base URLs are overridable so a local mock
+ * server can stand in for any provider.
+ */
+
+function trimSlash(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+/**
+ * OpenAI's chat completions format, also spoken by Perplexity
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.label = 'OpenAI';
+    this.baseUrl = trimSlash(options.baseUrl || 'https://api.openai.com/v1');
+    this.models = ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo'];
+    this.defaultModel = 'gpt-4o-mini';
+  }
+
+  buildRequest({ model, messages, stream, maxTokens, temperature }, apiKey) {
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      body: {
+        model,
+        messages,
+        stream,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        ...(temperature !== undefined ? { temperature } : {})
+      }
+    };
+  }
+
+  parseResponse(data) {
+    const choice = data && data.choices && data.choices[0];
+    return (choice && choice.message && choice.message.content) || '';
+  }
+
+  parseStreamData(data) {
+    if (data === '[DONE]') return '';
+    const parsed = JSON.parse(data);
+    const choice = parsed.choices && parsed.choices[0];
+    return (choice && choice.delta && choice.delta.content) || '';
+  }
+
+  parseError(body) {
+    return body && body.error && body.error.message;
+  }
+
+  buildKeyCheck(apiKey) {
+    return {
+      url: `${this.baseUrl}/models`,
+      method: 'GET',
+      headers: { 'Authorization': `Bearer ${apiKey}` }
+    };
+  }
+}
+
+class PerplexityProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'perplexity';
+    this.label = 'Perplexity';
+    this.baseUrl = trimSlash(options.baseUrl || 'https://api.perplexity.ai');
+    this.models = ['sonar', 'sonar-pro', 'sonar-reasoning'];
+    this.defaultModel = 'sonar';
+  }
+
+  // No model listing endpoint - a one-token completion is the cheapest check
+  buildKeyCheck(apiKey) {
+    const { url, headers, body } = this.buildRequest({
+      model: this.defaultModel,
+      messages: [{ role: 'user', content: 'ping' }],
+      stream: false,
+      maxTokens: 1
+    }, apiKey);
+    return { url, method: 'POST', headers, body };
+  }
+}
+
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.label = 'Anthropic';
+    this.baseUrl = trimSlash(options.baseUrl || 'https://api.anthropic.com/v1');
+    this.models = ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest', 'claude-3-opus-latest'];
+    this.defaultModel = 'claude-3-5-sonnet-latest';
+  }
+
+  buildRequest({ model, messages, stream, maxTokens, temperature }, apiKey) {
+    // System prompts are a top-level field rather than a message role
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    return {
+      url: `${this.baseUrl}/messages`,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: {
+        model,
+        max_tokens: maxTokens || 1024,
+        messages: messages.filter(m => m.role !== 'system'),
+        stream,
+        ...(system ? { system } : {}),
+        ...(temperature !== undefined ? { temperature } : {})
+      }
+    };
+  }
+
+  parseResponse(data) {
+    return ((data && data.content) || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  buildKeyCheck(apiKey) {
+    return {
+      url: `${this.baseUrl}/models`,
+      method: 'GET',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      }
+    };
+  }
+
+  parseStreamData(data) {
+    const event = JSON.parse(data);
+    if (event.type === 'error') {
+      throw Object.assign(new Error(this.parseError(event) || 'Stream error'), { body: event });
+    }
+    return event.type === 'content_block_delta' && event.delta ? (event.delta.text || '') : '';
+  }
+
+  parseError(body) {
+    return body && body.error && body.error.message;
+  }
+}
+
+class GoogleProvider {
+  constructor(options = {}) {
+    this.name = 'google';
+    this.label = 'Google Gemini';
+    this.baseUrl = trimSlash(options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta');
+    this.models = ['gemini-1.5-pro', 'gemini-1.5-flash', 'gemini-2.0-flash'];
+    this.defaultModel = 'gemini-1.5-flash';
+  }
+
+  buildRequest({ model, messages, stream, maxTokens, temperature }, apiKey) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    return {
+      url: `${this.baseUrl}/models/${encodeURIComponent(model)}:${method}key=${encodeURIComponent(apiKey)}`,
+      headers: {},
+      body: {
+        contents: messages
+          .filter(m => m.role !== 'system')
+          .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+        generationConfig: {
+          ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+          ...(temperature !== undefined ? { temperature } : {})
+        }
+      }
+    };
+  }
+
+  parseResponse(data) {
+    const candidate = data && data.candidates && data.candidates[0];
+    const parts = (candidate && candidate.content && candidate.content.parts) || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  buildKeyCheck(apiKey) {
+    return {
+      url: `${this.baseUrl}/models?key=${encodeURIComponent(apiKey)}`,
+      method: 'GET',
+      headers: {}
+    };
+  }
+
+  parseStreamData(data) {
+    // Each SSE event is a partial GenerateContentResponse
+    return this.parseResponse(JSON.parse(data));
+  }
+
+  parseError(body) {
+    return body && body.error && body.error.message;
+  }
+}
+
+const providers = {
+  openai: OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  google: GoogleProvider,
+  perplexity: PerplexityProvider
+};
+
+function registerLLMProvider(name, ProviderClass) {
+  providers[name] = ProviderClass;
+}
+
+function listLLMProviderNames() {
+  return Object.keys(providers);
+}
+
+function createLLMProvider(name, options = {}) {
+  const ProviderClass = providers[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return new ProviderClass(options);
+}
+
+module.exports = {
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  GoogleProvider,
+  PerplexityProvider,
+  registerLLMProvider,
+  listLLMProviderNames,
+  createLLMProvider
+};
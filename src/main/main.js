@@ -1,34 +1,150 @@
-const { app, BrowserWindow, Menu, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, Notification, ipcMain, safeStorage, dialog } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
-const ClaudeTerminal = require('./claude-terminal');
+const TerminalManager = require('./terminal-manager');
+const ClaudeLauncher = require('./claude-launcher');
+const TaskStore = require('./task-store');
+const AetherSync = require('./aether-sync');
+const BackendSupervisor = require('./backend-supervisor');
+const SessionRecorder = require('./session-recorder');
+const OutputWatcher = require('./output-watcher');
+const TaskSessions = require('./task-sessions');
+const McpServer = require('./mcp-server');
+const QuickCapture = require('./quick-capture');
+const { createFlowSaverTools } = require('./mcp-tools');
+const Scheduler = require('./scheduler');
+const ReminderScheduler = require('./reminders');
+const ProjectStore = require('./project-store');
+const ScreenshotOCR = require('./screenshot-ocr');
+const UIContextBridge = require('./ui-context');
+const ConversationStore = require('./conversation-store');
+const LLMGateway = require('./llm-gateway');
+const Council = require('./council');
+const CouncilStore = require('./council-store');
+const KeyVault = require('./key-vault');
+const LicenseManager = require('./license');
+const { listLLMProviderNames } = require('./llm-providers');
+const taskAnalytics = require('./task-analytics');
+const taskTransfer = require('./task-transfer');
+const { INVOKE_CHANNELS, SEND_CHANNELS, EVENT_CHANNELS, isTrustedSender, validatePayload } = require('./ipc-schema');
 const Store = require('electron-store');
 
 let mainWindow;
-let terminal;
-
-// Initialize secure storage
-const store = new Store({
-  encryptionKey: 'trinity-motion-secure-key',
-  schema: {
-    apiKeys: {
-      type: 'object',
-      properties: {
-        openai: { type: 'string' },
-        anthropic: { type: 'string' },
-        google: { type: 'string' },
-        perplexity: { type: 'string' }
-      }
+
+// Non-secret app preferences (working hours, Claude CLI config, ...)
+const settings = new Store({ name: 'settings' });
+
+// One PTY session per terminal tab, keyed by session ID
+const projectPath = path.resolve(__dirname, '../../..');
+const claudeLauncher = new ClaudeLauncher({
+  getConfig: () => settings.get('claudeCli', {}),
+  getMcpConfig: () => mcpServer.getClientConfig()
+});
+const terminals = new TerminalManager(projectPath, {
+  launcher: claudeLauncher,
+  authorize: (sessionId) => {
+    if (TERMINAL_FEATURES[sessionId]) {
+      licenseManager.requireFeature(TERMINAL_FEATURES[sessionId]);
     }
   }
 });
 
+// asciicast recordings of every terminal session, for the history browser
+const recorder = new SessionRecorder({ dir: path.join(app.getPath('userData'), 'recordings') });
+
+// Stack traces, failing tests and the like in terminal output, offered as tasks
+const outputWatcher = new OutputWatcher({
+  getConfig: () => settings.get('outputWatchers', {})
+});
+
+// The Aether backend process, started and watched by the app
+const backend = new BackendSupervisor({
+  getConfig: () => settings.get('backend', {})
+});
+
+// Local task persistence, synced to Aether when it is reachable
+const taskStore = new TaskStore();
+const aetherSync = new AetherSync(taskStore, { baseUrl: backend.baseUrl });
+const projectStore = new ProjectStore();
+const scheduler = new Scheduler(taskStore, settings);
+
+// Deadline reminders and the daily digest, as native notifications
+const reminders = new ReminderScheduler({
+  taskStore,
+  getConfig: () => settings.get('reminders', {})
+});
+
+// Local MCP server: lets Claude sessions started here read and update tasks
+const mcpServer = new McpServer({
+  name: 'flowsaver',
+  version: app.getVersion(),
+  instructions: 'FlowSaver is the task manager this session was started from. Use these tools to look up tasks and projects, file follow-up tasks, and mark tasks completed when the work is done.',
+  tools: createFlowSaverTools({ taskStore, projectStore, getUIContext })
+});
+
+// Global-shortcut window for adding a task from anywhere
+const quickCapture = new QuickCapture({
+  getConfig: () => settings.get('quickCapture', {}),
+  getProjects: () => projectStore.list(),
+  getDueTime: () => scheduler.getWorkingHours().end,
+  getBaseUrl: () => backend.baseUrl
+});
+
+// "Work on this in Claude" - a terminal session per task, timed on the task
+const taskSessions = new TaskSessions({
+  taskStore,
+  terminals,
+  getProject: (id) => {
+    const project = projectStore.get(id);
+    return project ? projectStore.withStats(project, taskStore.getAll()) : null;
+  }
+});
+
+// Window capture + OCR for giving Claude visual context
+const screenshotOCR = new ScreenshotOCR({ engineName: settings.get('ocrEngine', 'tesseract') });
+let uiContextBridge;
+
+// Chat conversations shared by every chat view
+const conversationStore = new ConversationStore();
+
+// Provider API keys - OS keychain via safeStorage, or a per-install key
+const keyVault = new KeyVault({
+  providers: listLLMProviderNames(),
+  keyFilePath: path.join(app.getPath('userData'), 'vault.key'),
+  safeStorage
+});
+
+// Direct LLM access with the saved API keys (no Aether backend needed)
+const llmGateway = new LLMGateway({
+  getApiKey: (provider) => keyVault.getKey(provider)
+});
+
+// AI Council: one question to several models, merged into a verdict
+const council = new Council(llmGateway, new CouncilStore());
+
+// Signed offline license -> plan. Packaged builds trust the release public
+// key that the release build copies into resources/ (LICENSE_PUBLIC_KEY_FILE);
+// dev builds trust the local test key from scripts/generate-license.js.
+const licenseManager = new LicenseManager(settings, {
+  publicKeyFiles: app.isPackaged
+    ? [path.join(process.resourcesPath, LicenseManager.LICENSE_PUBLIC_KEY_FILE)]
+    : [path.resolve(__dirname, '../../.license-keys/public.pem')]
+});
+
+// Terminal sessions that need a paid plan, by session ID
+const TERMINAL_FEATURES = { advisor: 'advisor' };
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400,
     height: 900,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false
+      // Pages get Node/Electron only through the whitelisted preload bridge
+      preload: path.join(__dirname, 'preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
     },
     backgroundColor: '#0f0f0f',
     titleBarStyle: 'default',
@@ -36,87 +152,989 @@ function createWindow() {
   });
 
   mainWindow.loadFile(path.join(__dirname, '../renderer/index.html'));
-  
-  // Initialize terminal
-  const projectPath = path.resolve(__dirname, '../../..');
-  terminal = new ClaudeTerminal(projectPath);
-  
-  // Set up IPC handlers for terminal
-  setupTerminalIPC();
+
+  // A hidden capture window would otherwise keep the app from quitting
+  mainWindow.on('closed', () => quickCapture.destroy());
+}
+
+/**
+ * ipcMain.handle with sender and payload checks. Every channel needs a schema
+ * in ipc-schema.js; a bad payload rejects the renderer's invoke() with an
+ * IpcValidationError before the handler runs.
+ */
+function handle(channel, handler) {
+  if (!INVOKE_CHANNELS[channel]) {
+    throw new Error(`No IPC schema for channel: ${channel}`);
+  }
+  ipcMain.handle(channel, (event, payload) => {
+    if (!isTrustedSender(event)) {
+      throw new Error(`Untrusted IPC sender for ${channel}`);
+    }
+    validatePayload(channel, payload);
+    return handler(event, payload);
+  });
+}
+
+function setupBridgeIPC() {
+  // The sandboxed preload can't require ipc-schema.js, so it asks for the whitelist once
+  ipcMain.on('ipc-get-channels', (event) => {
+    event.returnValue = {
+      invoke: Object.keys(INVOKE_CHANNELS),
+      send: Object.keys(SEND_CHANNELS),
+      events: EVENT_CHANNELS
+    };
+  });
+}
+
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
 }
 
 function setupTerminalIPC() {
   // Handle terminal start
-  ipcMain.handle('terminal-start', () => {
-    terminal.startSession();
-    return { success: true };
+  handle('terminal-start', (event, { sessionId, cwd } = {}) => {
+    terminals.getOrCreate(sessionId, { cwd }).startSession();
+    return { success: true, sessionId };
   });
 
   // Handle terminal input
-  ipcMain.handle('terminal-input', (event, data) => {
+  handle('terminal-input', (event, { sessionId, data } = {}) => {
+    const terminal = terminals.get(sessionId);
+    if (!terminal) {
+      return { success: false, error: `Unknown terminal session: ${sessionId}` };
+    }
     terminal.write(data);
     return { success: true };
   });
 
   // Handle terminal resize
-  ipcMain.handle('terminal-resize', (event, { cols, rows }) => {
+  handle('terminal-resize', (event, { sessionId, cols, rows } = {}) => {
+    const terminal = terminals.get(sessionId);
+    if (!terminal) {
+      return { success: false, error: `Unknown terminal session: ${sessionId}` };
+    }
     terminal.resize(cols, rows);
+    recorder.resize(sessionId, cols, rows);
     return { success: true };
   });
 
   // Handle Claude start with context
-  ipcMain.handle('terminal-start-claude', (event, { currentTask, contextData }) => {
-    terminal.startClaude(currentTask, contextData);
+  handle('terminal-start-claude', async (event, { sessionId, currentTask, contextData } = {}) => {
+    const { context: uiContext } = await getUIContext();
+    terminals.getOrCreate(sessionId).startClaude(currentTask, contextData, uiContext);
+    recorder.linkTask(sessionId, currentTask);
+    return { success: true, sessionId };
+  });
+
+  // Handle terminal kill
+  handle('terminal-kill', (event, { sessionId } = {}) => {
+    return { success: terminals.kill(sessionId) };
+  });
+
+  handle('terminal-list', () => {
+    return terminals.list();
+  });
+
+  // Claude CLI binary and flags used by launchClaudeCode
+  handle('claude-cli-get-config', () => {
+    return claudeLauncher.getCliConfig();
+  });
+
+  handle('claude-cli-set-config', (event, { binary, args, contextFlag, mcp } = {}) => {
+    if (!binary || typeof binary !== 'string') {
+      throw new Error('Claude CLI binary is required');
+    }
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      throw new Error('Claude CLI args must be a list of strings');
+    }
+
+    settings.set('claudeCli', { binary: binary.trim(), args, contextFlag: String(contextFlag || '').trim(), mcp: mcp !== false });
+    return { success: true, config: claudeLauncher.getCliConfig() };
+  });
+
+  terminals.on('started', (sessionId, terminal) => {
+    recorder.start(sessionId, {
+      cols: terminal.cols,
+      rows: terminal.rows,
+      cwd: terminal.projectPath,
+      shell: terminal.shell
+    });
+  });
+
+  // Forward terminal output to renderer, tagged with its session
+  terminals.on('output', (sessionId, data) => {
+    recorder.output(sessionId, data);
+    taskSessions.output(sessionId, data);
+    outputWatcher.feed(sessionId, data);
+    sendToRenderer('terminal-output', { sessionId, data });
+  });
+
+  terminals.on('exit', (sessionId, exitCode) => {
+    const recording = recorder.stop(sessionId, exitCode);
+    taskSessions.end(sessionId, { exitCode, recording });
+    outputWatcher.exit(sessionId, exitCode);
+    sendToRenderer('terminal-exit', { sessionId, exitCode });
+  });
+
+  terminals.on('killed', (sessionId) => {
+    const recording = recorder.stop(sessionId);
+    taskSessions.end(sessionId, { recording });
+    outputWatcher.forget(sessionId);
+  });
+
+  terminals.on('claude-started', (sessionId) => {
+    outputWatcher.claudeStarted(sessionId);
+  });
+
+  terminals.on('error', (sessionId, error) => {
+    sendToRenderer('terminal-error', { sessionId, message: error.message });
+  });
+}
+
+function setupTaskIPC() {
+  handle('tasks-list', (event, filters = {}) => {
+    return { tasks: taskStore.list(filters) };
+  });
+
+  handle('tasks-create', (event, data) => {
+    return { success: true, task: taskStore.create(data) };
+  });
+
+  handle('tasks-update', (event, { id, changes } = {}) => {
+    return { success: true, task: taskStore.update(id, changes) };
+  });
+
+  handle('tasks-complete', (event, { id } = {}) => {
+    return { success: true, task: taskStore.complete(id) };
+  });
+
+  handle('tasks-delete', (event, { id } = {}) => {
+    return { success: taskStore.delete(id) };
+  });
+
+  handle('tasks-sync', () => {
+    return aetherSync.sync();
+  });
+
+  handle('tasks-sync-status', () => {
+    return aetherSync.getStatus();
+  });
+
+  // Work on a task in its own Claude session
+  handle('task-session-start', async (event, { id } = {}) => {
+    const { context: uiContext } = await getUIContext();
+    const { sessionId, startedAt, context, alreadyRunning } = taskSessions.start(id, { uiContext });
+    if (!alreadyRunning) {
+      recorder.linkTask(sessionId, context);
+    }
+    return { success: true, sessionId, startedAt, alreadyRunning };
+  });
+
+  handle('task-session-list', () => {
+    return { sessions: taskSessions.list() };
+  });
+
+  handle('task-session-summary', (event, { taskId, sessionId, summary } = {}) => {
+    return { success: true, task: taskStore.setWorkSessionSummary(taskId, sessionId, summary) };
+  });
+
+  taskSessions.on('ended', (ended) => {
+    sendToRenderer('task-session-ended', ended);
+  });
+
+  // Push task changes (local edits or sync pulls) to the renderer
+  taskStore.on('changed', () => {
+    sendToRenderer('tasks-changed');
+  });
+
+  aetherSync.on('status', (status) => {
+    sendToRenderer('tasks-sync-status', status);
+  });
+}
+
+function setupRecordingIPC() {
+  handle('recordings-list', (event, { taskId } = {}) => {
+    return { recordings: recorder.list({ taskId }) };
+  });
+
+  handle('recordings-get', (event, { id } = {}) => {
+    return recorder.read(id);
+  });
+
+  handle('recordings-search', async (event, { query } = {}) => {
+    return { results: await recorder.search(query) };
+  });
+
+  handle('recordings-delete', (event, { id } = {}) => {
+    return { success: recorder.delete(id) };
+  });
+
+  // Plain .cast file - plays in asciinema as well
+  handle('recordings-export', async (event, { id } = {}) => {
+    const recording = recorder.get(id);
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export terminal recording',
+      defaultPath: `${recording.session_id}-${recording.started_at.slice(0, 10)}.cast`,
+      filters: [{ name: 'asciicast', extensions: ['cast'] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, cancelled: true };
+    }
+
+    fs.copyFileSync(recorder.filePath(recording), filePath);
+    return { success: true, filePath };
+  });
+
+  recorder.on('changed', () => {
+    sendToRenderer('recordings-changed');
+  });
+}
+
+function setupProjectIPC() {
+  const withStats = (project) => projectStore.withStats(project, taskStore.getAll());
+
+  handle('projects-list', (event, { includeArchived = false } = {}) => {
+    return { projects: projectStore.list({ includeArchived }).map(withStats) };
+  });
+
+  handle('projects-get', (event, { id } = {}) => {
+    const project = projectStore.get(id);
+    if (!project) {
+      throw new Error(`Project not found: ${id}`);
+    }
+    return { project: withStats(project), tasks: taskStore.list({ projectId: id }) };
+  });
+
+  handle('projects-create', (event, data) => {
+    return { success: true, project: withStats(projectStore.create(data)) };
+  });
+
+  handle('projects-update', (event, { id, changes } = {}) => {
+    return { success: true, project: withStats(projectStore.update(id, changes)) };
+  });
+
+  handle('projects-archive', (event, { id } = {}) => {
+    return { success: true, project: withStats(projectStore.archive(id)) };
+  });
+
+  handle('projects-restore', (event, { id } = {}) => {
+    return { success: true, project: withStats(projectStore.restore(id)) };
+  });
+
+  projectStore.on('changed', () => {
+    sendToRenderer('projects-changed');
+  });
+}
+
+const ANALYTICS_EXPORTS = {
+  md: { name: 'Markdown', render: taskAnalytics.toMarkdown },
+  csv: { name: 'CSV', render: taskAnalytics.toCSV },
+  pdf: { name: 'PDF', render: (report) => renderPDF(taskAnalytics.toHTML(report)) }
+};
+
+// Print an HTML page to PDF in a hidden, script-less window
+async function renderPDF(html) {
+  const printWindow = new BrowserWindow({
+    show: false,
+    webPreferences: { sandbox: true, javascript: false }
+  });
+  try {
+    await printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    return await printWindow.webContents.printToPDF({ printBackground: true });
+  } finally {
+    printWindow.destroy();
+  }
+}
+
+function setupAnalyticsIPC() {
+  handle('analytics-task-report', (event, { days } = {}) => {
+    return taskAnalytics.buildTaskAnalytics(taskStore.getAll(), { days });
+  });
+
+  handle('analytics-export', async (event, { format, days } = {}) => {
+    const exporter = ANALYTICS_EXPORTS[format];
+    const report = taskAnalytics.buildTaskAnalytics(taskStore.getAll(), { days });
+
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export task analytics',
+      defaultPath: `task-analytics-${report.generated_at.slice(0, 10)}.${format}`,
+      filters: [{ name: exporter.name, extensions: [format] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, cancelled: true };
+    }
+
+    fs.writeFileSync(filePath, await exporter.render(report));
+    return { success: true, filePath };
+  });
+}
+
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+const TASK_IMPORTERS = {
+  csv: { name: 'CSV', extensions: ['csv'], parse: (text) => taskTransfer.parseCSV(text) },
+  markdown: { name: 'Markdown', extensions: ['md', 'markdown', 'txt'], parse: (text) => taskTransfer.parseMarkdown(text, { projects: projectStore.getAll() }) },
+  json: { name: 'JSON', extensions: ['json'], parse: (text) => taskTransfer.parseJSON(text) }
+};
+
+const TASK_EXPORTS = {
+  csv: { name: 'CSV', extension: 'csv', render: (tasks, projects) => taskTransfer.toCSV(tasks, projects) },
+  markdown: { name: 'Markdown', extension: 'md', render: (tasks, projects) => taskTransfer.toMarkdown(tasks, projects) },
+  json: { name: 'JSON', extension: 'json', render: (tasks, projects) => taskTransfer.toJSON(tasks, projects) },
+  ics: { name: 'iCalendar', extension: 'ics', render: (tasks) => taskTransfer.toICS(tasks, scheduler.getSchedule()) }
+};
+
+// Backup read by backup-restore-preview, waiting for the user to confirm
+let pendingRestore = null;
+
+function readImportFile(filePath) {
+  if (fs.statSync(filePath).size > MAX_IMPORT_BYTES) {
+    throw new Error('File is too large to import (10 MB max)');
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function setupImportExportIPC() {
+  // Parse a file and mark duplicates; nothing is saved until tasks-import-apply
+  handle('tasks-import-preview', async (event, { format } = {}) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import tasks',
+      properties: ['openFile'],
+      filters: format
+        ? [{ name: TASK_IMPORTERS[format].name, extensions: TASK_IMPORTERS[format].extensions }]
+        : [
+          { name: 'Tasks (CSV, Markdown, JSON)', extensions: Object.values(TASK_IMPORTERS).flatMap(importer => importer.extensions) },
+          ...Object.values(TASK_IMPORTERS).map(importer => ({ name: importer.name, extensions: importer.extensions }))
+        ]
+    });
+    if (canceled || !filePaths.length) {
+      return { success: false, cancelled: true };
+    }
+
+    const filePath = filePaths[0];
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    const detected = format || Object.keys(TASK_IMPORTERS).find(key => TASK_IMPORTERS[key].extensions.includes(extension));
+    if (!detected) {
+      throw new Error(`Unsupported file type: .${extension}`);
+    }
+
+    const { drafts, errors } = TASK_IMPORTERS[detected].parse(readImportFile(filePath));
+    const projects = projectStore.getAll();
+    const known = new Set(projects.map(project => project.name.toLowerCase()));
+    const newProjects = [...new Set(drafts
+      .map(draft => draft.project_name)
+      .filter(name => name && !known.has(name.toLowerCase())))];
+
+    return {
+      success: true,
+      filePath,
+      format: detected,
+      tasks: taskTransfer.markDuplicates(drafts, taskStore.getAll(), projects),
+      errors,
+      newProjects
+    };
+  });
+
+  // Projects are matched by name; missing ones are created
+  handle('tasks-import-apply', (event, { tasks }) => {
+    const byName = new Map(projectStore.getAll().map(project => [project.name.toLowerCase(), project.id]));
+    const projectsCreated = [];
+    const projectId = (name) => {
+      if (!name) return null;
+      const key = name.trim().toLowerCase();
+      if (!byName.has(key)) {
+        const project = projectStore.create({ name: name.trim() });
+        byName.set(key, project.id);
+        projectsCreated.push(project.name);
+      }
+      return byName.get(key);
+    };
+
+    const created = taskStore.createMany(tasks.map(({ project_name: projectName, ...task }) => ({
+      ...task,
+      project_id: task.project_id || projectId(projectName)
+    })));
+    return { success: true, imported: created.length, projectsCreated };
+  });
+
+  handle('tasks-export', async (event, { format }) => {
+    const exporter = TASK_EXPORTS[format];
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: `Export tasks as ${exporter.name}`,
+      defaultPath: `tasks-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`,
+      filters: [{ name: exporter.name, extensions: [exporter.extension] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, cancelled: true };
+    }
+
+    fs.writeFileSync(filePath, exporter.render(taskStore.getAll(), projectStore.getAll()));
+    return { success: true, filePath };
+  });
+
+  // Tasks, projects and the restorable settings. API keys stay in the vault and are not included.
+  handle('backup-export', async () => {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Back up FlowSaver',
+      defaultPath: `flowsaver-backup-${new Date().toISOString().slice(0, 10)}.json`,
+      filters: [{ name: 'FlowSaver backup', extensions: ['json'] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, cancelled: true };
+    }
+
+    fs.writeFileSync(filePath, taskTransfer.buildBackup({
+      tasks: taskStore.getAll(),
+      projects: projectStore.getAll(),
+      settings: taskTransfer.restorableSettings(settings.store),
+      appVersion: app.getVersion()
+    }));
+    return { success: true, filePath };
+  });
+
+  handle('backup-restore-preview', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Restore FlowSaver backup',
+      properties: ['openFile'],
+      filters: [{ name: 'FlowSaver backup', extensions: ['json'] }]
+    });
+    if (canceled || !filePaths.length) {
+      return { success: false, cancelled: true };
+    }
+
+    const backup = taskTransfer.readBackup(readImportFile(filePaths[0]));
+    pendingRestore = { id: crypto.randomUUID(), backup };
+    return {
+      success: true,
+      restoreId: pendingRestore.id,
+      filePath: filePaths[0],
+      exportedAt: backup.exported_at,
+      appVersion: backup.app_version,
+      counts: {
+        tasks: backup.tasks.length,
+        projects: backup.projects.length,
+        settings: Object.keys(taskTransfer.restorableSettings(backup.settings)).length
+      }
+    };
+  });
+
+  // Replaces everything; rolls back if any part of the backup is invalid
+  handle('backup-restore-apply', (event, { restoreId }) => {
+    if (!pendingRestore || pendingRestore.id !== restoreId) {
+      throw new Error('That backup is no longer pending - choose the file again');
+    }
+    const { backup } = pendingRestore;
+    pendingRestore = null;
+
+    // Only allow-listed settings, merged over this machine's own
+    const restored = taskTransfer.restorableSettings(backup.settings);
+    if (restored.outputWatchers && restored.outputWatchers.rules) {
+      OutputWatcher.compileRules(restored.outputWatchers.rules);
+    }
+    const nextSettings = { ...settings.store };
+    Object.entries(restored).forEach(([key, value]) => {
+      nextSettings[key] = typeof value === 'object' ? { ...(settings.get(key) || {}), ...value } : value;
+    });
+
+    const previous = { tasks: taskStore.getAll(), projects: projectStore.getAll(), settings: settings.store };
+    try {
+      projectStore.replaceAll(backup.projects);
+      taskStore.replaceAll(backup.tasks);
+      settings.store = nextSettings;
+    } catch (error) {
+      projectStore.saveAll(previous.projects);
+      taskStore.saveAll(previous.tasks);
+      settings.store = previous.settings;
+      throw new Error(`Backup could not be restored: ${error.message}`);
+    }
+
+    // Everything that holds on to a setting picks up the restored one; the
+    // LLM gateway and backend supervisor read theirs on every use
+    quickCapture.register();
+    scheduler.replan('backup-restored');
+    reminders.check();
+    outputWatcher.reload();
+    licenseManager.emit('changed', licenseManager.getStatus());
     return { success: true };
   });
+}
 
-  // Forward terminal output to renderer
-  terminal.on('output', (data) => {
-    mainWindow.webContents.send('terminal-output', data);
+function setupScheduleIPC() {
+  handle('schedule-get', () => {
+    return scheduler.getSchedule();
   });
 
-  terminal.on('exit', () => {
-    mainWindow.webContents.send('terminal-exit');
+  handle('schedule-get-working-hours', () => {
+    return scheduler.getWorkingHours();
   });
 
-  terminal.on('error', (error) => {
-    mainWindow.webContents.send('terminal-error', error.message);
+  handle('schedule-set-working-hours', (event, workingHours) => {
+    return { success: true, workingHours: scheduler.setWorkingHours(workingHours) };
   });
-  
-  // API Keys IPC handlers
-  ipcMain.handle('save-keys', (event, keys) => {
+
+  scheduler.on('updated', (schedule, reason) => {
+    sendToRenderer('schedule-updated', { schedule, reason });
+  });
+}
+
+// Structured renderer snapshot first, screenshot OCR only as a fallback
+async function getUIContext() {
+  const webContents = mainWindow && mainWindow.webContents;
+  const snapshot = await uiContextBridge.requestSnapshot(webContents);
+  return screenshotOCR.getUIContext(webContents, snapshot);
+}
+
+function setupScreenshotIPC() {
+  uiContextBridge = new UIContextBridge();
+
+  handle('screenshot-analyze', async () => {
+    const result = await screenshotOCR.captureAndAnalyze(mainWindow && mainWindow.webContents);
+    return { ...result, context: screenshotOCR.generateClaudeContext(result) };
+  });
+
+  handle('ui-context-get', () => {
+    return getUIContext();
+  });
+}
+
+function setupConversationIPC() {
+  handle('conversations-list', () => {
+    return { conversations: conversationStore.list() };
+  });
+
+  handle('conversations-get-active', () => {
+    return { conversation: conversationStore.getActive() };
+  });
+
+  handle('conversations-get', (event, { id } = {}) => {
+    return { conversation: conversationStore.get(id) };
+  });
+
+  handle('conversations-create', (event, { title } = {}) => {
+    return { conversation: conversationStore.create({ title }) };
+  });
+
+  handle('conversations-set-active', (event, { id } = {}) => {
+    return { conversation: conversationStore.setActive(id) };
+  });
+
+  handle('conversations-rename', (event, { id, title } = {}) => {
+    return { conversation: conversationStore.rename(id, title) };
+  });
+
+  handle('conversations-delete', (event, { id } = {}) => {
+    return { success: conversationStore.delete(id) };
+  });
+
+  handle('conversations-append', (event, { id, message } = {}) => {
+    return { conversation: conversationStore.appendMessage(id, message) };
+  });
+
+  handle('conversations-replace-messages', (event, { id, messages } = {}) => {
+    return { conversation: conversationStore.replaceMessages(id, messages) };
+  });
+}
+
+function setupLLMIPC() {
+  handle('llm-list-providers', () => {
+    return { providers: llmGateway.listProviders() };
+  });
+
+  handle('llm-get-config', () => {
+    const { chatModel = null } = settings.get('llm', {});
+    return { chatModel };
+  });
+
+  handle('llm-set-config', (event, { chatModel } = {}) => {
+    const config = settings.get('llm', {});
+    if (chatModel !== undefined) {
+      // "provider:model", or null for the Aether backend
+      if (chatModel !== null && !/^[a-z]+:.+$/.test(String(chatModel))) {
+        throw new Error(`Invalid chat model: ${chatModel}`);
+      }
+      config.chatModel = chatModel;
+    }
+    // Base URLs used to be settable here; they are not honoured any more
+    delete config.providers;
+    settings.set('llm', config);
+    return { success: true };
+  });
+
+  // Streamed deltas go back to the requesting window as llm-chat-chunk events
+  handle('llm-chat', async (event, { requestId, provider, model, messages, stream, maxTokens, temperature } = {}) => {
+    const sender = event.sender;
+    try {
+      const result = await llmGateway.chat(
+        { provider, model, messages, stream, maxTokens, temperature },
+        {
+          requestId,
+          onChunk: (chunk, fullText) => {
+            if (!sender.isDestroyed()) {
+              sender.send('llm-chat-chunk', { requestId, chunk, fullText });
+            }
+          }
+        }
+      );
+      return { success: true, requestId, ...result };
+    } catch (error) {
+      // chat() only rejects with LLMError
+      return { success: false, requestId, cancelled: error.code === 'cancelled', error: error.toJSON() };
+    }
+  });
+
+  handle('llm-chat-cancel', (event, { requestId } = {}) => {
+    return { success: llmGateway.cancel(requestId) };
+  });
+}
+
+function setupCouncilIPC() {
+  handle('council-get-config', () => {
+    const { members = [], synthesizer = null } = settings.get('council', {});
+    return { members, synthesizer };
+  });
+
+  handle('council-start', (event, { question, members, synthesizer } = {}) => {
+    licenseManager.requireFeature('council');
+    const run = council.start(question, { members, synthesizer });
+    // Remember the line-up for next time
+    settings.set('council', {
+      members: run.members.map(({ provider, model, timeout }) => ({ provider, model, timeout })),
+      synthesizer: synthesizer || null
+    });
+    return { run };
+  });
+
+  handle('council-cancel', (event, { runId } = {}) => {
+    return { success: council.cancel(runId) };
+  });
+
+  handle('council-list-runs', () => {
+    return { runs: council.store.list() };
+  });
+
+  handle('council-get-run', (event, { id } = {}) => {
+    return { run: council.store.get(id) };
+  });
+
+  handle('council-delete-run', (event, { id } = {}) => {
+    return { success: council.store.delete(id) };
+  });
+
+  council.on('progress', (run) => {
+    sendToRenderer('council-progress', { run });
+  });
+}
+
+/**
+ * Keys saved before the vault lived in an electron-store "encrypted" with a
+ * key hard-coded in this file (the same on every install). Move them once.
+ */
+function migrateLegacyKeys() {
+  keyVault.migrateLegacyStore(() => new Store({ encryptionKey: 'trinity-motion-secure-key' }));
+}
+
+function setupKeysIPC() {
+  // Plaintext keys never cross IPC - the renderer only sees masked values
+  handle('keys-get-status', () => {
+    return { keys: keyVault.getStatus() };
+  });
+
+  handle('save-keys', (event, keys = {}) => {
     try {
-      store.set('apiKeys', keys);
-      console.log('🔑 API keys saved successfully');
-      return { success: true };
+      keyVault.setKeys(keys);
+      return { success: true, keys: keyVault.getStatus() };
     } catch (error) {
       console.error('❌ Error saving API keys:', error);
       throw error;
     }
   });
-  
-  ipcMain.handle('get-keys', (event) => {
+
+  handle('keys-remove', (event, { provider } = {}) => {
+    keyVault.removeKey(provider);
+    return { success: true, keys: keyVault.getStatus() };
+  });
+
+  // Tests the typed key if given, otherwise the saved one
+  handle('keys-test', (event, { provider, key } = {}) => {
+    return llmGateway.testKey(provider, key ? String(key).trim() : null);
+  });
+}
+
+function setupBackendIPC() {
+  handle('backend-get-config', () => {
+    return backend.getBackendConfig();
+  });
+
+  handle('backend-set-config', (event, { command, args, cwd, port, autoStart, autoRestart } = {}) => {
+    const workingDir = String(cwd || '').trim();
+    if (workingDir && !fs.existsSync(workingDir)) {
+      throw new Error(`Working directory not found: ${workingDir}`);
+    }
+
+    settings.set('backend', {
+      command: command.trim(),
+      args,
+      cwd: workingDir,
+      port,
+      autoStart: Boolean(autoStart),
+      autoRestart: autoRestart !== false
+    });
+    aetherSync.baseUrl = backend.baseUrl;
+    return { success: true, config: backend.getBackendConfig() };
+  });
+
+  handle('backend-status', () => {
+    return backend.getStatus();
+  });
+
+  handle('backend-start', () => {
+    return backend.start();
+  });
+
+  handle('backend-stop', () => {
+    return backend.stop();
+  });
+
+  handle('backend-restart', () => {
+    return backend.restart();
+  });
+
+  handle('backend-logs', (event, { limit } = {}) => {
+    return { logs: backend.getLogs(limit) };
+  });
+
+  backend.on('status', (status) => {
+    sendToRenderer('backend-status', status);
+    // Push local task changes as soon as the backend is up
+    if (status.state === 'running') {
+      aetherSync.sync();
+    }
+  });
+
+  backend.on('log', (entry) => {
+    sendToRenderer('backend-log', entry);
+  });
+}
+
+// Native notifications stop delivering clicks once garbage-collected
+const shownNotifications = new Set();
+
+// Bring the main window forward (re-creating it if it was closed), then run `then`
+function showMainWindow(then) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    createWindow();
+    mainWindow.webContents.once('did-finish-load', then);
+    return;
+  }
+  if (mainWindow.isMinimized()) {
+    mainWindow.restore();
+  }
+  mainWindow.show();
+  mainWindow.focus();
+  then();
+}
+
+function showReminderNotification({ title, body, taskId }) {
+  if (!Notification.isSupported()) return;
+
+  const notification = new Notification({
+    title,
+    body,
+    // Action buttons only show on macOS; elsewhere snooze is in the app
+    actions: taskId ? [{ type: 'button', text: `Snooze ${reminders.getReminderConfig().snoozeMinutes} min` }] : []
+  });
+  const release = () => shownNotifications.delete(notification);
+  notification.on('click', () => {
+    release();
+    showMainWindow(() => sendToRenderer('reminder-open', { taskId: taskId || null }));
+  });
+  notification.on('action', () => {
+    release();
+    reminders.snooze(taskId);
+  });
+  notification.on('close', release);
+  shownNotifications.add(notification);
+  notification.show();
+}
+
+function setupReminderIPC() {
+  handle('reminders-get-config', () => {
+    return reminders.getReminderConfig();
+  });
+
+  handle('reminders-set-config', (event, config = {}) => {
+    settings.set('reminders', { ...reminders.getReminderConfig(), ...config });
+    reminders.check();
+    return { success: true, config: reminders.getReminderConfig() };
+  });
+
+  handle('reminders-list', () => {
+    return { reminders: reminders.list() };
+  });
+
+  handle('reminders-snooze', (event, { taskId, minutes }) => {
+    return { success: true, ...reminders.snooze(taskId, minutes) };
+  });
+
+  handle('reminders-dismiss', (event, { taskId }) => {
+    return { success: true, ...reminders.dismiss(taskId) };
+  });
+
+  reminders.on('notification', (notification) => {
+    showReminderNotification(notification);
+    sendToRenderer('reminder-fired', notification);
+  });
+
+  reminders.on('changed', () => {
+    sendToRenderer('reminders-changed');
+  });
+}
+
+function setupOutputWatcherIPC() {
+  handle('watchers-get-config', () => {
+    return { ...outputWatcher.getWatcherConfig(), defaults: OutputWatcher.DEFAULT_WATCH_RULES };
+  });
+
+  handle('watchers-set-config', (event, { enabled, rules } = {}) => {
+    const config = outputWatcher.getWatcherConfig();
+    const next = {
+      enabled: enabled === undefined ? config.enabled : enabled,
+      rules: rules || config.rules
+    };
+    // Throws on the first pattern that does not compile
+    OutputWatcher.compileRules(next.rules);
+    settings.set('outputWatchers', next);
+    outputWatcher.reload();
+    return { success: true, config: outputWatcher.getWatcherConfig() };
+  });
+
+  handle('watchers-list-matches', () => {
+    return { matches: outputWatcher.list() };
+  });
+
+  outputWatcher.on('match', (match) => {
+    sendToRenderer('watcher-match', match);
+  });
+}
+
+function setupQuickCaptureIPC() {
+  handle('quick-capture-get-config', () => {
+    return quickCapture.getStatus();
+  });
+
+  handle('quick-capture-set-config', (event, { enabled, accelerator, refine } = {}) => {
+    settings.set('quickCapture', {
+      enabled: enabled !== false,
+      accelerator: accelerator.trim(),
+      refine: Boolean(refine)
+    });
+    const status = quickCapture.register();
+    return { success: !status.error, ...status };
+  });
+
+  handle('quick-capture-parse', (event, { text }) => {
+    return quickCapture.parse(text);
+  });
+
+  handle('quick-capture-refine', (event, { text }) => {
+    return quickCapture.refine(text);
+  });
+
+  handle('quick-capture-hide', () => {
+    quickCapture.hide();
+    return { success: true };
+  });
+}
+
+function setupLicenseIPC() {
+  handle('license-get-status', () => {
+    return licenseManager.getStatus();
+  });
+
+  handle('license-activate', (event, { license } = {}) => {
     try {
-      return store.get('apiKeys', {});
+      return { success: true, status: licenseManager.activate(license) };
     } catch (error) {
-      console.error('❌ Error loading API keys:', error);
-      return {};
+      return { success: false, error: error.message, code: error.code };
     }
   });
+
+  handle('license-remove', () => {
+    return { success: true, status: licenseManager.deactivate() };
+  });
+
+  licenseManager.on('changed', (status) => {
+    sendToRenderer('license-changed', status);
+  });
 }
 
 app.whenReady().then(() => {
+  // safeStorage is only usable once the app is ready
+  migrateLegacyKeys();
+  setupBridgeIPC();
+  setupTerminalIPC();
+  setupRecordingIPC();
+  setupTaskIPC();
+  setupProjectIPC();
+  setupScheduleIPC();
+  setupAnalyticsIPC();
+  setupImportExportIPC();
+  setupScreenshotIPC();
+  setupConversationIPC();
+  setupLLMIPC();
+  setupCouncilIPC();
+  setupKeysIPC();
+  setupLicenseIPC();
+  setupBackendIPC();
+  setupQuickCaptureIPC();
+  setupReminderIPC();
+  setupOutputWatcherIPC();
   createWindow();
+  quickCapture.register();
+  mcpServer.start().catch(error => console.error('❌ MCP server failed to start:', error.message));
+  if (backend.getBackendConfig().autoStart) {
+    backend.start();
+  }
+  aetherSync.start();
+  scheduler.start();
+  reminders.start();
   
   app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
+    if (!mainWindow || mainWindow.isDestroyed()) {
       createWindow();
     }
   });
 });
 
 app.on('window-all-closed', () => {
+  terminals.killAll();
+  council.cancelAll();
+  llmGateway.cancelAll();
   if (process.platform !== 'darwin') {
     app.quit();
   }
 });
+
+// Background services outlive the window on macOS (activate only reopens
+// the window), so they stop here. Cmd+Q quits without window-all-closed -
+// don't leave the backend behind, and close recordings so they aren't
+// marked interrupted. The quit waits for the backend to exit, since
+// Electron would otherwise be gone before SIGKILL is due.
+let quitting = false;
+app.on('will-quit', (event) => {
+  if (quitting) return;
+  quitting = true;
+  claudeLauncher.dispose();
+  aetherSync.stop();
+  scheduler.stop();
+  reminders.stop();
+  quickCapture.unregister();
+  recorder.stopAll();
+  outputWatcher.stopAll();
+  mcpServer.stop();
+
+  event.preventDefault();
+  Promise.allSettled([backend.stop()]).then(() => app.exit());
+});
@@ -0,0 +1,229 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const http = require('http');
+const { validatePayload } = require('./ipc-schema');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const MAX_BODY_BYTES = 1024 * 1024;
+const MCP_PATH = '/mcp';
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+class McpError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+  }
+}
+
+/**
+ * Minimal Model Context Protocol server (Streamable HTTP transport, JSON
+ * responses only) so Claude sessions launched from the app can call back
+ * into it. Listens on 127.0.0.1 with a random port and a bearer token that
+ * only the per-session --mcp-config files carry; requests with an Origin
+ * header (i.e. from a browser) are refused.
+ *
+ * Tools are `{ name, description, inputSchema, handler(args) }`; arguments
+ * are validated against inputSchema before the handler runs.
+ */
+class McpServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = options.name || 'flowsaver';
+    this.version = options.version || '1.0.0';
+    this.instructions = options.instructions || null;
+    this.tools = new Map((options.tools || []).map(tool => [tool.name, tool]));
+    this.toolSchemas = Object.fromEntries(Array.from(this.tools.values()).map(tool => [tool.name, tool.inputSchema]));
+    this.token = crypto.randomBytes(32).toString('hex');
+    this.server = null;
+    this.port = null;
+  }
+
+  start() {
+    if (this.server) {
+      return Promise.resolve(this.port);
+    }
+
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        console.log(`🔌 MCP server listening on http://127.0.0.1:${this.port}${MCP_PATH}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+      this.port = null;
+    }
+  }
+
+  get url() {
+    return this.port ? `http://127.0.0.1:${this.port}${MCP_PATH}` : null;
+  }
+
+  /**
+   * The `mcpServers` entry for a Claude CLI --mcp-config file, or null while
+   * the server is not running
+   */
+  getClientConfig() {
+    if (!this.url) return null;
+    return {
+      mcpServers: {
+        [this.name]: {
+          type: 'http',
+          url: this.url,
+          headers: { Authorization: `Bearer ${this.token}` }
+        }
+      }
+    };
+  }
+
+  isAuthorized(req) {
+    const expected = Buffer.from(`Bearer ${this.token}`);
+    const actual = Buffer.from(String(req.headers.authorization || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  async handleHttp(req, res) {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, body === undefined ? headers : { 'Content-Type': 'application/json', ...headers });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (new URL(req.url, 'http://127.0.0.1').pathname !== MCP_PATH) {
+      return send(404, { error: 'Not found' });
+    }
+    // Browsers always send Origin; the CLI never does (DNS rebinding guard)
+    if (req.headers.origin) {
+      return send(403, { error: 'Browser requests are not allowed' });
+    }
+    if (!this.isAuthorized(req)) {
+      return send(401, { error: 'Unauthorized' });
+    }
+    // No server-initiated stream (GET) and no sessions to end (DELETE)
+    if (req.method !== 'POST') {
+      return send(405, { error: 'Method not allowed' }, { Allow: 'POST' });
+    }
+
+    let message;
+    try {
+      message = JSON.parse(await readBody(req));
+    } catch (error) {
+      return send(400, rpcError(null, PARSE_ERROR, error.message));
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const responses = (await Promise.all(messages.map(item => this.handleMessage(item)))).filter(Boolean);
+
+    if (responses.length === 0) {
+      // Only notifications or responses
+      return send(202);
+    }
+    return send(200, Array.isArray(message) ? responses : responses[0]);
+  }
+
+  /**
+   * Handle one JSON-RPC message; returns the response, or null for notifications
+   */
+  async handleMessage(message) {
+    if (!message || message.jsonrpc !== '2.0') {
+      return rpcError(null, INVALID_REQUEST, 'Invalid JSON-RPC message');
+    }
+    // A response - the server never sends requests, so there is nothing to match
+    if (message.method === undefined) {
+      return null;
+    }
+    if (typeof message.method !== 'string') {
+      return rpcError(message.id ?? null, INVALID_REQUEST, 'Method must be a string');
+    }
+    const isNotification = message.id === undefined || message.id === null;
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {});
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      return rpcError(message.id, error instanceof McpError ? error.code : INVALID_PARAMS, error.message);
+    }
+  }
+
+  async dispatch(method, params) {
+    switch (method) {
+      case 'initialize': {
+        const requested = params.protocolVersion;
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name: this.name, version: this.version },
+          ...(this.instructions ? { instructions: this.instructions } : {})
+        };
+      }
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return {
+          tools: Array.from(this.tools.values()).map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+        };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {});
+      default:
+        if (method.startsWith('notifications/')) {
+          return {};
+        }
+        throw new McpError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Tool failures are results with isError, so the model sees the message
+   */
+  async callTool(name, args) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new McpError(INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    try {
+      validatePayload(name, args, this.toolSchemas);
+      const result = await tool.handler(args);
+      this.emit('tool-call', { name, args });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], isError: false };
+    } catch (error) {
+      console.warn(`⚠️ MCP tool ${name} failed:`, error.message);
+      return { content: [{ type: 'text', text: error.message }], isError: true };
+    }
+  }
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+      if (data.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+module.exports = McpServer;
+module.exports.McpError = McpError;
@@ -0,0 +1,124 @@
+const { TASK_PRIORITIES, TASK_STATUSES } = require('./task-store');
+
+/**
+ * FlowSaver tools for the MCP server: read and update tasks, look up
+ * projects and see what is on screen. Input schemas are plain JSON Schema,
+ * which is what MCP clients expect and what ipc-schema's validator checks.
+ */
+
+const taskId = { type: 'string', minLength: 1, maxLength: 128, description: 'Task ID (from list_tasks)' };
+
+// What the model sees of a task - enough to act on without the sync bookkeeping
+function describeTask(task) {
+  return {
+    id: task.id,
+    title: task.title,
+    description: task.description,
+    status: task.status,
+    priority: task.priority,
+    tags: task.tags,
+    deadline: task.deadline,
+    duration_minutes: task.duration_minutes,
+    project_id: task.project_id,
+    dependencies: task.dependencies,
+    created_at: task.created_at,
+    completed_at: task.completed_at
+  };
+}
+
+/**
+ * @param {Object} deps
+ * @param {TaskStore} deps.taskStore
+ * @param {ProjectStore} deps.projectStore
+ * @param {Function} deps.getUIContext - async, resolves to { source, context, snapshot }
+ */
+function createFlowSaverTools({ taskStore, projectStore, getUIContext }) {
+  const withStats = (project) => projectStore.withStats(project, taskStore.getAll());
+
+  return [
+    {
+      name: 'list_tasks',
+      description: 'List FlowSaver tasks, optionally filtered by status, priority, project or a text search.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: TASK_STATUSES },
+          priority: { type: 'string', enum: TASK_PRIORITIES },
+          project_id: { type: 'string', maxLength: 128 },
+          search: { type: 'string', maxLength: 500, description: 'Matches title and description' }
+        }
+      },
+      handler: ({ status, priority, project_id: projectId, search }) => ({
+        tasks: taskStore.list({ status, priority, projectId, search }).map(describeTask)
+      })
+    },
+    {
+      name: 'create_task',
+      description: 'Create a FlowSaver task, e.g. a follow-up found while working. Returns the new task.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 500 },
+          description: { type: 'string', maxLength: 10000 },
+          priority: { type: 'string', enum: TASK_PRIORITIES },
+          tags: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 50 } },
+          deadline: { type: 'string', maxLength: 64, description: 'ISO 8601 date or date-time' },
+          duration_minutes: { type: 'integer', minimum: 1, maximum: 100000, description: 'Estimated effort' },
+          project_id: { type: 'string', maxLength: 128 }
+        },
+        required: ['title']
+      },
+      handler: (args) => {
+        if (args.project_id && !projectStore.get(args.project_id)) {
+          throw new Error(`Project not found: ${args.project_id}`);
+        }
+        const task = taskStore.create(args);
+        return { task: describeTask(task) };
+      }
+    },
+    {
+      name: 'update_task_status',
+      description: 'Mark a FlowSaver task completed, or reopen it as active.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: taskId,
+          status: { type: 'string', enum: TASK_STATUSES }
+        },
+        required: ['id', 'status']
+      },
+      handler: ({ id, status }) => ({ task: describeTask(taskStore.update(id, { status })) })
+    },
+    {
+      name: 'get_project',
+      description: 'Get a FlowSaver project with its progress and tasks. Without an id, lists the active projects.',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', maxLength: 128 }
+        }
+      },
+      handler: ({ id }) => {
+        if (!id) {
+          return { projects: projectStore.list().map(withStats) };
+        }
+        const project = projectStore.get(id);
+        if (!project) {
+          throw new Error(`Project not found: ${id}`);
+        }
+        return { project: withStats(project), tasks: taskStore.list({ projectId: id }).map(describeTask) };
+      }
+    },
+    {
+      name: 'get_ui_context',
+      description: 'What the FlowSaver window is showing right now: current view, selected project, visible tasks and recent chat.',
+      inputSchema: { type: 'object', properties: {} },
+      handler: async () => {
+        const { source, context, snapshot } = await getUIContext();
+        return { source, context, snapshot: snapshot || null };
+      }
+    }
+  ];
+}
+
+module.exports = { createFlowSaverTools };
@@ -0,0 +1,71 @@
+const { execFile } = require('child_process');
+
+/**
+ * OCR engines share one small interface:
+ *
+ *   name                     - identifier used in settings and results
+ *   isAvailable()            - Promise<boolean>, cheap check that the engine can run
+ *   recognize(imagePath)     - Promise<string>, the text found in the image
+ *
+ * New engines register themselves with registerOcrEngine() and are picked by
+ * name through createOcrEngine().
+ */
+
+class TesseractCliEngine {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.binary = options.binary || 'tesseract';
+    this.language = options.language || 'eng';
+    this.timeout = options.timeout || 30000;
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.binary, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          error.message = `${this.binary} failed: ${stderr ? stderr.trim() : error.message}`;
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+  }
+
+  async isAvailable() {
+    try {
+      await this.run(['--version']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async recognize(imagePath) {
+    // "stdout" as the output base makes tesseract print instead of writing a .txt file
+    const text = await this.run([imagePath, 'stdout', '-l', this.language]);
+    return text.trim();
+  }
+}
+
+const engines = {
+  tesseract: TesseractCliEngine
+};
+
+function registerOcrEngine(name, EngineClass) {
+  engines[name] = EngineClass;
+}
+
+function createOcrEngine(name = 'tesseract', options = {}) {
+  const EngineClass = engines[name];
+  if (!EngineClass) {
+    throw new Error(`Unknown OCR engine: ${name}`);
+  }
+  return new EngineClass(options);
+}
+
+module.exports = {
+  TesseractCliEngine,
+  registerOcrEngine,
+  createOcrEngine
+};
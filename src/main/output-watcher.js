@@ -0,0 +1,353 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { stripAnsi } = require('./session-recorder');
+const { CLAUDE_EXIT_MARKER } = require('./claude-launcher');
+
+// Lines kept per session, for the context before a match
+const HISTORY_LINES = 40;
+const CONTEXT_BEFORE = 5;
+// A capture ends after this many lines, or when output pauses
+const MAX_CAPTURE_LINES = 40;
+const CAPTURE_QUIET_MS = 1500;
+// The same rule stays quiet this long in a session after it matched
+const RULE_COOLDOWN_MS = 30000;
+const MAX_PARTIAL_LINE = 4096;
+const MAX_RECENT_MATCHES = 50;
+// The shell's echo of the typed command shows `$?`, never digits, so only
+// the real report matches
+const CLAUDE_EXIT_LINE = new RegExp(`^${CLAUDE_EXIT_MARKER} (\\d+)$`);
+
+/**
+ * Output rules are regular expressions tested against each ANSI-stripped
+ * line. Exit rules fire when Claude exits non-zero - with the session, or
+ * as reported by the shell in an interactive one.
+ */
+const DEFAULT_WATCH_RULES = [
+  {
+    id: 'stack-trace',
+    name: 'Stack trace',
+    on: 'output',
+    pattern: '^Traceback \\(most recent call last\\)|^\\s+at \\S.*[:(]\\d+(?::\\d+)?\\)?$|^thread \'.*\' panicked at|^panic: |^(?:Uncaught )?[\\w$.]*(?:Error|Exception)(?::\\s|$)',
+    flags: '',
+    enabled: true
+  },
+  {
+    id: 'test-failure',
+    name: 'Failing tests',
+    on: 'output',
+    pattern: '^\\s*Tests?:\\s+\\d+ failed|^\\s*\\d+ failing$|^=+ .*\\b\\d+ failed\\b.* =+$|^test result: FAILED|^--- FAIL: |^FAIL\\s+\\S',
+    flags: '',
+    enabled: true
+  },
+  {
+    id: 'command-not-found',
+    name: 'Command not found',
+    on: 'output',
+    pattern: 'command not found|is not recognized as an internal or external command|^fish: Unknown command',
+    flags: 'i',
+    enabled: true
+  },
+  {
+    id: 'claude-error',
+    name: 'Claude CLI error',
+    on: 'output',
+    pattern: '^\\s*(?:API Error\\b|Invalid API key|Credit balance is too low|Claude (?:AI )?usage limit reached)',
+    flags: '',
+    enabled: true
+  },
+  {
+    id: 'claude-exit',
+    name: 'Claude CLI exited with an error',
+    on: 'exit',
+    enabled: true
+  }
+];
+
+const RULE_PRIORITIES = {
+  'stack-trace': 'high',
+  'test-failure': 'high',
+  'claude-exit': 'medium'
+};
+
+/**
+ * True when a repeated group contains a repeat, like (a+)+ or (?:\w+\s?)*,
+ * or alternatives, like (a|aa)+ or (\w|\d)+ - the shapes that backtrack
+ * catastrophically. Patterns run synchronously on every output line, so
+ * these are refused outright; a character class ([ab]+) covers most
+ * repeated alternatives safely.
+ */
+function hasRiskyRepeat(pattern) {
+  // One entry per open group: does it contain a quantifier, or a |?
+  const groups = [{ quantified: false, alternation: false }];
+  let inClass = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    const current = groups[groups.length - 1];
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      const next = pattern[index + 1];
+      const repeated = next === '*' || next === '+' || next === '{';
+      if (repeated && (group.quantified || group.alternation)) return true;
+      if (group.quantified || repeated) parent.quantified = true;
+      if (group.alternation) parent.alternation = true;
+    } else if (char === '|') {
+      current.alternation = true;
+    } else if (char === '*' || char === '+' || char === '{') {
+      current.quantified = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate and compile a rule list, throwing on the first bad pattern
+ */
+function compileRules(rules) {
+  return rules.map(rule => {
+    if (rule.on === 'exit') {
+      return { ...rule, regex: null };
+    }
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+      throw new Error(`"${rule.name}" needs a pattern`);
+    }
+    if (hasRiskyRepeat(rule.pattern)) {
+      throw new Error(`Invalid pattern for "${rule.name}": repeated groups holding a repeat or alternatives, like (a+)+ or (a|aa)+, can hang the app`);
+    }
+    try {
+      return { ...rule, regex: new RegExp(rule.pattern, rule.flags || '') };
+    } catch (error) {
+      throw new Error(`Invalid pattern for "${rule.name}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Watches terminal output for errors worth turning into tasks. Each PTY
+ * chunk is fed in as it arrives; complete lines are stripped of ANSI codes
+ * and tested against the enabled rules. A match opens a capture - a few
+ * lines of context before it and the output that follows, until the output
+ * pauses - which is emitted as 'match' with a suggested task.
+ *
+ * Rules come from settings (the defaults until edited) and are recompiled
+ * when the config changes.
+ */
+class OutputWatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getConfig - saved watcher settings
+   */
+  constructor(options = {}) {
+    super();
+    this.getConfig = options.getConfig || (() => ({}));
+    this.sessions = new Map();
+    this.recent = [];
+    this.rules = null;
+  }
+
+  getWatcherConfig() {
+    const saved = this.getConfig();
+    return {
+      enabled: saved.enabled !== false,
+      rules: Array.isArray(saved.rules) ? saved.rules : DEFAULT_WATCH_RULES
+    };
+  }
+
+  // Compiled lazily; reload() drops them after a settings change
+  getRules() {
+    if (!this.rules) {
+      try {
+        this.rules = compileRules(this.getWatcherConfig().rules).filter(rule => rule.enabled);
+      } catch (error) {
+        console.warn('⚠️ Output watcher rules ignored:', error.message);
+        this.rules = [];
+      }
+    }
+    return this.rules;
+  }
+
+  reload() {
+    this.rules = null;
+  }
+
+  getSession(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, {
+        partial: '',
+        history: [],
+        capture: null,
+        cooldowns: new Map(),
+        claude: false
+      });
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  // Exit rules only apply to sessions that ran Claude
+  claudeStarted(sessionId) {
+    this.getSession(sessionId).claude = true;
+  }
+
+  feed(sessionId, data) {
+    if (!this.getWatcherConfig().enabled) return;
+
+    const state = this.getSession(sessionId);
+    const pieces = (state.partial + stripAnsi(data)).split(/\r?\n/);
+    state.partial = pieces.pop();
+    if (state.partial.length > MAX_PARTIAL_LINE) {
+      pieces.push(state.partial);
+      state.partial = '';
+    }
+    // Progress bars redraw with \r; only the last redraw counts
+    pieces.forEach(piece => this.line(sessionId, state, piece.slice(piece.lastIndexOf('\r') + 1)));
+  }
+
+  matchRule(state, line) {
+    if (!line.trim()) return null;
+    const now = Date.now();
+    return this.getRules().find(rule => rule.regex
+      && (state.cooldowns.get(rule.id) || 0) <= now
+      && rule.regex.test(line)) || null;
+  }
+
+  line(sessionId, state, line) {
+    const exitReport = state.claude && line.trim().match(CLAUDE_EXIT_LINE);
+    if (exitReport) {
+      this.flush(sessionId);
+      this.claudeExited(sessionId, state, Number(exitReport[1]));
+    }
+
+    const rule = this.matchRule(state, line);
+    // Another rule's match starts its own capture
+    if (state.capture && rule && rule.id !== state.capture.rule.id) {
+      this.flush(sessionId);
+    }
+
+    if (state.capture) {
+      state.capture.lines.push(line);
+      if (state.capture.lines.length >= MAX_CAPTURE_LINES) {
+        this.flush(sessionId);
+      } else {
+        this.armCapture(sessionId, state);
+      }
+    } else if (rule) {
+      state.capture = {
+        rule,
+        line: line.trim(),
+        lines: [...state.history.slice(-CONTEXT_BEFORE), line],
+        timer: null
+      };
+      this.armCapture(sessionId, state);
+    }
+
+    state.history.push(line);
+    if (state.history.length > HISTORY_LINES) {
+      state.history.shift();
+    }
+  }
+
+  armCapture(sessionId, state) {
+    clearTimeout(state.capture.timer);
+    state.capture.timer = setTimeout(() => this.flush(sessionId), CAPTURE_QUIET_MS);
+  }
+
+  flush(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state || !state.capture) return null;
+
+    const { rule, line, lines, timer } = state.capture;
+    clearTimeout(timer);
+    state.capture = null;
+    state.cooldowns.set(rule.id, Date.now() + RULE_COOLDOWN_MS);
+    return this.report(sessionId, rule, line, trimBlankLines(lines).join('\n'));
+  }
+
+  /**
+   * End of a session: finish any open capture, then apply exit rules
+   */
+  exit(sessionId, exitCode) {
+    const state = this.sessions.get(sessionId);
+    if (!state) return;
+
+    this.flush(sessionId);
+    this.claudeExited(sessionId, state, exitCode);
+    this.sessions.delete(sessionId);
+  }
+
+  // Apply exit rules once per Claude run
+  claudeExited(sessionId, state, exitCode) {
+    if (!state.claude) return;
+    state.claude = false;
+
+    const rule = this.getRules().find(candidate => candidate.on === 'exit');
+    if (rule && exitCode !== undefined && exitCode !== null && exitCode !== 0
+      && this.getWatcherConfig().enabled) {
+      const output = trimBlankLines([...state.history, state.partial].slice(-MAX_CAPTURE_LINES)).join('\n');
+      this.report(sessionId, rule, `Claude exited with code ${exitCode}`, output);
+    }
+  }
+
+  // Drop a session without reporting, e.g. when it was killed
+  forget(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (state && state.capture) {
+      clearTimeout(state.capture.timer);
+    }
+    this.sessions.delete(sessionId);
+  }
+
+  report(sessionId, rule, line, output) {
+    const summary = line.length > 100 ? `${line.slice(0, 97)}...` : line;
+    const match = {
+      id: crypto.randomUUID(),
+      sessionId,
+      rule: { id: rule.id, name: rule.name },
+      line: summary,
+      output,
+      at: new Date().toISOString(),
+      task: {
+        title: `${rule.name}: ${summary}`,
+        description: `Captured from the ${sessionId} terminal:\n\n${output}`,
+        priority: RULE_PRIORITIES[rule.id] || 'medium',
+        tags: ['terminal', rule.id]
+      }
+    };
+
+    this.recent.unshift(match);
+    this.recent.length = Math.min(this.recent.length, MAX_RECENT_MATCHES);
+    this.emit('match', match);
+    return match;
+  }
+
+  list() {
+    return this.recent;
+  }
+
+  get(matchId) {
+    return this.recent.find(match => match.id === matchId) || null;
+  }
+
+  stopAll() {
+    Array.from(this.sessions.keys()).forEach(sessionId => this.forget(sessionId));
+  }
+}
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+}
+
+module.exports = OutputWatcher;
+module.exports.DEFAULT_WATCH_RULES = DEFAULT_WATCH_RULES;
+module.exports.compileRules = compileRules;
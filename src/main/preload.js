@@ -0,0 +1,61 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+/**
+ * The only door from the renderer into Electron. Pages run with
+ * contextIsolation and without Node, and see window.electronAPI with
+ * invoke/send/on limited to the channels whitelisted in ipc-schema.js
+ * (payloads are validated again by the main-process handlers).
+ */
+
+// Sandboxed preloads can't require local files, so main hands over the whitelist
+const channels = ipcRenderer.sendSync('ipc-get-channels');
+const allowed = {
+  invoke: new Set(channels.invoke),
+  send: new Set(channels.send),
+  events: new Set(channels.events)
+};
+
+function assertAllowed(kind, channel) {
+  if (!allowed[kind].has(channel)) {
+    throw new Error(`IPC channel not allowed: ${channel}`);
+  }
+}
+
+// callback -> wrapped listener, so removeListener can find what on() registered
+const listeners = new Map();
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  invoke: (channel, payload) => {
+    assertAllowed('invoke', channel);
+    return ipcRenderer.invoke(channel, payload);
+  },
+
+  send: (channel, payload) => {
+    assertAllowed('send', channel);
+    ipcRenderer.send(channel, payload);
+  },
+
+  /**
+   * Subscribe to a main-process event. The IpcRendererEvent is not passed
+   * on (it carries `sender`); returns a function that unsubscribes.
+   */
+  on: (channel, callback) => {
+    assertAllowed('events', channel);
+    const listener = (event, payload) => callback(payload);
+    if (!listeners.has(callback)) {
+      listeners.set(callback, new Map());
+    }
+    listeners.get(callback).set(channel, listener);
+    ipcRenderer.on(channel, listener);
+    return () => ipcRenderer.removeListener(channel, listener);
+  },
+
+  removeListener: (channel, callback) => {
+    const byChannel = listeners.get(callback);
+    const listener = byChannel && byChannel.get(channel);
+    if (listener) {
+      ipcRenderer.removeListener(channel, listener);
+      byChannel.delete(channel);
+    }
+  }
+});
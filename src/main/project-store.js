@@ -0,0 +1,215 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const Store = require('electron-store');
+
+const PROJECT_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const PROJECT_STATUSES = ['active', 'archived'];
+
+const EDITABLE_FIELDS = ['name', 'description', 'deadline', 'priority'];
+
+// UUIDs, or the slugs of the seed projects; anything else is refused on restore
+const PROJECT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Projects that used to be hard-coded in the renderer, kept as first-run data
+const SEED_PROJECTS = [
+  {
+    id: 'pizza-directory',
+    name: 'Pizza Lovers Directory',
+    description: 'Building comprehensive pizza directory with ratings and reviews',
+    deadline: '2025-09-15',
+    priority: 'high'
+  },
+  {
+    id: 'trinity-motion',
+    name: 'Trinity Aether Motion',
+    description: 'AI-powered project management system with multi-terminal integration',
+    deadline: '2025-09-10',
+    priority: 'critical'
+  },
+  {
+    id: 'ai-council',
+    name: 'AI Council Integration',
+    description: '4-AI collaboration system for complex decision making',
+    deadline: '2025-09-20',
+    priority: 'medium'
+  },
+  {
+    id: 'logos-builder',
+    name: 'Logos App Builder',
+    description: 'Visual drag-and-drop application builder interface',
+    deadline: '2025-10-01',
+    priority: 'low'
+  }
+];
+
+/**
+ * On-disk project entities. Progress is never stored - it is derived from the
+ * project's tasks each time a project is read through withStats().
+ */
+class ProjectStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new Store({ name: 'projects' });
+
+    if (!this.store.has('projects')) {
+      const now = new Date().toISOString();
+      this.store.set('projects', SEED_PROJECTS.map(project => this.normalize({
+        ...project,
+        status: 'active',
+        created_at: now,
+        updated_at: now
+      })));
+    }
+  }
+
+  getAll() {
+    return this.store.get('projects', []);
+  }
+
+  saveAll(projects) {
+    this.store.set('projects', projects);
+    this.emit('changed', projects);
+  }
+
+  get(id) {
+    return this.getAll().find(project => project.id === id) || null;
+  }
+
+  list({ includeArchived = false } = {}) {
+    return this.getAll().filter(project => includeArchived || project.status === 'active');
+  }
+
+  create(data = {}) {
+    const now = new Date().toISOString();
+    const project = this.normalize({
+      id: crypto.randomUUID(),
+      description: '',
+      deadline: null,
+      priority: 'medium',
+      ...pick(data, EDITABLE_FIELDS),
+      status: 'active',
+      created_at: now,
+      updated_at: now
+    });
+
+    this.saveAll([...this.getAll(), project]);
+    return project;
+  }
+
+  update(id, changes = {}) {
+    const projects = this.getAll();
+    const index = projects.findIndex(project => project.id === id);
+    if (index === -1) {
+      throw new Error(`Project not found: ${id}`);
+    }
+
+    projects[index] = this.normalize({
+      ...projects[index],
+      ...pick(changes, EDITABLE_FIELDS),
+      updated_at: new Date().toISOString()
+    });
+    this.saveAll(projects);
+    return projects[index];
+  }
+
+  /**
+   * Replace every project, e.g. when restoring a backup
+   */
+  replaceAll(projects = []) {
+    const restored = projects.map(project => {
+      const id = project.id === undefined ? crypto.randomUUID() : String(project.id);
+      if (!PROJECT_ID_PATTERN.test(id)) {
+        throw new Error(`Invalid project ID: ${id.slice(0, 64)}`);
+      }
+      return this.normalize({
+        description: '',
+        deadline: null,
+        priority: 'medium',
+        status: 'active',
+        created_at: new Date().toISOString(),
+        ...project,
+        id
+      });
+    });
+    this.saveAll(restored);
+    return restored;
+  }
+
+  setStatus(id, status) {
+    const projects = this.getAll();
+    const project = projects.find(p => p.id === id);
+    if (!project) {
+      throw new Error(`Project not found: ${id}`);
+    }
+
+    project.status = status;
+    project.updated_at = new Date().toISOString();
+    this.saveAll(projects);
+    return project;
+  }
+
+  archive(id) {
+    return this.setStatus(id, 'archived');
+  }
+
+  restore(id) {
+    return this.setStatus(id, 'active');
+  }
+
+  /**
+   * Attach task counts and a completion percentage computed from `tasks`.
+   */
+  withStats(project, tasks) {
+    const projectTasks = tasks.filter(task => task.project_id === project.id);
+    const completed = projectTasks.filter(task => task.status === 'completed').length;
+
+    return {
+      ...project,
+      task_count: projectTasks.length,
+      completed_count: completed,
+      progress: projectTasks.length === 0 ? 0 : Math.round((completed / projectTasks.length) * 100)
+    };
+  }
+
+  normalize(project) {
+    const name = String(project.name || '').trim();
+    if (!name) {
+      throw new Error('Project name is required');
+    }
+    if (!PROJECT_PRIORITIES.includes(project.priority)) {
+      throw new Error(`Invalid project priority: ${project.priority}`);
+    }
+    if (!PROJECT_STATUSES.includes(project.status)) {
+      throw new Error(`Invalid project status: ${project.status}`);
+    }
+
+    let deadline = null;
+    if (project.deadline) {
+      const parsed = new Date(project.deadline);
+      if (Number.isNaN(parsed.getTime())) {
+        throw new Error(`Invalid project deadline: ${project.deadline}`);
+      }
+      deadline = parsed.toISOString();
+    }
+
+    return {
+      ...project,
+      name,
+      description: String(project.description || ''),
+      deadline
+    };
+  }
+}
+
+function pick(source, keys) {
+  const result = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) {
+      result[key] = source[key];
+    }
+  }
+  return result;
+}
+
+module.exports = ProjectStore;
+module.exports.PROJECT_PRIORITIES = PROJECT_PRIORITIES;
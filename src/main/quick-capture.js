@@ -0,0 +1,219 @@
+const { BrowserWindow, globalShortcut, screen } = require('electron');
+const path = require('path');
+const { requestJson } = require('./http-client');
+const { parseTaskText, mergeRefinement } = require('./task-parser');
+
+const DEFAULT_QUICK_CAPTURE_CONFIG = {
+  enabled: true,
+  accelerator: 'CommandOrControl+Shift+Space',
+  // Ask Aether's consciousness to tidy up the local parse
+  refine: false
+};
+
+const WINDOW_WIDTH = 640;
+const WINDOW_HEIGHT = 260;
+const REFINE_TIMEOUT = 8000;
+
+/**
+ * Global-hotkey capture window: a small always-on-top box that turns
+ * "review PR for pizza-directory tomorrow 3pm 45m high" into a task. The
+ * page saves through tasks-create like the Tasks form does; this class owns
+ * the shortcut, the window and the parsing behind quick-capture-parse/refine.
+ */
+class QuickCapture {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getConfig - saved quick capture settings
+   * @param {Function} options.getProjects - projects "for <name>" can match
+   * @param {Function} [options.getDueTime] - "HH:MM" for entries with only a day
+   * @param {Function} [options.getBaseUrl] - Aether base URL, for refinement
+   */
+  constructor(options = {}) {
+    this.getConfig = options.getConfig || (() => ({}));
+    this.getProjects = options.getProjects || (() => []);
+    this.getDueTime = options.getDueTime || (() => undefined);
+    this.getBaseUrl = options.getBaseUrl || (() => 'http://localhost:8000');
+    this.window = null;
+    this.accelerator = null;
+    this.registered = false;
+    this.lastError = null;
+  }
+
+  getQuickCaptureConfig() {
+    return { ...DEFAULT_QUICK_CAPTURE_CONFIG, ...this.getConfig() };
+  }
+
+  getStatus() {
+    return { config: this.getQuickCaptureConfig(), registered: this.registered, error: this.lastError };
+  }
+
+  /**
+   * (Re)register the global shortcut from the saved config. Another app may
+   * already own the accelerator; that is reported, not thrown.
+   */
+  register() {
+    this.unregister();
+    const { enabled, accelerator } = this.getQuickCaptureConfig();
+    if (!enabled) {
+      return this.getStatus();
+    }
+
+    try {
+      this.registered = globalShortcut.register(accelerator, () => this.toggle());
+      this.lastError = this.registered ? null : `${accelerator} is already used by another application`;
+    } catch (error) {
+      this.lastError = `Invalid shortcut: ${accelerator}`;
+    }
+
+    if (this.registered) {
+      this.accelerator = accelerator;
+    } else {
+      console.warn(`⚠️ Quick capture shortcut not registered: ${this.lastError}`);
+    }
+    return this.getStatus();
+  }
+
+  unregister() {
+    if (this.accelerator) {
+      globalShortcut.unregister(this.accelerator);
+    }
+    this.accelerator = null;
+    this.registered = false;
+    this.lastError = null;
+  }
+
+  createWindow() {
+    const window = new BrowserWindow({
+      width: WINDOW_WIDTH,
+      height: WINDOW_HEIGHT,
+      show: false,
+      frame: false,
+      resizable: false,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      fullscreenable: false,
+      backgroundColor: '#1a1a2e',
+      webPreferences: {
+        preload: path.join(__dirname, 'preload.js'),
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true
+      }
+    });
+
+    // Clicking elsewhere dismisses it, like a launcher
+    window.on('blur', () => window.hide());
+    window.loadFile(path.join(__dirname, '../renderer/quick-capture.html'));
+    return window;
+  }
+
+  show() {
+    if (!this.window || this.window.isDestroyed()) {
+      this.window = this.createWindow();
+    }
+    const window = this.window;
+
+    // Open on the display the pointer is on, a little above the middle
+    const { workArea } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    window.setPosition(
+      Math.round(workArea.x + (workArea.width - WINDOW_WIDTH) / 2),
+      Math.round(workArea.y + workArea.height / 4)
+    );
+
+    const reveal = () => {
+      window.show();
+      window.focus();
+      window.webContents.send('quick-capture-shown');
+    };
+    if (window.webContents.isLoading()) {
+      window.webContents.once('did-finish-load', reveal);
+    } else {
+      reveal();
+    }
+  }
+
+  hide() {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.hide();
+    }
+  }
+
+  toggle() {
+    if (this.window && !this.window.isDestroyed() && this.window.isVisible()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  // The window is only hidden between captures; this really closes it
+  destroy() {
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.destroy();
+    }
+    this.window = null;
+  }
+
+  parse(text) {
+    return parseTaskText(text, { projects: this.getProjects(), dueTime: this.getDueTime() });
+  }
+
+  /**
+   * The local parse, refined by Aether's consciousness when that is switched
+   * on. Refinement only fills gaps; if Aether is down or answers with
+   * something unusable, the local parse is returned as is.
+   */
+  async refine(text) {
+    const draft = this.parse(text);
+    if (!this.getQuickCaptureConfig().refine) {
+      return draft;
+    }
+
+    const projects = this.getProjects();
+    try {
+      const data = await requestJson(`${this.getBaseUrl()}/consciousness/query`, {
+        method: 'POST',
+        timeout: REFINE_TIMEOUT,
+        body: {
+          query: 'Turn this quick note into a task. Reply with JSON only: '
+            + '{"title": string, "priority": "low" | "medium" | "high", "project": project name or null, '
+            + '"deadline": ISO 8601 date-time or null, "duration_minutes": number or null}. '
+            + `Note: ${text}`,
+          context: {
+            now: new Date().toISOString(),
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            projects: projects.map(project => project.name),
+            local_parse: draft
+          }
+        }
+      });
+      return mergeRefinement(draft, extractRefinement(data), { projects });
+    } catch (error) {
+      console.warn('⚠️ Quick capture refinement failed:', error.message);
+      return { ...draft, refineError: error.message };
+    }
+  }
+}
+
+/**
+ * Task fields from a consciousness answer: a JSON object in its `response`
+ * text, or an object returned directly
+ */
+function extractRefinement(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (data.task && typeof data.task === 'object') return data.task;
+  if (typeof data.title === 'string') return data;
+
+  const text = typeof data.response === 'string' ? data.response : '';
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start < 0 || end <= start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = QuickCapture;
+module.exports.DEFAULT_QUICK_CAPTURE_CONFIG = DEFAULT_QUICK_CAPTURE_CONFIG;
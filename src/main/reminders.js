@@ -0,0 +1,289 @@
+const { EventEmitter } = require('events');
+const Store = require('electron-store');
+
+const CHECK_INTERVAL = 60000; // 1 minute
+const MINUTE_MS = 60000;
+// More due at once than this (e.g. after a long time closed) become one notification
+const MAX_SEPARATE_NOTIFICATIONS = 3;
+// Entries for completed tasks are kept this long past the deadline, in case
+// the task is reopened; an open task's entries are kept as long as it is open
+const STATE_RETENTION_MS = 30 * 24 * 60 * MINUTE_MS;
+
+const DEFAULT_REMINDER_CONFIG = {
+  enabled: true,
+  // Minutes before the deadline, per task priority
+  leadMinutes: { high: 120, medium: 60, low: 30 },
+  snoozeMinutes: 15,
+  quietHours: { enabled: false, start: '22:00', end: '08:00' },
+  digest: { enabled: true, time: '09:00' }
+};
+
+function parseClock(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+function localDay(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Deadline reminders. Every minute, each open task with a deadline is
+ * checked against its priority's lead time; due reminders are emitted as
+ * 'notification' ({ kind, title, body, taskId, reminders }), which main.js
+ * shows natively and forwards to the renderer.
+ *
+ * What has fired, been snoozed or dismissed is kept per task *and*
+ * deadline, in its own electron-store, so moving a deadline re-arms the
+ * reminder and nothing fires twice across restarts. Anything that came due
+ * while the app was closed fires on the first check after start.
+ *
+ * Nothing fires during quiet hours; it waits for them to end. Once a day,
+ * at digest time, a digest of what is due today and overdue is sent.
+ */
+class ReminderScheduler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {TaskStore} options.taskStore
+   * @param {Function} options.getConfig - saved reminder settings
+   * @param {Object} [options.store] - electron-store for reminder state
+   */
+  constructor(options = {}) {
+    super();
+    this.taskStore = options.taskStore;
+    this.getConfig = options.getConfig || (() => ({}));
+    this.store = options.store || new Store({
+      name: 'reminders',
+      defaults: {
+        // "<taskId>|<deadline>" -> { status: 'fired' | 'snoozed' | 'dismissed', at, until }
+        entries: {},
+        lastDigestDay: null
+      }
+    });
+    this.timer = null;
+  }
+
+  getReminderConfig() {
+    const saved = this.getConfig();
+    return {
+      ...DEFAULT_REMINDER_CONFIG,
+      ...saved,
+      leadMinutes: { ...DEFAULT_REMINDER_CONFIG.leadMinutes, ...(saved.leadMinutes || {}) },
+      quietHours: { ...DEFAULT_REMINDER_CONFIG.quietHours, ...(saved.quietHours || {}) },
+      digest: { ...DEFAULT_REMINDER_CONFIG.digest, ...(saved.digest || {}) }
+    };
+  }
+
+  static keyFor(task) {
+    return `${task.id}|${task.deadline}`;
+  }
+
+  getEntries() {
+    return this.store.get('entries', {});
+  }
+
+  setEntry(task, entry) {
+    this.store.set('entries', { ...this.getEntries(), [ReminderScheduler.keyFor(task)]: entry });
+  }
+
+  isQuietTime(now, config = this.getReminderConfig()) {
+    const { enabled, start, end } = config.quietHours;
+    if (!enabled) return false;
+
+    const current = minutesOfDay(now);
+    const from = parseClock(start);
+    const to = parseClock(end);
+    // A range like 22:00-08:00 wraps past midnight
+    return from <= to ? current >= from && current < to : current >= from || current < to;
+  }
+
+  /**
+   * When the reminder for `task` is (or was) due, honouring a snooze
+   */
+  remindAt(task, config = this.getReminderConfig(), entries = this.getEntries()) {
+    const entry = entries[ReminderScheduler.keyFor(task)];
+    if (entry && entry.status === 'snoozed') {
+      return new Date(entry.until);
+    }
+    if (entry) {
+      return null; // fired or dismissed
+    }
+    const lead = Number(config.leadMinutes[task.priority]) || 0;
+    return new Date(new Date(task.deadline).getTime() - lead * MINUTE_MS);
+  }
+
+  /**
+   * Open tasks with a deadline and when each will remind, soonest first
+   */
+  list() {
+    const config = this.getReminderConfig();
+    const entries = this.getEntries();
+    return this.taskStore.getAll()
+      .filter(task => task.status === 'active' && task.deadline)
+      .map(task => {
+        const entry = entries[ReminderScheduler.keyFor(task)] || null;
+        const remindAt = this.remindAt(task, config, entries);
+        return {
+          task_id: task.id,
+          title: task.title,
+          priority: task.priority,
+          deadline: task.deadline,
+          remind_at: remindAt ? remindAt.toISOString() : null,
+          status: entry ? entry.status : 'pending'
+        };
+      })
+      .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+  }
+
+  check(now = new Date()) {
+    const config = this.getReminderConfig();
+    if (!config.enabled || this.isQuietTime(now, config)) {
+      return [];
+    }
+
+    this.prune(now);
+    const entries = this.getEntries();
+    const due = this.taskStore.getAll().filter(task => {
+      if (task.status !== 'active' || !task.deadline) return false;
+      const remindAt = this.remindAt(task, config, entries);
+      return remindAt !== null && remindAt <= now;
+    });
+
+    due.forEach(task => this.setEntry(task, { status: 'fired', at: now.toISOString() }));
+    const reminders = due.map(task => describeReminder(task, now));
+
+    if (reminders.length > MAX_SEPARATE_NOTIFICATIONS) {
+      this.emit('notification', {
+        kind: 'batch',
+        title: `⏰ ${reminders.length} task reminders`,
+        body: reminders.slice(0, 5).map(reminder => `• ${reminder.title} (${reminder.when})`).join('\n'),
+        reminders
+      });
+    } else {
+      reminders.forEach(reminder => this.emit('notification', {
+        kind: 'reminder',
+        title: `⏰ ${reminder.title}`,
+        body: `${reminder.when} · ${reminder.priority} priority`,
+        taskId: reminder.task_id,
+        reminders: [reminder]
+      }));
+    }
+    if (reminders.length) {
+      this.emit('changed');
+    }
+
+    this.checkDigest(now, config);
+    return reminders;
+  }
+
+  /**
+   * The daily digest, sent at the first check on or after digest time
+   */
+  checkDigest(now, config = this.getReminderConfig()) {
+    const today = localDay(now);
+    if (!config.digest.enabled || this.store.get('lastDigestDay') === today) return null;
+    if (minutesOfDay(now) < parseClock(config.digest.time)) return null;
+
+    this.store.set('lastDigestDay', today);
+    const endOfDay = new Date(now);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const open = this.taskStore.getAll().filter(task => task.status === 'active' && task.deadline);
+    const overdue = open.filter(task => new Date(task.deadline) < now);
+    const dueToday = open.filter(task => new Date(task.deadline) >= now && new Date(task.deadline) <= endOfDay);
+    if (!overdue.length && !dueToday.length) return null;
+
+    const digest = {
+      day: today,
+      due_today: dueToday.map(task => describeReminder(task, now)),
+      overdue: overdue.map(task => describeReminder(task, now))
+    };
+    const parts = [
+      dueToday.length ? `${dueToday.length} due today` : null,
+      overdue.length ? `${overdue.length} overdue` : null
+    ].filter(Boolean);
+
+    this.emit('notification', {
+      kind: 'digest',
+      title: `📅 Today: ${parts.join(', ')}`,
+      body: [...dueToday, ...overdue].slice(0, 5).map(task => `• ${task.title}`).join('\n'),
+      reminders: [...digest.due_today, ...digest.overdue]
+    });
+    return digest;
+  }
+
+  snooze(taskId, minutes = this.getReminderConfig().snoozeMinutes) {
+    const task = this.requireTask(taskId);
+    const until = new Date(Date.now() + minutes * MINUTE_MS).toISOString();
+    this.setEntry(task, { status: 'snoozed', at: new Date().toISOString(), until });
+    this.emit('changed');
+    return { taskId, until };
+  }
+
+  // No more reminders for this deadline (moving the deadline re-arms it)
+  dismiss(taskId) {
+    const task = this.requireTask(taskId);
+    this.setEntry(task, { status: 'dismissed', at: new Date().toISOString() });
+    this.emit('changed');
+    return { taskId };
+  }
+
+  requireTask(taskId) {
+    const task = this.taskStore.get(taskId);
+    if (!task || !task.deadline) {
+      throw new Error(`No reminder for task: ${taskId}`);
+    }
+    return task;
+  }
+
+  // Forget entries for deleted tasks, changed deadlines and tasks long done.
+  // Dropping an open task's entry would make it fire again.
+  prune(now = new Date()) {
+    const withDeadline = this.taskStore.getAll().filter(task => task.deadline);
+    const open = new Set(withDeadline.filter(task => task.status === 'active').map(ReminderScheduler.keyFor));
+    const done = new Set(withDeadline.filter(task => task.status !== 'active').map(ReminderScheduler.keyFor));
+    const entries = this.getEntries();
+    const kept = Object.fromEntries(Object.entries(entries).filter(([key]) => {
+      const deadline = new Date(key.slice(key.indexOf('|') + 1));
+      return open.has(key) || (done.has(key) && now - deadline < STATE_RETENTION_MS);
+    }));
+    if (Object.keys(kept).length !== Object.keys(entries).length) {
+      this.store.set('entries', kept);
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    // Catch up on anything that came due while the app was closed
+    this.check();
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+function describeReminder(task, now) {
+  const minutes = Math.round((new Date(task.deadline) - now) / MINUTE_MS);
+  let when;
+  if (minutes < 0) {
+    when = `overdue since ${new Date(task.deadline).toLocaleString()}`;
+  } else if (minutes < 60) {
+    when = `due in ${minutes} min`;
+  } else {
+    when = `due ${new Date(task.deadline).toLocaleString()}`;
+  }
+  return { task_id: task.id, title: task.title, priority: task.priority, deadline: task.deadline, when };
+}
+
+module.exports = ReminderScheduler;
+module.exports.DEFAULT_REMINDER_CONFIG = DEFAULT_REMINDER_CONFIG;
@@ -0,0 +1,234 @@
+const { EventEmitter } = require('events');
+
+const DEFAULT_WORKING_HOURS = {
+  start: '09:00',
+  end: '17:00',
+  days: [1, 2, 3, 4, 5] // Monday-Friday (Date#getDay numbering)
+};
+
+const DEFAULT_DURATION_MINUTES = 30;
+const PLANNING_HORIZON_DAYS = 14;
+const SLOT_GRANULARITY_MINUTES = 5;
+const OVERRUN_CHECK_INTERVAL = 60000; // 1 minute
+
+const PRIORITY_WEIGHT = { high: 3, medium: 2, low: 1 };
+
+function parseClock(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return { hours: hours || 0, minutes: minutes || 0 };
+}
+
+function roundUp(date, minutes) {
+  const step = minutes * 60000;
+  return new Date(Math.ceil(date.getTime() / step) * step);
+}
+
+/**
+ * Yield the working-hour windows from `from` onward, clipped so the first
+ * window never starts in the past.
+ */
+function* workingWindows(from, workingHours, horizonDays) {
+  const start = parseClock(workingHours.start);
+  const end = parseClock(workingHours.end);
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+
+  for (let i = 0; i < horizonDays; i++) {
+    if (workingHours.days.includes(day.getDay())) {
+      const windowStart = new Date(day);
+      windowStart.setHours(start.hours, start.minutes, 0, 0);
+      const windowEnd = new Date(day);
+      windowEnd.setHours(end.hours, end.minutes, 0, 0);
+
+      const clippedStart = windowStart < from ? from : windowStart;
+      if (clippedStart < windowEnd) {
+        yield { start: clippedStart, end: windowEnd };
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+}
+
+/**
+ * Order active tasks so dependencies come first, then by deadline (earliest
+ * first, undated last), priority and age. Tasks stuck in a dependency cycle
+ * or waiting on another blocked task are returned separately.
+ */
+function orderTasks(tasks) {
+  const active = tasks.filter(task => task.status === 'active');
+  const activeIds = new Set(active.map(task => task.id));
+  const placed = new Set();
+  const ordered = [];
+
+  const compare = (a, b) => {
+    const aDeadline = a.deadline ? new Date(a.deadline).getTime() : Infinity;
+    const bDeadline = b.deadline ? new Date(b.deadline).getTime() : Infinity;
+    if (aDeadline !== bDeadline) return aDeadline - bDeadline;
+    const weight = (PRIORITY_WEIGHT[b.priority] || 0) - (PRIORITY_WEIGHT[a.priority] || 0);
+    if (weight !== 0) return weight;
+    return new Date(a.created_at) - new Date(b.created_at);
+  };
+
+  // Dependencies on completed or unknown tasks are already satisfied
+  const pendingDeps = (task) => (task.dependencies || []).filter(id => activeIds.has(id) && !placed.has(id));
+
+  let remaining = [...active];
+  while (remaining.length > 0) {
+    const ready = remaining.filter(task => pendingDeps(task).length === 0).sort(compare);
+    if (ready.length === 0) break;
+
+    const next = ready[0];
+    ordered.push(next);
+    placed.add(next.id);
+    remaining = remaining.filter(task => task !== next);
+  }
+
+  return { ordered, blocked: remaining };
+}
+
+/**
+ * Lay active tasks into working-hour time blocks, Motion style.
+ * Pure function: the same tasks, settings and `now` always give the same plan.
+ */
+function buildSchedule(tasks, options = {}) {
+  const now = options.now ? new Date(options.now) : new Date();
+  const workingHours = { ...DEFAULT_WORKING_HOURS, ...(options.workingHours || {}) };
+  const horizonDays = options.horizonDays || PLANNING_HORIZON_DAYS;
+
+  const { ordered, blocked } = orderTasks(tasks);
+  const windows = workingWindows(roundUp(now, SLOT_GRANULARITY_MINUTES), workingHours, horizonDays);
+  let current = windows.next();
+  let cursor = current.done ? null : current.value.start;
+
+  const blocks = [];
+  const taskPlans = {};
+  const unscheduled = blocked.map(task => ({ task_id: task.id, reason: 'blocked_by_dependencies' }));
+
+  for (const task of ordered) {
+    let remaining = Number(task.duration_minutes) || DEFAULT_DURATION_MINUTES;
+    const taskBlocks = [];
+
+    while (remaining > 0 && !current.done) {
+      const available = (current.value.end - cursor) / 60000;
+      if (available <= 0) {
+        current = windows.next();
+        cursor = current.done ? null : current.value.start;
+        continue;
+      }
+
+      const minutes = Math.min(available, remaining);
+      const end = new Date(cursor.getTime() + minutes * 60000);
+      taskBlocks.push({
+        task_id: task.id,
+        title: task.title,
+        priority: task.priority,
+        start: cursor.toISOString(),
+        end: end.toISOString()
+      });
+      remaining -= minutes;
+      cursor = end;
+    }
+
+    if (remaining > 0) {
+      unscheduled.push({ task_id: task.id, reason: 'beyond_planning_horizon' });
+      continue;
+    }
+
+    blocks.push(...taskBlocks);
+    const finish = taskBlocks[taskBlocks.length - 1].end;
+    taskPlans[task.id] = {
+      start: taskBlocks[0].start,
+      end: finish,
+      at_risk: Boolean(task.deadline) && new Date(finish) > new Date(task.deadline)
+    };
+  }
+
+  return {
+    generated_at: now.toISOString(),
+    working_hours: workingHours,
+    blocks,
+    tasks: taskPlans,
+    unscheduled
+  };
+}
+
+/**
+ * Keeps a live schedule for the TaskStore: re-plans whenever tasks change and
+ * whenever a planned block runs past its end without the task being completed.
+ */
+class Scheduler extends EventEmitter {
+  constructor(taskStore, settings) {
+    super();
+    this.taskStore = taskStore;
+    this.settings = settings;
+    this.schedule = null;
+    this.timer = null;
+
+    this.taskStore.on('changed', () => this.replan('tasks-changed'));
+  }
+
+  getWorkingHours() {
+    return { ...DEFAULT_WORKING_HOURS, ...this.settings.get('workingHours', {}) };
+  }
+
+  setWorkingHours(workingHours) {
+    const next = { ...this.getWorkingHours(), ...workingHours };
+    const start = parseClock(next.start);
+    const end = parseClock(next.end);
+    if (start.hours * 60 + start.minutes >= end.hours * 60 + end.minutes) {
+      throw new Error('Working hours must end after they start');
+    }
+    if (!Array.isArray(next.days) || next.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('Working days must be a list of weekday numbers (0-6)');
+    }
+
+    this.settings.set('workingHours', next);
+    this.replan('working-hours-changed');
+    return next;
+  }
+
+  getSchedule() {
+    return this.schedule || this.replan('initial');
+  }
+
+  replan(reason) {
+    this.schedule = buildSchedule(this.taskStore.getAll(), { workingHours: this.getWorkingHours() });
+    this.emit('updated', this.schedule, reason);
+    return this.schedule;
+  }
+
+  /**
+   * A task whose planned time has elapsed but is still active has gone over;
+   * re-planning pushes its remaining work (and everything after it) forward.
+   */
+  checkOverruns() {
+    if (!this.schedule) return;
+    const now = Date.now();
+    const overrun = Object.entries(this.schedule.tasks)
+      .filter(([, plan]) => new Date(plan.end).getTime() <= now)
+      .map(([taskId]) => taskId);
+
+    if (overrun.length > 0) {
+      this.emit('overrun', overrun);
+      this.replan('overrun');
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.replan('start');
+    this.timer = setInterval(() => this.checkOverruns(), OVERRUN_CHECK_INTERVAL);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = Scheduler;
+module.exports.buildSchedule = buildSchedule;
+module.exports.DEFAULT_WORKING_HOURS = DEFAULT_WORKING_HOURS;
+module.exports.DEFAULT_DURATION_MINUTES = DEFAULT_DURATION_MINUTES;
@@ -1,11 +1,12 @@
-const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { createOcrEngine } = require('./ocr-engines');
 
 class ScreenshotOCR {
-    constructor() {
+    constructor(options = {}) {
         this.tempDir = path.join(os.tmpdir(), 'trinity-screenshots');
+        this.engine = options.engine || createOcrEngine(options.engineName || 'tesseract');
         this.ensureTempDir();
     }
 
@@ -15,59 +16,40 @@ class ScreenshotOCR {
         }
     }
 
-    async captureAppWindow() {
-        const timestamp = Date.now();
-        const screenshotPath = path.join(this.tempDir, `trinity-app-${timestamp}.png`);
-        
-        return new Promise((resolve, reject) => {
-            // Capture only the current window (Trinity Motion app)
-            const command = `screencapture -x -l$(osascript -e 'tell application "System Events" to get id of first process whose frontmost is true') "${screenshotPath}"`;
-            
-            exec(command, { timeout: 10000 }, (error, stdout, stderr) => {
-                if (error) {
-                    console.error('❌ Screenshot failed:', error.message);
-                    reject(error);
-                } else {
-                    if (fs.existsSync(screenshotPath)) {
-                        console.log('✅ Screenshot captured:', screenshotPath);
-                        resolve(screenshotPath);
-                    } else {
-                        reject(new Error('Screenshot file not created'));
-                    }
-                }
-            });
-        });
+    /**
+     * Capture the app's own window through Electron, so it works the same on
+     * every platform and never picks up other applications.
+     */
+    async captureAppWindow(webContents) {
+        if (!webContents || webContents.isDestroyed()) {
+            throw new Error('No window available to capture');
+        }
+
+        const image = await webContents.capturePage();
+        if (image.isEmpty()) {
+            throw new Error('Captured image is empty');
+        }
+
+        const screenshotPath = path.join(this.tempDir, `trinity-app-${Date.now()}-${Math.random().toString(36).substring(2, 8)}.png`);
+        fs.writeFileSync(screenshotPath, image.toPNG());
+
+        return { path: screenshotPath, size: image.getSize() };
     }
 
     async extractTextFromImage(imagePath) {
-        return new Promise((resolve, reject) => {
-            // Use macOS built-in text recognition (Monterey+)
-            const command = `osascript -e 'tell application "System Events" to do shell script "python3 -c \\"from PIL import Image; import pytesseract; print(pytesseract.image_to_string(Image.open('${imagePath}')))\\"" || echo "OCR_NOT_AVAILABLE"'`;
-            
-            exec(command, { timeout: 30000 }, (error, stdout, stderr) => {
-                if (error || stdout.includes('OCR_NOT_AVAILABLE')) {
-                    // Fallback: Use basic image analysis
-                    console.log('⚠️ Advanced OCR not available, using basic text extraction');
-                    resolve('Trinity Motion App Interface - Current view visible');
-                } else {
-                    const extractedText = stdout.trim();
-                    console.log('✅ OCR extracted text:', extractedText.substring(0, 100) + '...');
-                    resolve(extractedText);
-                }
-            });
-        });
+        if (!(await this.engine.isAvailable())) {
+            throw new Error(`OCR engine "${this.engine.name}" is not available on this system`);
+        }
+
+        return this.engine.recognize(imagePath);
     }
 
-    async captureAndAnalyze() {
+    async captureAndAnalyze(webContents) {
+        let screenshot = null;
         try {
-            console.log('📸 Capturing Trinity Motion app window...');
-            const screenshotPath = await this.captureAppWindow();
+            screenshot = await this.captureAppWindow(webContents);
             
-            console.log('🔍 Extracting text from screenshot...');
-            const extractedText = await this.extractTextFromImage(screenshotPath);
-            
-            // Clean up screenshot file
-            fs.unlinkSync(screenshotPath);
+            const extractedText = await this.extractTextFromImage(screenshot.path);
             
             const analysis = this.analyzeUIContext(extractedText);
             
@@ -75,6 +57,8 @@ class ScreenshotOCR {
                 success: true,
                 text: extractedText,
                 analysis: analysis,
+                engine: this.engine.name,
+                image: screenshot.size,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -82,34 +66,61 @@ class ScreenshotOCR {
             return {
                 success: false,
                 error: error.message,
+                engine: this.engine.name,
                 fallback: 'Unable to capture screen - Claude Code running in Trinity Motion terminal'
             };
+        } finally {
+            // Clean up screenshot file
+            if (screenshot) {
+                fs.unlink(screenshot.path, () => {});
+            }
         }
     }
 
     analyzeUIContext(text) {
         const analysis = {
             currentView: 'unknown',
+            viewScores: {},
             activeTasks: 0,
             keyElements: [],
+            lines: [],
+            wordCount: 0,
             suggestions: []
         };
 
         const lowerText = text.toLowerCase();
+        analysis.lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        analysis.wordCount = lowerText.split(/\s+/).filter(Boolean).length;
+
+        // Score each view by how many of its markers appear, rather than taking the first hit
+        const viewMarkers = {
+            dashboard: ['dashboard', 'system status', 'recent activity', 'quick actions'],
+            tasks: ['task management', 'create new task', 'total tasks', 'todo'],
+            chat: ['ai chat', 'type your message', 'ai assistant'],
+            projects: ['projects', 'deadline', 'complete'],
+            analytics: ['analytics', 'reports'],
+            terminal: ['trinity terminals', 'builder terminal', 'claude'],
+            settings: ['api keys', 'openai api key', 'anthropic api key']
+        };
+        for (const [view, markers] of Object.entries(viewMarkers)) {
+            analysis.viewScores[view] = markers.filter(marker => lowerText.includes(marker)).length;
+        }
+        const [bestView, bestScore] = Object.entries(analysis.viewScores).sort((a, b) => b[1] - a[1])[0];
+        if (bestScore > 0) {
+            analysis.currentView = bestView;
+        }
 
-        // Detect current view
-        if (lowerText.includes('dashboard')) {
-            analysis.currentView = 'dashboard';
-            analysis.suggestions.push('User is on Dashboard - can help with project overview');
-        } else if (lowerText.includes('task') || lowerText.includes('todo')) {
-            analysis.currentView = 'tasks';
-            analysis.suggestions.push('User is managing tasks - can help with task creation/management');
-        } else if (lowerText.includes('chat') || lowerText.includes('ai')) {
-            analysis.currentView = 'chat';
-            analysis.suggestions.push('User is in AI Chat - ready for conversation');
-        } else if (lowerText.includes('terminal') || lowerText.includes('claude')) {
-            analysis.currentView = 'terminal';
-            analysis.suggestions.push('User is in Claude Terminal - ready for coding assistance');
+        const viewSuggestions = {
+            dashboard: 'User is on Dashboard - can help with project overview',
+            tasks: 'User is managing tasks - can help with task creation/management',
+            chat: 'User is in AI Chat - ready for conversation',
+            projects: 'User is browsing projects - can help plan project work',
+            analytics: 'User is viewing analytics - can help interpret progress',
+            terminal: 'User is in Claude Terminal - ready for coding assistance',
+            settings: 'User is configuring API keys'
+        };
+        if (viewSuggestions[analysis.currentView]) {
+            analysis.suggestions.push(viewSuggestions[analysis.currentView]);
         }
 
         // Extract task count
@@ -130,8 +141,48 @@ class ScreenshotOCR {
         return analysis;
     }
 
+    /**
+     * Prefer the renderer's structured snapshot; only capture and OCR the
+     * window when no snapshot is available.
+     */
+    async getUIContext(webContents, snapshot = null) {
+        if (snapshot) {
+            const result = { success: true, source: 'snapshot', snapshot, timestamp: new Date().toISOString() };
+            return { ...result, context: this.generateClaudeContext(result) };
+        }
+
+        const result = { ...(await this.captureAndAnalyze(webContents)), source: 'ocr' };
+        return { ...result, context: this.generateClaudeContext(result) };
+    }
+
+    generateSnapshotContext(snapshot) {
+        const tasks = snapshot.visibleTasks || [];
+        const chat = snapshot.recentChat || [];
+        const project = snapshot.selectedProject;
+        const terminal = snapshot.terminal || {};
+
+        return `Claude Code Context for Trinity Motion:
+
+🎯 Current View: ${snapshot.currentView}
+📁 Selected Project: ${project ? `${project.name} (${project.progress}% complete)` : 'none'}
+⚡ Terminal Tab: ${terminal.activeTab || 'none'}
+
+📋 Visible Tasks (${tasks.length}):
+${tasks.length > 0 ? tasks.map(task => `• [${task.priority}] ${task.title}${task.status === 'completed' ? ' (done)' : ''}`).join('\n') : '• none'}
+
+💬 Recent Chat:
+${chat.length > 0 ? chat.map(turn => `${turn.role}: ${turn.text}`).join('\n') : 'No recent messages'}
+
+🚀 Ready to help with: code analysis, task management, debugging, project assistance
+`;
+    }
+
     // Generate context for Claude Code
     generateClaudeContext(analysisResult) {
+        if (analysisResult.success && analysisResult.snapshot) {
+            return this.generateSnapshotContext(analysisResult.snapshot);
+        }
+
         if (!analysisResult.success) {
             return `Claude Code Context: Running in Trinity Motion terminal. Screenshot capture failed: ${analysisResult.error}`;
         }
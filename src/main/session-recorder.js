@@ -0,0 +1,291 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Store = require('electron-store');
+
+const MAX_RECORDINGS = 200;
+const MAX_RECORDING_BYTES = 50 * 1024 * 1024;
+const MAX_MATCHES_PER_RECORDING = 5;
+const SNIPPET_RADIUS = 60;
+
+// CSI sequences, OSC strings (titles, hyperlinks) and two-character escapes
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+function stripAnsi(text) {
+  return String(text).replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Records terminal sessions as asciicast v2 files (one JSON header line,
+ * then `[seconds, "o" | "r" | "m", data]` event lines), so transcripts
+ * survive a restart and play in asciinema too. Output, resizes and markers
+ * are recorded; keyboard input is not, so typed secrets stay out.
+ *
+ * The index of recordings (session, linked task, duration) lives in an
+ * electron-store; the .cast files live in `dir`.
+ */
+class SessionRecorder extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - where .cast files are written
+   * @param {Object} [options.store] - electron-store for the index
+   */
+  constructor(options = {}) {
+    super();
+    this.dir = options.dir;
+    this.store = options.store || new Store({
+      name: 'recordings',
+      defaults: {
+        recordings: []
+      }
+    });
+    // sessionId -> { recording, stream, startedAt, truncated }
+    this.active = new Map();
+    this.markInterrupted();
+  }
+
+  // Recordings still marked as running were cut off by a crash or force quit
+  markInterrupted() {
+    const recordings = this.getAll();
+    if (recordings.some(recording => recording.status === 'recording')) {
+      this.store.set('recordings', recordings.map(recording => (
+        recording.status === 'recording' ? { ...recording, status: 'interrupted' } : recording
+      )));
+    }
+  }
+
+  getAll() {
+    return this.store.get('recordings', []);
+  }
+
+  /**
+   * Recordings newest first, optionally only those linked to one task
+   */
+  list({ taskId } = {}) {
+    const recordings = this.getAll();
+    return taskId ? recordings.filter(recording => recording.task && recording.task.id === taskId) : recordings;
+  }
+
+  get(id) {
+    const recording = this.getAll().find(r => r.id === id);
+    if (!recording) {
+      throw new Error(`Recording not found: ${id}`);
+    }
+    return recording;
+  }
+
+  filePath(recording) {
+    return path.join(this.dir, recording.file);
+  }
+
+  save(recording) {
+    const recordings = this.getAll().filter(r => r.id !== recording.id);
+    const kept = [recording, ...recordings];
+    const activeIds = new Set(Array.from(this.active.values()).map(active => active.recording.id));
+
+    // Drop the oldest finished recordings past the limit, files included
+    while (kept.length > MAX_RECORDINGS) {
+      const index = kept.map(r => activeIds.has(r.id)).lastIndexOf(false);
+      if (index < 0) break;
+      const [removed] = kept.splice(index, 1);
+      fs.rm(this.filePath(removed), { force: true }, () => {});
+    }
+
+    this.store.set('recordings', kept);
+    this.emit('changed');
+    return recording;
+  }
+
+  /**
+   * Start recording a session (ends any recording it already has)
+   */
+  start(sessionId, { cols = 80, rows = 24, cwd = null, shell = null } = {}) {
+    this.stop(sessionId);
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const startedAt = Date.now();
+    const recording = {
+      id: crypto.randomUUID(),
+      session_id: sessionId,
+      title: `${sessionId} terminal`,
+      task: null,
+      cwd,
+      cols,
+      rows,
+      started_at: new Date(startedAt).toISOString(),
+      ended_at: null,
+      duration: 0,
+      bytes: 0,
+      exit_code: null,
+      status: 'recording'
+    };
+    recording.file = `${recording.id}.cast`;
+
+    const stream = fs.createWriteStream(this.filePath(recording));
+    stream.on('error', (error) => {
+      console.error(`❌ Recording ${recording.id} failed:`, error.message);
+      this.active.delete(sessionId);
+    });
+
+    const header = {
+      version: 2,
+      width: cols,
+      height: rows,
+      timestamp: Math.floor(startedAt / 1000),
+      title: recording.title,
+      env: { SHELL: shell || undefined, TERM: 'xterm-256color' }
+    };
+    stream.write(`${JSON.stringify(header)}\n`);
+
+    this.active.set(sessionId, { recording, stream, startedAt, truncated: false });
+    return this.save(recording);
+  }
+
+  writeEvent(sessionId, type, data) {
+    const active = this.active.get(sessionId);
+    if (!active || active.truncated) return;
+
+    const seconds = Math.round(Date.now() - active.startedAt) / 1000;
+    const line = `${JSON.stringify([seconds, type, data])}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    if (active.recording.bytes + bytes > MAX_RECORDING_BYTES) {
+      active.truncated = true;
+      active.stream.write(`${JSON.stringify([seconds, 'm', 'Recording size limit reached'])}\n`);
+      return;
+    }
+    active.stream.write(line);
+    active.recording.bytes += bytes;
+  }
+
+  output(sessionId, data) {
+    this.writeEvent(sessionId, 'o', data);
+  }
+
+  resize(sessionId, cols, rows) {
+    this.writeEvent(sessionId, 'r', `${cols}x${rows}`);
+  }
+
+  /**
+   * Link the session's recording to the task Claude was started for
+   */
+  linkTask(sessionId, task) {
+    const active = this.active.get(sessionId);
+    if (!active || !task) return;
+
+    active.recording.task = { id: task.id || null, title: task.title || 'Untitled task' };
+    active.recording.title = active.recording.task.title;
+    this.writeEvent(sessionId, 'm', `Claude started: ${active.recording.title}`);
+    this.save(active.recording);
+  }
+
+  stop(sessionId, exitCode = null) {
+    const active = this.active.get(sessionId);
+    if (!active) return null;
+
+    this.active.delete(sessionId);
+    active.stream.end();
+
+    const { recording } = active;
+    recording.ended_at = new Date().toISOString();
+    recording.duration = Math.round(Date.now() - active.startedAt) / 1000;
+    recording.exit_code = exitCode;
+    recording.status = active.truncated ? 'truncated' : 'complete';
+    return this.save(recording);
+  }
+
+  stopAll() {
+    for (const sessionId of Array.from(this.active.keys())) {
+      this.stop(sessionId);
+    }
+  }
+
+  /**
+   * Header and events of a recording, for replay
+   */
+  async read(id) {
+    const recording = this.get(id);
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath(recording), 'utf8');
+    } catch (error) {
+      throw new Error(`Recording file is missing: ${recording.file}`);
+    }
+
+    const lines = content.split('\n').filter(Boolean);
+    const header = JSON.parse(lines[0]);
+    const events = [];
+    // A crash can leave half a line at the end - skip anything unreadable
+    for (const line of lines.slice(1)) {
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        break;
+      }
+    }
+    return { recording, header, events };
+  }
+
+  /**
+   * Case-insensitive search across transcripts (ANSI codes stripped).
+   * Each match carries the time it appeared, so replay can jump to it.
+   */
+  async search(query, { limit = 50 } = {}) {
+    const needle = String(query || '').trim().toLowerCase();
+    if (!needle) return [];
+
+    const results = [];
+    for (const recording of this.getAll()) {
+      if (results.length >= limit) break;
+
+      let events;
+      try {
+        ({ events } = await this.read(recording.id));
+      } catch (error) {
+        continue;
+      }
+
+      // Plain text of the whole session, plus where each event's text starts
+      let text = '';
+      const offsets = [];
+      events.filter(([, type]) => type === 'o').forEach(([time, , data]) => {
+        offsets.push([text.length, time]);
+        text += stripAnsi(data);
+      });
+
+      const haystack = text.toLowerCase();
+      const matches = [];
+      let index = haystack.indexOf(needle);
+      while (index > -1 && matches.length < MAX_MATCHES_PER_RECORDING) {
+        const entry = offsets.filter(([offset]) => offset <= index).pop();
+        const snippet = text
+          .slice(Math.max(0, index - SNIPPET_RADIUS), index + needle.length + SNIPPET_RADIUS)
+          .replace(/\s+/g, ' ')
+          .trim();
+        matches.push({ time: entry ? entry[1] : 0, snippet });
+        index = haystack.indexOf(needle, index + needle.length);
+      }
+
+      if (matches.length) {
+        results.push({ recording, matches });
+      }
+    }
+    return results;
+  }
+
+  delete(id) {
+    const recording = this.get(id);
+    if (Array.from(this.active.values()).some(active => active.recording.id === id)) {
+      throw new Error('This session is still being recorded');
+    }
+
+    fs.rmSync(this.filePath(recording), { force: true });
+    this.store.set('recordings', this.getAll().filter(r => r.id !== id));
+    this.emit('changed');
+    return true;
+  }
+}
+
+module.exports = SessionRecorder;
+module.exports.stripAnsi = stripAnsi;
@@ -0,0 +1,207 @@
+const { TASK_PRIORITIES } = require('./task-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PERIOD_DAYS = 28;
+
+/**
+ * Task analytics computed from the local TaskStore: completion rate,
+ * throughput per week and overdue work by priority. Pure functions, so the
+ * same report feeds the Analytics view and the Markdown/CSV/PDF exports.
+ */
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+function isOverdue(task, now) {
+  return task.status === 'active' && Boolean(task.deadline) && new Date(task.deadline) < now;
+}
+
+/**
+ * @param {Object[]} tasks - TaskStore tasks
+ * @param {Object} [options]
+ * @param {number} [options.days=28] - reporting period, ending now
+ * @param {Date} [options.now]
+ */
+function buildTaskAnalytics(tasks, { days = DEFAULT_PERIOD_DAYS, now = new Date() } = {}) {
+  const periodStart = new Date(now.getTime() - days * DAY_MS);
+  const inPeriod = (value) => Boolean(value) && new Date(value) >= periodStart && new Date(value) <= now;
+
+  const completed = tasks.filter(task => task.status === 'completed');
+  const completedInPeriod = completed.filter(task => inPeriod(task.completed_at));
+  const createdInPeriod = tasks.filter(task => inPeriod(task.created_at));
+
+  // Weekly buckets, oldest first; the last one ends now
+  const weeks = Math.max(1, Math.ceil(days / 7));
+  const throughput = [];
+  for (let index = weeks - 1; index >= 0; index--) {
+    const end = new Date(now.getTime() - index * 7 * DAY_MS);
+    const start = new Date(Math.max(end.getTime() - 7 * DAY_MS, periodStart.getTime()));
+    throughput.push({
+      week_start: start.toISOString(),
+      completed: completedInPeriod.filter(task => new Date(task.completed_at) > start && new Date(task.completed_at) <= end).length
+    });
+  }
+
+  const cycleDays = completedInPeriod
+    .filter(task => task.created_at)
+    .map(task => (new Date(task.completed_at) - new Date(task.created_at)) / DAY_MS);
+
+  const overdueTasks = tasks
+    .filter(task => isOverdue(task, now))
+    .map(task => ({
+      id: task.id,
+      title: task.title,
+      priority: task.priority,
+      deadline: task.deadline,
+      days_overdue: Math.floor((now - new Date(task.deadline)) / DAY_MS)
+    }))
+    .sort((a, b) => b.days_overdue - a.days_overdue);
+
+  // Highest priority first
+  const overdueByPriority = Object.fromEntries([...TASK_PRIORITIES].reverse().map(priority => [
+    priority,
+    overdueTasks.filter(task => task.priority === priority).length
+  ]));
+
+  return {
+    generated_at: now.toISOString(),
+    period: { days, start: periodStart.toISOString(), end: now.toISOString() },
+    totals: {
+      total: tasks.length,
+      active: tasks.length - completed.length,
+      completed: completed.length,
+      completion_rate: percent(completed.length, tasks.length)
+    },
+    period_totals: {
+      created: createdInPeriod.length,
+      completed: completedInPeriod.length,
+      completion_rate: percent(createdInPeriod.filter(task => task.status === 'completed').length, createdInPeriod.length),
+      avg_cycle_days: cycleDays.length
+        ? Math.round((cycleDays.reduce((sum, value) => sum + value, 0) / cycleDays.length) * 10) / 10
+        : null
+    },
+    throughput,
+    overdue: { total: overdueTasks.length, by_priority: overdueByPriority, tasks: overdueTasks }
+  };
+}
+
+function formatDate(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+function summaryRows(report) {
+  return [
+    ['Tasks', report.totals.total],
+    ['Active', report.totals.active],
+    ['Completed (all time)', report.totals.completed],
+    ['Completion rate (all time)', `${report.totals.completion_rate}%`],
+    [`Created (last ${report.period.days} days)`, report.period_totals.created],
+    [`Completed (last ${report.period.days} days)`, report.period_totals.completed],
+    ['Completion rate of tasks created in period', `${report.period_totals.completion_rate}%`],
+    ['Average cycle time', report.period_totals.avg_cycle_days === null ? 'n/a' : `${report.period_totals.avg_cycle_days} days`],
+    ['Overdue', report.overdue.total]
+  ];
+}
+
+function toMarkdown(report) {
+  const lines = [
+    '# Task Analytics',
+    '',
+    `Period: ${formatDate(report.period.start)} to ${formatDate(report.period.end)} (${report.period.days} days)`,
+    '',
+    '## Summary',
+    '',
+    '| Metric | Value |',
+    '| --- | --- |',
+    ...summaryRows(report).map(([label, value]) => `| ${label} | ${value} |`),
+    '',
+    '## Throughput',
+    '',
+    '| Week starting | Completed |',
+    '| --- | --- |',
+    ...report.throughput.map(week => `| ${formatDate(week.week_start)} | ${week.completed} |`),
+    '',
+    '## Overdue by priority',
+    '',
+    '| Priority | Overdue |',
+    '| --- | --- |',
+    ...Object.entries(report.overdue.by_priority).map(([priority, count]) => `| ${priority} | ${count} |`)
+  ];
+
+  if (report.overdue.tasks.length) {
+    lines.push('', '### Overdue tasks', '');
+    report.overdue.tasks.forEach(task => {
+      lines.push(`- ${task.title} (${task.priority}, due ${formatDate(task.deadline)}, ${task.days_overdue} days overdue)`);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One table with a section column, so the file opens cleanly in a spreadsheet
+function toCSV(report) {
+  const rows = [
+    ['section', 'name', 'value'],
+    ...summaryRows(report).map(([label, value]) => ['summary', label, value]),
+    ...report.throughput.map(week => ['throughput', formatDate(week.week_start), week.completed]),
+    ...Object.entries(report.overdue.by_priority).map(([priority, count]) => ['overdue_by_priority', priority, count]),
+    ...report.overdue.tasks.map(task => ['overdue_task', task.title, `${task.priority}; due ${formatDate(task.deadline)}; ${task.days_overdue} days overdue`])
+  ];
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Printable page for the PDF export
+function toHTML(report) {
+  const table = (headers, rows) => `
+    <table>
+      <tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>
+      ${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+    </table>`;
+  const maxWeek = Math.max(1, ...report.throughput.map(week => week.completed));
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Task Analytics</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1f2937; margin: 40px; }
+  h1 { color: #4f46e5; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 24px; font-size: 13px; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 10px; text-align: left; }
+  th { background: #f3f4f6; }
+  .bar { background: #6366f1; height: 12px; }
+</style></head><body>
+  <h1>Task Analytics</h1>
+  <p>${formatDate(report.period.start)} to ${formatDate(report.period.end)} (${report.period.days} days)</p>
+  <h2>Summary</h2>
+  ${table(['Metric', 'Value'], summaryRows(report))}
+  <h2>Throughput</h2>
+  <table>
+    <tr><th>Week starting</th><th>Completed</th><th></th></tr>
+    ${report.throughput.map(week => `<tr><td>${formatDate(week.week_start)}</td><td>${week.completed}</td><td style="width: 50%"><div class="bar" style="width: ${(week.completed / maxWeek) * 100}%"></div></td></tr>`).join('')}
+  </table>
+  <h2>Overdue by priority</h2>
+  ${table(['Priority', 'Overdue'], Object.entries(report.overdue.by_priority))}
+  ${report.overdue.tasks.length ? `<h2>Overdue tasks</h2>${table(['Task', 'Priority', 'Due', 'Days overdue'], report.overdue.tasks.map(task => [task.title, task.priority, formatDate(task.deadline), task.days_overdue]))}` : ''}
+</body></html>`;
+}
+
+module.exports = {
+  DEFAULT_PERIOD_DAYS,
+  buildTaskAnalytics,
+  toMarkdown,
+  toCSV,
+  toHTML
+};
@@ -0,0 +1,327 @@
+const { TASK_PRIORITIES } = require('./task-store');
+
+/**
+ * Deterministic parser for quick-capture entries such as
+ * "review PR for pizza-directory tomorrow 3pm 45m high". Each recognised
+ * phrase is cut out of the text; whatever is left is the title.
+ *
+ * Understood (case-insensitive):
+ *   priority  !high | p1-p3 | high priority | priority: high, anywhere;
+ *             a bare high | medium | low | urgent | asap only as the last word
+ *   duration  45m | 1h | 1.5h | 1h30m | 2 hours
+ *   due date  today | tonight | tomorrow | friday | next friday | next week |
+ *             in 3 days | 2026-10-20 | oct 20 | 20 oct  (optionally "by/on/due ...")
+ *   due time  3pm | 3:30pm | 15:00 | noon  (optionally "at/by ...") |
+ *             in 2 hours | in 45m  (from now)
+ *   project   "for <project name>" | "in <project name>" | +slug | @slug
+ *   tags      #tag
+ */
+
+const DEFAULT_PRIORITY = 'medium';
+const DEFAULT_DURATION_MINUTES = 30;
+const DEFAULT_DUE_TIME = '17:00';
+const TONIGHT_TIME = '20:00';
+
+const PRIORITY_WORDS = {
+  urgent: 'high',
+  asap: 'high',
+  p1: 'high',
+  p2: 'medium',
+  p3: 'low'
+};
+
+// Date#getDay numbering. No "sat"/"sun": too likely to be ordinary words.
+const WEEKDAYS = {
+  sunday: 0, monday: 1, mon: 1, tuesday: 2, tue: 2, tues: 2, wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4, friday: 5, fri: 5, saturday: 6
+};
+const WEEKDAY_PATTERN = `(${Object.keys(WEEKDAYS).join('|')})`;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+// Words left dangling once the phrase after them is cut out
+const CONNECTORS = new Set(['at', 'by', 'on', 'due', 'for', 'in', 'to', 'and', '-', '@']);
+
+// A phrase has to be a whole word: "low-hanging" is not a priority
+const word = (pattern) => new RegExp(`(?<![\\w-])(?:${pattern})(?![\\w-])`, 'i');
+// ...and a bare priority has to be the last one: "fix high memory usage"
+const lastWord = (pattern) => new RegExp(`(?<![\\w-])(?:${pattern})\\s*$`, 'i');
+const DUE_PREFIX = '(?:(?:by|on|due)\\s+)?';
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+function parseClock(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return { hours: hours || 0, minutes: minutes || 0 };
+}
+
+function toClock(hours, minutes, meridiem) {
+  let hour = Number(hours);
+  const minute = Number(minutes || 0);
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) return null;
+  return { hours: hour, minutes: minute };
+}
+
+/**
+ * Cuts the first match of `regex` out of state.text and records it.
+ * Returns the match, or null.
+ */
+function take(state, regex, field) {
+  const match = state.text.match(regex);
+  if (!match) return null;
+  state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+  state.recognized.push({ field, text: match[0].trim() });
+  return match;
+}
+
+function parsePriority(state) {
+  const levels = TASK_PRIORITIES.join('|');
+  const explicit = take(state, word(`(?:priority\\s*:?\\s*|!)(${levels})(?:\\s+priority)?|(${levels})\\s+priority`), 'priority');
+  if (explicit) return (explicit[1] || explicit[2]).toLowerCase();
+
+  const marker = take(state, word('p[1-3]'), 'priority');
+  if (marker) return PRIORITY_WORDS[marker[0].toLowerCase()];
+
+  const plain = take(state, lastWord(`${levels}|urgent|asap`), 'priority');
+  if (!plain) return null;
+  const level = plain[0].trim().toLowerCase();
+  return PRIORITY_WORDS[level] || level;
+}
+
+function parseDuration(state) {
+  const combined = take(state, word('(?:for\\s+)?(\\d+)\\s*h\\s*(\\d+)\\s*m(?:in)?'), 'duration');
+  if (combined) return Number(combined[1]) * 60 + Number(combined[2]);
+
+  const hours = take(state, word('(?:for\\s+)?(\\d+(?:\\.\\d+)?)\\s*(?:h|hrs?|hours?)'), 'duration');
+  if (hours) return Math.round(Number(hours[1]) * 60);
+
+  const minutes = take(state, word('(?:for\\s+)?(\\d+)\\s*(?:m|mins?|minutes?)'), 'duration');
+  return minutes ? Number(minutes[1]) : null;
+}
+
+/**
+ * "in 2 hours" / "in 1h30m" / "in 45 minutes": a due time counted from now,
+ * read before durations so the number isn't taken as an estimate
+ */
+function parseRelativeTime(state, now) {
+  const match = take(state, word(`${DUE_PREFIX}in\\s+(?:(\\d+)\\s*h\\s*(\\d+)\\s*m(?:in)?|(\\d+(?:\\.\\d+)?)\\s*(h|hrs?|hours?|m|mins?|minutes?))`), 'time');
+  if (!match) return null;
+
+  const minutes = match[1]
+    ? Number(match[1]) * 60 + Number(match[2])
+    : Number(match[3]) * (match[4].toLowerCase().startsWith('h') ? 60 : 1);
+  return new Date(now.getTime() + Math.round(minutes) * 60000);
+}
+
+function parseTime(state) {
+  const noon = take(state, word('(?:(?:at|by)\\s+)?noon'), 'time');
+  if (noon) return { hours: 12, minutes: 0 };
+
+  const meridiem = take(state, word('(?:(?:at|by)\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)'), 'time');
+  if (meridiem) return toClock(meridiem[1], meridiem[2], meridiem[3]);
+
+  const clock = take(state, word('(?:(?:at|by)\\s+)?(\\d{1,2}):(\\d{2})'), 'time');
+  return clock ? toClock(clock[1], clock[2]) : null;
+}
+
+/**
+ * The due day (midnight), plus whether it was "tonight"
+ */
+function parseDay(state, now) {
+  const today = startOfDay(now);
+
+  const relative = take(state, word(`${DUE_PREFIX}(today|tonight|tomorrow|tmrw|tmr)`), 'date');
+  if (relative) {
+    const keyword = relative[1].toLowerCase();
+    const isToday = keyword === 'today' || keyword === 'tonight';
+    return { day: isToday ? today : addDays(today, 1), tonight: keyword === 'tonight' };
+  }
+
+  const inDays = take(state, word(`${DUE_PREFIX}in\\s+(\\d+)\\s+(days?|weeks?)`), 'date');
+  if (inDays) {
+    return { day: addDays(today, Number(inDays[1]) * (inDays[2].toLowerCase().startsWith('week') ? 7 : 1)) };
+  }
+
+  const nextWeek = take(state, word(`${DUE_PREFIX}next\\s+week`), 'date');
+  if (nextWeek) {
+    // The coming Monday
+    return { day: addDays(today, ((8 - today.getDay()) % 7) || 7) };
+  }
+
+  const weekday = take(state, word(`${DUE_PREFIX}(next\\s+)?${WEEKDAY_PATTERN}`), 'date');
+  if (weekday) {
+    const target = WEEKDAYS[weekday[2].toLowerCase()];
+    const ahead = (target - today.getDay() + 7) % 7;
+    return { day: addDays(today, ahead + (weekday[1] ? 7 : 0)) };
+  }
+
+  const iso = take(state, word(`${DUE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})`), 'date');
+  if (iso) {
+    return { day: new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) };
+  }
+
+  const monthFirst = take(state, word(`${DUE_PREFIX}${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?`), 'date');
+  const dayFirst = monthFirst ? null : take(state, word(`${DUE_PREFIX}(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}`), 'date');
+  if (monthFirst || dayFirst) {
+    const month = MONTHS.indexOf((monthFirst ? monthFirst[1] : dayFirst[2]).slice(0, 3).toLowerCase());
+    const date = Number(monthFirst ? monthFirst[2] : dayFirst[1]);
+    let day = new Date(today.getFullYear(), month, date);
+    // "jan 5" in December means next January
+    if (day < today) {
+      day = new Date(today.getFullYear() + 1, month, date);
+    }
+    return { day };
+  }
+
+  return null;
+}
+
+function parseDeadline(state, now, dueTime) {
+  const time = parseTime(state);
+  const parsed = parseDay(state, now);
+  if (!parsed && !time) return null;
+
+  if (!parsed) {
+    // Just a time: today, or tomorrow if it has already passed
+    let deadline = startOfDay(now);
+    deadline.setHours(time.hours, time.minutes);
+    if (deadline <= now) {
+      deadline = addDays(deadline, 1);
+    }
+    return deadline;
+  }
+
+  const clock = time || parseClock(parsed.tonight ? TONIGHT_TIME : dueTime);
+  const deadline = new Date(parsed.day);
+  deadline.setHours(clock.hours, clock.minutes);
+  return deadline;
+}
+
+function parseProject(state, projects) {
+  // Longest names first, so "pizza directory v2" wins over "pizza directory"
+  const candidates = projects
+    .filter(project => project && project.name)
+    .sort((a, b) => b.name.length - a.name.length);
+
+  for (const project of candidates) {
+    const name = project.name.trim().split(/[\s_-]+/).map(escapeRegExp).join('[\\s_-]+');
+    const slug = escapeRegExp(slugify(project.name));
+    const match = take(state, word(`(?:for|in)\\s+(?:the\\s+)?${name}(?:\\s+project)?|[+@]${slug}`), 'project');
+    if (match) return project;
+  }
+  return null;
+}
+
+function parseTags(state) {
+  const tags = [];
+  let match;
+  while ((match = take(state, /(?<![\w#])#([\w-]+)/, 'tags'))) {
+    if (!tags.includes(match[1].toLowerCase())) {
+      tags.push(match[1].toLowerCase());
+    }
+  }
+  return tags;
+}
+
+function cleanTitle(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  while (words.length && CONNECTORS.has(words[words.length - 1].toLowerCase())) words.pop();
+  while (words.length && CONNECTORS.has(words[0].toLowerCase())) words.shift();
+  return words.join(' ').replace(/\s+([,.;:!?])/g, '$1').replace(/[,;:]+$/, '');
+}
+
+/**
+ * Parse a quick-capture entry into task fields for tasks-create.
+ *
+ * @param {string} input
+ * @param {Object} [options]
+ * @param {Object[]} [options.projects] - projects that "for <name>" can match
+ * @param {Date} [options.now]
+ * @param {string} [options.dueTime] - "HH:MM" used when only a day is given
+ * @returns {Object} task fields plus `project_name` and `recognized`
+ *   ([{ field, text }], in the order they were found) for the preview
+ */
+function parseTaskText(input, options = {}) {
+  const { projects = [], now = new Date(), dueTime = DEFAULT_DUE_TIME } = options;
+  const state = { text: ` ${String(input || '').trim()} `, recognized: [] };
+
+  // Tags and projects first, so their names never read as dates or priorities
+  const tags = parseTags(state);
+  const project = parseProject(state, projects);
+  const dueIn = parseRelativeTime(state, now);
+  const durationMinutes = parseDuration(state);
+  const deadline = parseDeadline(state, now, dueTime) || dueIn;
+  const priority = parsePriority(state);
+
+  return {
+    title: cleanTitle(state.text) || String(input || '').trim(),
+    priority: priority || DEFAULT_PRIORITY,
+    project_id: project ? project.id : null,
+    project_name: project ? project.name : null,
+    duration_minutes: durationMinutes || DEFAULT_DURATION_MINUTES,
+    deadline: deadline ? deadline.toISOString() : null,
+    tags,
+    recognized: state.recognized
+  };
+}
+
+/**
+ * Fill in what the local parse left at its defaults from a model's answer
+ * ({ title, priority, project, deadline, duration_minutes }). Anything
+ * missing or invalid in `refined` is ignored; the title is always taken
+ * when one is given.
+ */
+function mergeRefinement(draft, refined, { projects = [] } = {}) {
+  if (!refined || typeof refined !== 'object') return draft;
+
+  const found = new Set(draft.recognized.map(entry => entry.field));
+  const merged = { ...draft, refined: true };
+
+  if (typeof refined.title === 'string' && refined.title.trim()) {
+    merged.title = refined.title.trim().slice(0, 500);
+  }
+  if (!found.has('priority') && TASK_PRIORITIES.includes(refined.priority)) {
+    merged.priority = refined.priority;
+  }
+  const minutes = Math.round(Number(refined.duration_minutes));
+  if (!found.has('duration') && minutes > 0 && minutes <= 100000) {
+    merged.duration_minutes = minutes;
+  }
+  const deadline = refined.deadline ? new Date(refined.deadline) : null;
+  if (!found.has('date') && !found.has('time') && deadline && !Number.isNaN(deadline.getTime())) {
+    merged.deadline = deadline.toISOString();
+  }
+  if (!found.has('project') && refined.project) {
+    const wanted = slugify(refined.project);
+    const project = projects.find(candidate => candidate.id === refined.project || slugify(candidate.name) === wanted);
+    if (project) {
+      merged.project_id = project.id;
+      merged.project_name = project.name;
+    }
+  }
+  return merged;
+}
+
+module.exports = { parseTaskText, mergeRefinement, slugify };
@@ -0,0 +1,141 @@
+const { EventEmitter } = require('events');
+const { stripAnsi } = require('./session-recorder');
+
+const TAIL_CHARS = 8000;
+const SUMMARY_LINES = 15;
+
+/**
+ * "Work on this in Claude": one terminal session per task (`task-<id>`),
+ * started with the task's full context. Claude runs with `; exit` so the
+ * session ends when Claude does; the time spent is logged on the task and
+ * 'ended' lets the renderer offer to complete it or attach a summary.
+ */
+class TaskSessions extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {TaskStore} options.taskStore
+   * @param {TerminalManager} options.terminals
+   * @param {Function} [options.getProject] - project (with stats) by ID, or null
+   */
+  constructor(options = {}) {
+    super();
+    this.taskStore = options.taskStore;
+    this.terminals = options.terminals;
+    this.getProject = options.getProject || (() => null);
+    // sessionId -> { taskId, startedAt, tail }
+    this.active = new Map();
+  }
+
+  static sessionIdFor(taskId) {
+    return `task-${taskId}`;
+  }
+
+  /**
+   * Everything ClaudeLauncher puts in the context file for this task
+   */
+  buildTaskContext(task) {
+    const context = {
+      id: task.id,
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      tags: task.tags,
+      deadline: task.deadline,
+      duration_minutes: task.duration_minutes
+    };
+
+    const project = task.project_id ? this.getProject(task.project_id) : null;
+    if (project) {
+      context.project = {
+        id: project.id,
+        name: project.name,
+        description: project.description,
+        deadline: project.deadline,
+        progress: project.progress
+      };
+    }
+    return context;
+  }
+
+  start(taskId, { uiContext = null } = {}) {
+    const task = this.taskStore.get(taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${taskId}`);
+    }
+
+    const sessionId = TaskSessions.sessionIdFor(task.id);
+    if (this.active.has(sessionId)) {
+      return { sessionId, startedAt: this.active.get(sessionId).startedAt, alreadyRunning: true };
+    }
+
+    const context = this.buildTaskContext(task);
+    const startedAt = new Date().toISOString();
+    // Only tracked once Claude is actually running, so a failed launch can be retried
+    this.terminals.getOrCreate(sessionId).startClaude(context, null, uiContext, { exitWhenDone: true });
+    this.active.set(sessionId, { taskId: task.id, startedAt, tail: '' });
+
+    return { sessionId, startedAt, context, alreadyRunning: false };
+  }
+
+  // Keep the end of the transcript for the session summary
+  output(sessionId, data) {
+    const active = this.active.get(sessionId);
+    if (active) {
+      active.tail = (active.tail + data).slice(-TAIL_CHARS);
+    }
+  }
+
+  list() {
+    return Array.from(this.active.entries()).map(([sessionId, { taskId, startedAt }]) => ({ sessionId, taskId, startedAt }));
+  }
+
+  /**
+   * Log the session on its task. Called when the PTY exits or the tab is closed.
+   */
+  end(sessionId, { exitCode = null, recording = null } = {}) {
+    const active = this.active.get(sessionId);
+    if (!active) return null;
+    this.active.delete(sessionId);
+
+    let session;
+    try {
+      session = this.taskStore.addWorkSession(active.taskId, {
+        started_at: active.startedAt,
+        ended_at: new Date().toISOString(),
+        recording_id: recording ? recording.id : null
+      });
+    } catch (error) {
+      // The task was deleted while Claude was working on it
+      console.warn(`⚠️ Could not log session ${sessionId}:`, error.message);
+      return null;
+    }
+
+    const ended = {
+      sessionId,
+      taskId: active.taskId,
+      task: this.taskStore.get(active.taskId),
+      session,
+      exitCode,
+      suggestedSummary: this.suggestSummary(session, active.tail, exitCode)
+    };
+    this.emit('ended', ended);
+    return ended;
+  }
+
+  // A starting point the user can edit: duration, exit code and the last lines Claude printed
+  suggestSummary(session, tail, exitCode) {
+    const minutes = Math.max(1, Math.round(session.seconds / 60));
+    const lines = stripAnsi(tail)
+      .split(/\r?\n/)
+      .map(line => line.replace(/\r/g, '').trimEnd())
+      .filter(line => line.trim())
+      .slice(-SUMMARY_LINES);
+
+    return [
+      `Claude session, ${minutes} min${exitCode !== null && exitCode !== 0 ? ` (exit code ${exitCode})` : ''}.`,
+      ...(lines.length ? ['', 'Last output:', ...lines] : [])
+    ].join('\n');
+  }
+}
+
+module.exports = TaskSessions;
@@ -0,0 +1,444 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const Store = require('electron-store');
+
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const TASK_STATUSES = ['active', 'completed'];
+
+// Fields the renderer (or a sync pull) is allowed to set on a task
+const EDITABLE_FIELDS = [
+  'title', 'description', 'priority', 'status', 'tags',
+  'duration_minutes', 'deadline', 'dependencies', 'project_id'
+];
+
+const DEFAULT_DURATION_MINUTES = 30;
+
+// Task IDs are always crypto.randomUUID(); anything else is refused on restore
+const TASK_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Local, on-disk task store. Tasks live in their own electron-store file so
+ * the task list keeps working when the Aether backend is offline; AetherSync
+ * pushes pending changes once the backend is reachable again.
+ */
+class TaskStore extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new Store({
+      name: 'tasks',
+      defaults: {
+        tasks: [],
+        deletedRemoteIds: [],
+        deletedClientIds: []
+      }
+    });
+  }
+
+  getAll() {
+    return this.store.get('tasks', []);
+  }
+
+  saveAll(tasks) {
+    this.store.set('tasks', tasks);
+    this.emit('changed', tasks);
+  }
+
+  get(id) {
+    return this.getAll().find(task => task.id === id) || null;
+  }
+
+  /**
+   * List tasks, optionally filtered by status, priority, tag, project or a text search.
+   */
+  list(filters = {}) {
+    const { status, priority, tag, projectId, search } = filters;
+    const query = search ? String(search).toLowerCase() : null;
+
+    return this.getAll().filter(task => {
+      if (status && task.status !== status) return false;
+      if (priority && task.priority !== priority) return false;
+      if (tag && !(task.tags || []).includes(tag)) return false;
+      if (projectId && task.project_id !== projectId) return false;
+      if (query) {
+        const haystack = `${task.title} ${task.description || ''}`.toLowerCase();
+        if (!haystack.includes(query)) return false;
+      }
+      return true;
+    });
+  }
+
+  create(data = {}) {
+    const task = this.build(data);
+    this.saveAll([...this.getAll(), task]);
+    return task;
+  }
+
+  /**
+   * Create several tasks with a single write (and a single 'changed'), e.g.
+   * an import. All are validated before any is saved.
+   */
+  createMany(items = []) {
+    const tasks = items.map(data => this.build(data));
+    this.saveAll([...this.getAll(), ...tasks]);
+    return tasks;
+  }
+
+  /**
+   * Replace every task, e.g. when restoring a backup. Tasks keep their IDs
+   * and sync state; deletions pending from before are dropped. IDs end up in
+   * the renderer's markup, so a file with any ID that is not a UUID (task or
+   * dependency) is refused before anything is written.
+   */
+  replaceAll(tasks = []) {
+    const restored = tasks.map(task => {
+      const id = task.id === undefined ? crypto.randomUUID() : String(task.id);
+      const badId = [id, ...(Array.isArray(task.dependencies) ? task.dependencies : [])]
+        .find(value => !TASK_ID_PATTERN.test(String(value)));
+      if (badId !== undefined) {
+        throw new Error(`Invalid task ID: ${String(badId).slice(0, 64)}`);
+      }
+      return this.normalize({
+        status: 'active',
+        priority: 'medium',
+        created_at: new Date().toISOString(),
+        ...task,
+        id
+      });
+    });
+    this.store.set('deletedRemoteIds', []);
+    this.store.set('deletedClientIds', []);
+    this.saveAll(restored);
+    return restored;
+  }
+
+  // Sync state is never taken from the caller: only a push or a pull sets it
+  build(data) {
+    const now = new Date().toISOString();
+    const completed = data.status === 'completed';
+    return this.normalize({
+      id: crypto.randomUUID(),
+      title: '',
+      description: '',
+      priority: 'medium',
+      status: 'active',
+      tags: [],
+      duration_minutes: DEFAULT_DURATION_MINUTES,
+      deadline: null,
+      dependencies: [],
+      project_id: null,
+      ...pick(data, EDITABLE_FIELDS),
+      created_at: now,
+      updated_at: now,
+      completed_at: completed ? (data.completed_at || now) : null,
+      remote_id: null,
+      sync_status: 'pending'
+    });
+  }
+
+  update(id, changes = {}) {
+    const tasks = this.getAll();
+    const index = tasks.findIndex(task => task.id === id);
+    if (index === -1) {
+      throw new Error(`Task not found: ${id}`);
+    }
+
+    const previous = tasks[index];
+    const updated = this.normalize({
+      ...previous,
+      ...pick(changes, EDITABLE_FIELDS),
+      updated_at: new Date().toISOString(),
+      sync_status: 'pending'
+    });
+    delete updated.sync_error;
+
+    if (updated.status === 'completed' && previous.status !== 'completed') {
+      updated.completed_at = updated.updated_at;
+    } else if (updated.status !== 'completed') {
+      updated.completed_at = null;
+    }
+
+    tasks[index] = updated;
+    this.saveAll(tasks);
+    return updated;
+  }
+
+  complete(id) {
+    return this.update(id, { status: 'completed' });
+  }
+
+  delete(id) {
+    const tasks = this.getAll();
+    const task = tasks.find(t => t.id === id);
+    if (!task) {
+      return false;
+    }
+
+    // Remember backend IDs so the deletion can be replayed on the next sync
+    if (task.remote_id) {
+      this.store.set('deletedRemoteIds', [...this.store.get('deletedRemoteIds', []), task.remote_id]);
+    } else if (task.sync_status === 'failed') {
+      // A copy may exist that only its client_id ties to this task
+      this.forgetClientId(task.id);
+    }
+
+    // Drop the deleted task from other tasks' dependency lists
+    const remaining = tasks
+      .filter(t => t.id !== id)
+      .map(t => (t.dependencies || []).includes(id)
+        ? { ...t, dependencies: t.dependencies.filter(dep => dep !== id) }
+        : t);
+
+    this.saveAll(remaining);
+    return true;
+  }
+
+  normalize(task) {
+    const title = String(task.title || '').trim();
+    if (!title) {
+      throw new Error('Task title is required');
+    }
+    if (!TASK_PRIORITIES.includes(task.priority)) {
+      throw new Error(`Invalid task priority: ${task.priority}`);
+    }
+    if (!TASK_STATUSES.includes(task.status)) {
+      throw new Error(`Invalid task status: ${task.status}`);
+    }
+
+    const duration = task.duration_minutes === undefined || task.duration_minutes === null
+      ? DEFAULT_DURATION_MINUTES
+      : Number(task.duration_minutes);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      throw new Error(`Invalid task duration: ${task.duration_minutes}`);
+    }
+
+    let deadline = null;
+    if (task.deadline) {
+      const parsed = new Date(task.deadline);
+      if (Number.isNaN(parsed.getTime())) {
+        throw new Error(`Invalid task deadline: ${task.deadline}`);
+      }
+      deadline = parsed.toISOString();
+    }
+
+    return {
+      ...task,
+      title,
+      description: String(task.description || ''),
+      tags: Array.isArray(task.tags) ? task.tags.map(String) : [],
+      duration_minutes: Math.round(duration),
+      deadline,
+      project_id: task.project_id ? String(task.project_id) : null,
+      dependencies: Array.isArray(task.dependencies)
+        ? [...new Set(task.dependencies.map(String))].filter(id => id !== task.id)
+        : []
+    };
+  }
+
+  // --- Claude work sessions (TaskSessions); local only, not synced ---
+
+  /**
+   * Log time spent on a task in a Claude terminal session
+   */
+  addWorkSession(id, { started_at, ended_at, recording_id = null }) {
+    const tasks = this.getAll();
+    const task = tasks.find(t => t.id === id);
+    if (!task) {
+      throw new Error(`Task not found: ${id}`);
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      started_at,
+      ended_at,
+      seconds: Math.max(0, Math.round((new Date(ended_at) - new Date(started_at)) / 1000)),
+      recording_id,
+      summary: null
+    };
+    task.work_sessions = [...(task.work_sessions || []), session];
+    task.time_spent_seconds = (task.time_spent_seconds || 0) + session.seconds;
+    this.saveAll(tasks);
+    return session;
+  }
+
+  setWorkSessionSummary(id, sessionId, summary) {
+    const tasks = this.getAll();
+    const task = tasks.find(t => t.id === id);
+    const session = task && (task.work_sessions || []).find(s => s.id === sessionId);
+    if (!session) {
+      throw new Error(`Work session not found: ${sessionId}`);
+    }
+
+    session.summary = String(summary || '').trim() || null;
+    this.saveAll(tasks);
+    return task;
+  }
+
+  // --- Sync bookkeeping (used by AetherSync) ---
+
+  getPendingTasks() {
+    return this.getAll().filter(task => task.sync_status === 'pending');
+  }
+
+  getDeletedRemoteIds() {
+    return this.store.get('deletedRemoteIds', []);
+  }
+
+  clearDeletedRemoteId(remoteId) {
+    this.store.set('deletedRemoteIds', this.getDeletedRemoteIds().filter(id => id !== remoteId));
+  }
+
+  /**
+   * A create the backend accepted without returning an ID. Posting it again
+   * could duplicate it, so it waits for an edit (which makes it pending
+   * again) or for a pull to match it up by client_id.
+   */
+  markSyncFailed(id, reason) {
+    const tasks = this.getAll();
+    const task = tasks.find(t => t.id === id);
+    if (!task) {
+      this.forgetClientId(id);
+      return;
+    }
+
+    task.sync_status = 'failed';
+    task.sync_error = reason;
+    this.store.set('tasks', tasks);
+  }
+
+  // A remote copy carrying this client_id is deleted when a pull finds it
+  forgetClientId(id) {
+    this.store.set('deletedClientIds', [...this.store.get('deletedClientIds', []), id]);
+  }
+
+  // The backend lost this task while it had local edits; they go out as a new one
+  clearRemoteId(id) {
+    const tasks = this.getAll();
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+
+    task.remote_id = null;
+    this.store.set('tasks', tasks);
+  }
+
+  /**
+   * Record a push. `revision` is the updated_at that was sent; a task edited
+   * while the request was in flight keeps its remote ID but stays pending,
+   * and the copy of one deleted meanwhile is queued for deletion.
+   */
+  markSynced(id, remoteId, revision) {
+    const tasks = this.getAll();
+    const task = tasks.find(t => t.id === id);
+    if (!task) {
+      if (remoteId && !this.getDeletedRemoteIds().includes(remoteId)) {
+        this.store.set('deletedRemoteIds', [...this.getDeletedRemoteIds(), remoteId]);
+      }
+      return;
+    }
+
+    task.remote_id = remoteId || task.remote_id;
+    delete task.sync_error;
+    if (task.updated_at === revision) {
+      task.sync_status = 'synced';
+    }
+    this.store.set('tasks', tasks);
+  }
+
+  /**
+   * Merge the backend's full task list. Local pending edits win; everything
+   * else is refreshed from (or added from) the remote copy, and synced tasks
+   * the backend no longer has are removed. A remote task whose client_id
+   * names a local task that never got its remote ID is that task's copy, not
+   * a new one.
+   */
+  mergeRemote(remoteTasks = []) {
+    const remoteIds = new Set(remoteTasks.map(remote => remote.id));
+    const gone = this.getAll().filter(t => t.remote_id && t.sync_status === 'synced' && !remoteIds.has(t.remote_id));
+    const goneIds = new Set(gone.map(t => t.id));
+    const tasks = this.getAll()
+      .filter(t => !goneIds.has(t.id))
+      .map(t => (t.dependencies || []).some(dep => goneIds.has(dep))
+        ? { ...t, dependencies: t.dependencies.filter(dep => !goneIds.has(dep)) }
+        : t);
+    const deleted = new Set(this.getDeletedRemoteIds());
+    const deletedClientIds = new Set(this.store.get('deletedClientIds', []));
+    let changed = gone.length > 0;
+
+    for (const remote of remoteTasks) {
+      if (remote.id === undefined || remote.id === null || deleted.has(remote.id)) continue;
+
+      if (remote.client_id && deletedClientIds.has(remote.client_id)) {
+        deletedClientIds.delete(remote.client_id);
+        this.store.set('deletedRemoteIds', [...this.getDeletedRemoteIds(), remote.id]);
+        continue;
+      }
+
+      const unlinked = remote.client_id
+        ? tasks.find(t => t.id === remote.client_id && !t.remote_id)
+        : null;
+      if (unlinked) {
+        unlinked.remote_id = remote.id;
+        delete unlinked.sync_error;
+        // A pending edit still goes out, now as an update
+        if (unlinked.sync_status === 'failed') unlinked.sync_status = 'synced';
+        changed = true;
+        continue;
+      }
+
+      const local = tasks.find(t => t.remote_id === remote.id);
+      // Remote dependency IDs refer to backend tasks, so they are not merged
+      const { dependencies, ...fields } = pick(remote, EDITABLE_FIELDS);
+
+      if (!local) {
+        try {
+          tasks.push(this.normalize({
+            id: crypto.randomUUID(),
+            description: '',
+            priority: 'medium',
+            status: 'active',
+            tags: [],
+            duration_minutes: DEFAULT_DURATION_MINUTES,
+            deadline: null,
+            dependencies: [],
+            ...fields,
+            created_at: remote.created_at || new Date().toISOString(),
+            updated_at: remote.updated_at || remote.created_at || new Date().toISOString(),
+            completed_at: remote.completed_at || null,
+            remote_id: remote.id,
+            sync_status: 'synced'
+          }));
+          changed = true;
+        } catch (error) {
+          console.warn(`⚠️ Skipping invalid remote task ${remote.id}:`, error.message);
+        }
+      } else if (local.sync_status === 'synced') {
+        try {
+          Object.assign(local, this.normalize({ ...local, ...fields }));
+          changed = true;
+        } catch (error) {
+          console.warn(`⚠️ Ignoring invalid remote update for ${remote.id}:`, error.message);
+        }
+      }
+    }
+
+    this.store.set('deletedClientIds', [...deletedClientIds]);
+    if (changed) {
+      this.saveAll(tasks);
+    }
+    return changed;
+  }
+}
+
+function pick(source, keys) {
+  const result = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) {
+      result[key] = source[key];
+    }
+  }
+  return result;
+}
+
+module.exports = TaskStore;
+module.exports.TASK_PRIORITIES = TASK_PRIORITIES;
+module.exports.TASK_STATUSES = TASK_STATUSES;
+module.exports.TASK_ID_PATTERN = TASK_ID_PATTERN;
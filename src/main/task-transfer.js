@@ -0,0 +1,525 @@
+const { TASK_PRIORITIES, TASK_STATUSES } = require('./task-store');
+const { parseTaskText } = require('./task-parser');
+
+/**
+ * Task import/export: CSV, Markdown checklists, JSON and an iCalendar feed,
+ * plus the full backup file. Pure functions over plain task/project lists;
+ * main.js does the file dialogs and the store writes.
+ *
+ * Importers return drafts - task fields plus `project_name` - which
+ * markDuplicates() annotates for the preview before anything is saved.
+ */
+
+const BACKUP_FORMAT = 'flowsaver-backup';
+const TASKS_FORMAT = 'flowsaver-tasks';
+const FORMAT_VERSION = 1;
+const DEFAULT_DURATION_MINUTES = 30;
+const DEADLINE_EVENT_MINUTES = 15;
+
+const CSV_COLUMNS = [
+  'title', 'description', 'status', 'priority', 'project', 'tags',
+  'duration_minutes', 'deadline', 'completed_at', 'id'
+];
+
+// Header spellings other tools use, mapped to our column names
+const CSV_ALIASES = {
+  name: 'title',
+  task: 'title',
+  summary: 'title',
+  notes: 'description',
+  done: 'status',
+  state: 'status',
+  project_name: 'project',
+  labels: 'tags',
+  duration: 'duration_minutes',
+  estimate: 'duration_minutes',
+  minutes: 'duration_minutes',
+  due: 'deadline',
+  due_date: 'deadline',
+  completed: 'completed_at'
+};
+
+const MARKDOWN_ITEM = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+const MARKDOWN_HEADING = /^#{1,6}\s+(.*?)\s*#*\s*$/;
+
+function projectNames(projects) {
+  return new Map(projects.map(project => [project.id, project.name]));
+}
+
+function normalizeTitle(title) {
+  return String(title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// Local "YYYY-MM-DD HH:MM", which task-parser reads back
+function formatLocal(iso) {
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Coerce loosely typed imported values into task fields. Throws when the
+ * row can't be a task (no title, unparseable date).
+ */
+function toDraft(fields) {
+  const title = String(fields.title || '').trim();
+  if (!title) {
+    throw new Error('missing title');
+  }
+
+  const status = String(fields.status || '').trim().toLowerCase();
+  const priority = String(fields.priority || '').trim().toLowerCase();
+  const duration = Number(fields.duration_minutes);
+  const tags = Array.isArray(fields.tags)
+    ? fields.tags
+    : String(fields.tags || '').split(/[;,]/);
+
+  let deadline = null;
+  if (fields.deadline) {
+    const parsed = new Date(fields.deadline);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new Error(`invalid deadline "${fields.deadline}"`);
+    }
+    deadline = parsed.toISOString();
+  }
+
+  let completedAt = null;
+  if (fields.completed_at && !Number.isNaN(new Date(fields.completed_at).getTime())) {
+    completedAt = new Date(fields.completed_at).toISOString();
+  }
+
+  return {
+    title: title.slice(0, 500),
+    description: String(fields.description || '').slice(0, 10000),
+    status: TASK_STATUSES.includes(status) ? status : (['x', 'yes', 'true', 'done', '1'].includes(status) ? 'completed' : 'active'),
+    priority: TASK_PRIORITIES.includes(priority) ? priority : 'medium',
+    tags: tags.map(tag => String(tag).trim().replace(/^#/, '')).filter(Boolean).slice(0, 50),
+    duration_minutes: Number.isFinite(duration) && duration > 0 ? Math.round(duration) : DEFAULT_DURATION_MINUTES,
+    deadline,
+    completed_at: completedAt,
+    project_name: fields.project_name ? String(fields.project_name).trim().slice(0, 200) : null
+  };
+}
+
+// --- CSV ---
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(tasks, projects = []) {
+  const names = projectNames(projects);
+  const rows = tasks.map(task => [
+    task.title,
+    task.description,
+    task.status,
+    task.priority,
+    names.get(task.project_id) || '',
+    (task.tags || []).join(';'),
+    task.duration_minutes,
+    task.deadline || '',
+    task.completed_at || '',
+    task.id
+  ]);
+  return `${[CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+/**
+ * RFC 4180 rows: quoted fields, doubled quotes, CRLF or LF line ends
+ */
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+function parseCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) {
+    return { drafts: [], errors: [] };
+  }
+
+  const columns = header.map(name => {
+    const key = name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return CSV_ALIASES[key] || key;
+  });
+  if (!columns.includes('title')) {
+    throw new Error('CSV needs a "title" column');
+  }
+
+  const drafts = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const fields = {};
+    columns.forEach((column, position) => {
+      fields[column] = cells[position];
+    });
+    try {
+      drafts.push(toDraft({ ...fields, project_name: fields.project }));
+    } catch (error) {
+      // +2: the header is line 1
+      errors.push(`Line ${index + 2}: ${error.message}`);
+    }
+  });
+  return { drafts, errors };
+}
+
+// --- Markdown checklists ---
+
+/**
+ * One "## Project" section per project, items in the quick-capture syntax
+ * ("- [ ] Title !high 45m due 2026-10-20 17:00 #tag") so they import back.
+ */
+function toMarkdown(tasks, projects = []) {
+  const names = projectNames(projects);
+  const groups = new Map();
+  tasks.forEach(task => {
+    const name = names.get(task.project_id) || null;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(task);
+  });
+
+  const lines = ['# Tasks', ''];
+  const sections = Array.from(groups.entries()).sort(([a], [b]) => (a === null) - (b === null) || String(a).localeCompare(String(b)));
+  sections.forEach(([name, sectionTasks]) => {
+    lines.push(`## ${name || 'No project'}`, '');
+    sectionTasks.forEach(task => {
+      const details = [
+        task.priority !== 'medium' ? `!${task.priority}` : null,
+        task.duration_minutes !== DEFAULT_DURATION_MINUTES ? `${task.duration_minutes}m` : null,
+        task.deadline ? `due ${formatLocal(task.deadline)}` : null,
+        ...(task.tags || []).map(tag => `#${tag.replace(/\s+/g, '-')}`)
+      ].filter(Boolean);
+      lines.push(`- [${task.status === 'completed' ? 'x' : ' '}] ${[task.title, ...details].join(' ')}`);
+      String(task.description || '').split('\n').filter(line => line.trim()).forEach(line => {
+        lines.push(`  ${line}`);
+      });
+    });
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+/**
+ * `- [ ]` / `- [x]` items; a heading names the project of the items under
+ * it, indented plain lines under an item become its description. Item text
+ * goes through the quick-capture parser for priority, duration and due date.
+ */
+function parseMarkdown(text, { projects = [], now } = {}) {
+  const drafts = [];
+  const errors = [];
+  let heading = null;
+  let current = null;
+
+  String(text).split(/\r?\n/).forEach((line, index) => {
+    const item = line.match(MARKDOWN_ITEM);
+    if (item) {
+      const parsed = parseTaskText(item[3], { projects, now });
+      const sectionProject = heading && !/^(tasks|no project|todo|to do)$/i.test(heading) ? heading : null;
+      try {
+        current = toDraft({
+          ...parsed,
+          status: item[2].trim() ? 'completed' : 'active',
+          project_name: parsed.project_name || sectionProject
+        });
+        drafts.push(current);
+      } catch (error) {
+        current = null;
+        errors.push(`Line ${index + 1}: ${error.message}`);
+      }
+      return;
+    }
+
+    const title = line.match(MARKDOWN_HEADING);
+    if (title) {
+      heading = title[1];
+      current = null;
+    } else if (current && /^\s+\S/.test(line)) {
+      current.description = current.description ? `${current.description}\n${line.trim()}` : line.trim();
+    } else if (!line.trim()) {
+      current = null;
+    }
+  });
+  return { drafts, errors };
+}
+
+// --- JSON ---
+
+function toJSON(tasks, projects = []) {
+  const used = new Set(tasks.map(task => task.project_id).filter(Boolean));
+  return `${JSON.stringify({
+    format: TASKS_FORMAT,
+    version: FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    projects: projects.filter(project => used.has(project.id)),
+    tasks
+  }, null, 2)}\n`;
+}
+
+/**
+ * Our own exports and backups, `{ tasks: [...] }` or a bare array of tasks
+ */
+function parseJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+
+  const tasks = Array.isArray(data) ? data : data && data.tasks;
+  if (!Array.isArray(tasks)) {
+    throw new Error('JSON needs a list of tasks, or an object with a "tasks" list');
+  }
+  const names = projectNames(Array.isArray(data.projects) ? data.projects : []);
+
+  const drafts = [];
+  const errors = [];
+  tasks.forEach((task, index) => {
+    try {
+      if (!task || typeof task !== 'object') throw new Error('not an object');
+      drafts.push({
+        ...toDraft({
+          ...task,
+          project_name: task.project_name || task.project || names.get(task.project_id) || null
+        }),
+        source_id: task.id ? String(task.id) : null
+      });
+    } catch (error) {
+      errors.push(`Task ${index + 1}: ${error.message}`);
+    }
+  });
+  return { drafts, errors };
+}
+
+/**
+ * Flag drafts that already exist (same ID from an earlier export, or same
+ * title in the same project) or repeat an earlier draft in the file.
+ */
+function markDuplicates(drafts, existingTasks, projects = []) {
+  const names = projectNames(projects);
+  const key = (title, projectName) => `${normalizeTitle(title)}\u0000${String(projectName || '').trim().toLowerCase()}`;
+  const existingByKey = new Map(existingTasks.map(task => [key(task.title, names.get(task.project_id)), task.id]));
+  const existingIds = new Set(existingTasks.map(task => task.id));
+  const seen = new Set();
+
+  return drafts.map(draft => {
+    const draftKey = key(draft.title, draft.project_name);
+    let duplicate = null;
+    if (draft.source_id && existingIds.has(draft.source_id)) {
+      duplicate = { reason: 'existing', task_id: draft.source_id };
+    } else if (existingByKey.has(draftKey)) {
+      duplicate = { reason: 'existing', task_id: existingByKey.get(draftKey) };
+    } else if (seen.has(draftKey)) {
+      duplicate = { reason: 'in_file', task_id: null };
+    }
+    seen.add(draftKey);
+    return { ...draft, duplicate };
+  });
+}
+
+// --- iCalendar ---
+
+function icsEscape(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/[,;]/g, match => `\\${match}`);
+}
+
+function icsDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function icsFold(line) {
+  const chunks = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    chunks.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  chunks.push(rest);
+  return chunks.join('\r\n');
+}
+
+/**
+ * VEVENTs for the scheduler's planned work blocks and for the due dates of
+ * open tasks. UIDs are stable, so re-importing the feed updates events.
+ */
+function toICS(tasks, schedule = null, { now = new Date() } = {}) {
+  const stamp = icsDate(now);
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const events = [];
+
+  ((schedule && schedule.blocks) || []).forEach(block => {
+    const task = byId.get(block.task_id);
+    events.push([
+      `UID:${block.task_id}-${icsDate(block.start)}@flowsaver`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(block.start)}`,
+      `DTEND:${icsDate(block.end)}`,
+      `SUMMARY:${icsEscape(block.title)}`,
+      ...(task && task.description ? [`DESCRIPTION:${icsEscape(task.description)}`] : []),
+      `CATEGORIES:FlowSaver,${icsEscape(block.priority)}`
+    ]);
+  });
+
+  tasks.filter(task => task.status === 'active' && task.deadline).forEach(task => {
+    const due = new Date(task.deadline);
+    events.push([
+      `UID:${task.id}-due@flowsaver`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(due)}`,
+      `DTEND:${icsDate(due.getTime() + DEADLINE_EVENT_MINUTES * 60000)}`,
+      `SUMMARY:${icsEscape(`Due: ${task.title}`)}`,
+      ...(task.description ? [`DESCRIPTION:${icsEscape(task.description)}`] : []),
+      `CATEGORIES:FlowSaver,${icsEscape(task.priority)}`
+    ]);
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//FlowSaver//Tasks//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:FlowSaver',
+    ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(icsFold).join('\r\n')}\r\n`;
+}
+
+// --- Full backup ---
+
+function pickFields(value, fields) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+  return Object.fromEntries(fields.filter(field => value[field] !== undefined).map(field => [field, value[field]]));
+}
+
+/**
+ * The settings a restore may write, and the fields of each. Anything that
+ * names a program to run or a URL to call - the Claude CLI binary and args,
+ * the backend command, args and working directory, LLM base URLs - is never
+ * restored from a file; those stay as they are on this machine.
+ */
+const RESTORABLE_SETTINGS = {
+  workingHours: ['start', 'end', 'days'],
+  reminders: ['enabled', 'leadMinutes', 'snoozeMinutes', 'quietHours', 'digest'],
+  quickCapture: ['enabled', 'accelerator', 'refine'],
+  outputWatchers: ['enabled', 'rules'],
+  council: ['members', 'synthesizer'],
+  llm: ['chatModel'],
+  claudeCli: ['mcp'],
+  backend: ['autoStart', 'autoRestart'],
+  // Verified against the trusted keys whenever it is read
+  license: null
+};
+
+/**
+ * The allow-listed part of a backup's settings
+ */
+function restorableSettings(settings) {
+  const restorable = {};
+  Object.entries(RESTORABLE_SETTINGS).forEach(([key, fields]) => {
+    const value = fields ? pickFields(settings[key], fields) : settings[key];
+    if (fields ? value && Object.keys(value).length : typeof value === 'string') {
+      restorable[key] = value;
+    }
+  });
+  return restorable;
+}
+
+function buildBackup({ tasks, projects, settings, appVersion }) {
+  return `${JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: FORMAT_VERSION,
+    app_version: appVersion,
+    exported_at: new Date().toISOString(),
+    tasks,
+    projects,
+    settings
+  }, null, 2)}\n`;
+}
+
+/**
+ * Parse and sanity-check a backup file before anything is replaced
+ */
+function readBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+
+  if (!data || data.format !== BACKUP_FORMAT) {
+    throw new Error('Not a FlowSaver backup file');
+  }
+  if (data.version > FORMAT_VERSION) {
+    throw new Error(`Backup version ${data.version} is newer than this app supports`);
+  }
+  if (!Array.isArray(data.tasks) || !Array.isArray(data.projects)) {
+    throw new Error('Backup is missing its task or project list');
+  }
+  if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+    throw new Error('Backup is missing its settings');
+  }
+  return data;
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  CSV_COLUMNS,
+  toCSV,
+  parseCSV,
+  toMarkdown,
+  parseMarkdown,
+  toJSON,
+  parseJSON,
+  markDuplicates,
+  toICS,
+  buildBackup,
+  readBackup,
+  restorableSettings
+};
@@ -0,0 +1,95 @@
+const { EventEmitter } = require('events');
+const ClaudeTerminal = require('./claude-terminal');
+
+/**
+ * Tracks one ClaudeTerminal per session ID (builder, advisor, council, ...)
+ * and re-emits their events tagged with the session they came from.
+ */
+class TerminalManager extends EventEmitter {
+  constructor(projectPath, options = {}) {
+    super();
+    this.projectPath = projectPath;
+    this.launcher = options.launcher;
+    // Throws when a session may not be started or reused (e.g. plan gates)
+    this.authorize = options.authorize || (() => {});
+    this.sessions = new Map();
+  }
+
+  create(sessionId, options = {}) {
+    if (!sessionId) {
+      throw new Error('A terminal session ID is required');
+    }
+
+    if (this.sessions.has(sessionId)) {
+      return this.sessions.get(sessionId);
+    }
+
+    const terminal = new ClaudeTerminal(options.cwd || this.projectPath, {
+      sessionId,
+      launcher: this.launcher
+    });
+
+    terminal.on('ready', () => {
+      this.emit('started', sessionId, terminal);
+    });
+
+    terminal.on('output', (data) => {
+      this.emit('output', sessionId, data);
+    });
+
+    terminal.on('claude-started', () => {
+      this.emit('claude-started', sessionId);
+    });
+
+    terminal.on('exit', (exitCode) => {
+      this.emit('exit', sessionId, exitCode);
+    });
+
+    terminal.on('error', (error) => {
+      this.emit('error', sessionId, error);
+    });
+
+    this.sessions.set(sessionId, terminal);
+    return terminal;
+  }
+
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  // Every start path (shell, Claude, task sessions) comes through here
+  getOrCreate(sessionId, options = {}) {
+    this.authorize(sessionId);
+    return this.get(sessionId) || this.create(sessionId, options);
+  }
+
+  list() {
+    return Array.from(this.sessions.entries()).map(([sessionId, terminal]) => ({
+      sessionId,
+      cwd: terminal.projectPath,
+      isRunning: terminal.isRunning
+    }));
+  }
+
+  kill(sessionId) {
+    const terminal = this.sessions.get(sessionId);
+    if (!terminal) {
+      return false;
+    }
+
+    terminal.kill();
+    terminal.removeAllListeners();
+    this.sessions.delete(sessionId);
+    // The PTY's own exit event is gone with the listeners, so report it here
+    this.emit('killed', sessionId);
+    return true;
+  }
+
+  killAll() {
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      this.kill(sessionId);
+    }
+  }
+}
+
+module.exports = TerminalManager;
@@ -0,0 +1,58 @@
+const { ipcMain } = require('electron');
+const crypto = require('crypto');
+const { SEND_CHANNELS, isTrustedSender, validatePayload } = require('./ipc-schema');
+
+const SNAPSHOT_TIMEOUT = 2000; // 2 seconds
+
+/**
+ * Asks the renderer for a structured snapshot of what it is showing
+ * (current view, visible tasks, selected project, terminal tab, recent chat).
+ * Resolves to null when the renderer doesn't answer in time, so callers can
+ * fall back to screenshot OCR.
+ */
+class UIContextBridge {
+  constructor() {
+    this.pending = new Map();
+
+    ipcMain.on('ui-context-snapshot-response', (event, payload) => {
+      if (!isTrustedSender(event)) {
+        console.warn('⚠️ Ignored a UI context snapshot from an untrusted sender');
+        return;
+      }
+      try {
+        validatePayload('ui-context-snapshot-response', payload, SEND_CHANNELS);
+      } catch (error) {
+        console.warn(`⚠️ ${error.message}`);
+        return;
+      }
+
+      const { requestId, snapshot } = payload;
+      const request = this.pending.get(requestId);
+      if (!request) return;
+
+      clearTimeout(request.timeoutId);
+      this.pending.delete(requestId);
+      request.resolve(snapshot || null);
+    });
+  }
+
+  requestSnapshot(webContents, timeout = SNAPSHOT_TIMEOUT) {
+    if (!webContents || webContents.isDestroyed()) {
+      return Promise.resolve(null);
+    }
+
+    const requestId = crypto.randomUUID();
+    return new Promise((resolve) => {
+      const timeoutId = setTimeout(() => {
+        this.pending.delete(requestId);
+        console.warn(`⏱️ UI context snapshot timed out after ${timeout}ms`);
+        resolve(null);
+      }, timeout);
+
+      this.pending.set(requestId, { resolve, timeoutId });
+      webContents.send('ui-context-snapshot-request', { requestId });
+    });
+  }
+}
+
+module.exports = UIContextBridge;
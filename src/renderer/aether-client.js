@@ -8,6 +8,12 @@
 const AETHER_BASE_URL = 'http://localhost:8000';
 const REQUEST_TIMEOUT = 30000; // 30 seconds default timeout
 const CHAT_TIMEOUT = 90000; // 90 seconds for chat requests
+const HEALTH_TIMEOUT = 3000;
+const HEALTH_INTERVAL = 15000; // while online
+const HEALTH_BACKOFF_MIN = 2000; // offline: 2s, 4s, 8s ... up to the max
+const HEALTH_BACKOFF_MAX = 60000;
+const QUEUE_STORAGE_KEY = 'aether_outbound_queue';
+const MAX_QUEUED_REQUESTS = 200;
 
 class AetherClient {
     constructor() {
@@ -16,7 +22,22 @@ class AetherClient {
         this.retryDelay = 1000;
         // Persistent session ID - generated once and reused
         this.sessionId = this.getOrCreateSessionId();
-        this.isRequestInProgress = false;
+        // Every in-flight request/chat, so they can run side by side and be cancelled together
+        this.activeControllers = new Set();
+        this.chatControllers = new Set();
+
+        // Connection supervisor state
+        this.online = null; // unknown until the first health check
+        this.lastError = null;
+        this.nextCheckAt = null;
+        this.healthTimer = null;
+        this.supervising = false;
+        this.backoff = HEALTH_BACKOFF_MIN;
+        this.connectionListeners = new Set();
+
+        // Mutating requests made while offline, replayed in order once Aether is back
+        this.queue = this.loadQueue();
+        this.isFlushing = false;
         console.log(`🔐 Session initialized: ${this.sessionId}`);
     }
 
@@ -44,12 +65,21 @@ class AetherClient {
         console.log('🔄 Session reset:', this.sessionId);
     }
 
+    /**
+     * Switch to an existing session (e.g. the one owned by a saved conversation)
+     */
+    setSession(sessionId) {
+        this.sessionId = sessionId;
+        console.log('🔀 Session switched:', this.sessionId);
+    }
+
     /**
      * Create an abort controller with timeout
      */
     createAbortController(timeout = REQUEST_TIMEOUT) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => {
+            controller.timedOut = true;
             controller.abort();
             console.warn(`⏱️ Request timeout after ${timeout}ms`);
         }, timeout);
@@ -57,42 +87,65 @@ class AetherClient {
     }
 
     /**
-     * Perform HTTP request with error handling, timeouts, and retries
+     * Perform HTTP request with error handling, timeouts, and retries.
+     *
+     * options.signal cancels this request only (rejects with an AbortError).
+     * options.retries overrides the retry count. HTTP errors are not retried;
+     * they reject with `error.status`. Network failures reject with
+     * `error.network = true` and tell the connection supervisor.
      */
     async request(endpoint, options = {}, customTimeout = null) {
+        const { signal = null, retries = this.retryCount, ...fetchOptions } = options;
         const url = `${this.baseUrl}${endpoint}`;
         const timeout = customTimeout || REQUEST_TIMEOUT;
         
-        for (let attempt = 1; attempt <= this.retryCount; attempt++) {
+        for (let attempt = 1; attempt <= retries; attempt++) {
             const { controller, timeoutId } = this.createAbortController(timeout);
+            const onAbort = () => controller.abort();
+            if (signal) {
+                if (signal.aborted) controller.abort();
+                signal.addEventListener('abort', onAbort);
+            }
+            this.activeControllers.add(controller);
             
             try {
-                console.log(`🔗 [Attempt ${attempt}/${this.retryCount}] Requesting: ${url}`);
-                console.log(`⏱️ Timeout set to ${timeout}ms`);
+                console.log(`🔗 [Attempt ${attempt}/${retries}] Requesting: ${url}`);
                 
                 const response = await fetch(url, {
-                    ...options,
+                    ...fetchOptions,
                     signal: controller.signal,
                     headers: {
                         'Content-Type': 'application/json',
-                        ...options.headers
+                        ...fetchOptions.headers
                     }
                 });
 
-                // Clear timeout on successful response
-                clearTimeout(timeoutId);
-
                 console.log(`📡 Response status: ${response.status} ${response.statusText}`);
 
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    error.status = response.status;
+                    throw error;
                 }
 
                 const data = await response.json();
+                this.markOnline();
                 console.log(`✅ API Success:`, data);
                 return data;
             } catch (error) {
-                clearTimeout(timeoutId);
+                // Cancelled by the caller (or cancelAll) - never retried
+                if (error.name === 'AbortError' && !controller.timedOut) {
+                    const cancelled = new Error('Request cancelled');
+                    cancelled.name = 'AbortError';
+                    throw cancelled;
+                }
+                
+                // The server answered - retrying won't change its mind
+                if (error.status) {
+                    if (error.status < 500) this.markOnline();
+                    console.error(`❌ API Error:`, error.message);
+                    throw error;
+                }
                 
                 // Handle timeout specifically
                 if (error.name === 'AbortError') {
@@ -102,17 +155,233 @@ class AetherClient {
                     console.error(`❌ [Attempt ${attempt}] API Error:`, error.message);
                 }
                 
-                if (attempt === this.retryCount) {
+                if (attempt === retries) {
                     // Throw user-friendly error
-                    if (error.name === 'AbortError') {
-                        throw new Error(`The AI is taking too long to respond. Please try again.`);
-                    }
-                    throw new Error(`Connection failed: ${error.message}`);
+                    const failure = new Error(error.name === 'AbortError'
+                        ? 'The AI is taking too long to respond. Please try again.'
+                        : `Connection failed: ${error.message}`);
+                    failure.network = true;
+                    this.markOffline(failure);
+                    throw failure;
                 }
                 
                 console.log(`⏳ Waiting ${this.retryDelay * attempt}ms before retry...`);
                 await this.delay(this.retryDelay * attempt);
+            } finally {
+                clearTimeout(timeoutId);
+                this.activeControllers.delete(controller);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * Send a mutating request, or queue it while Aether is unreachable.
+     * Resolves with the response, or with { queued: true, queueId } when the
+     * request was stored for replay.
+     */
+    async mutate(endpoint, options = {}) {
+        if (this.online === false) {
+            return this.enqueue(endpoint, options);
+        }
+        try {
+            return await this.request(endpoint, options);
+        } catch (error) {
+            if (error.network) {
+                return this.enqueue(endpoint, options);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel every in-flight request and chat
+     */
+    cancelAll() {
+        [...this.activeControllers, ...this.chatControllers].forEach(controller => controller.abort());
+    }
+
+    // --- Connection supervisor ---
+
+    /**
+     * Start health-checking /health: every HEALTH_INTERVAL while online,
+     * with exponential backoff while offline. Idempotent.
+     */
+    startSupervisor() {
+        if (this.supervising) return;
+        this.supervising = true;
+        this.checkHealth();
+    }
+
+    stopSupervisor() {
+        this.supervising = false;
+        clearTimeout(this.healthTimer);
+        this.healthTimer = null;
+        this.nextCheckAt = null;
+    }
+
+    scheduleHealthCheck(delay) {
+        clearTimeout(this.healthTimer);
+        if (!this.supervising) return;
+        this.nextCheckAt = Date.now() + delay;
+        this.healthTimer = setTimeout(() => {
+            this.healthTimer = null;
+            this.checkHealth();
+        }, delay);
+    }
+
+    async checkHealth() {
+        try {
+            await this.request('/health', { retries: 1 }, HEALTH_TIMEOUT);
+        } catch (error) {
+            // Network failures already went through markOffline; an unhealthy answer counts too
+            if (!error.network) this.markOffline(error);
+            return false;
+        }
+        this.scheduleHealthCheck(HEALTH_INTERVAL);
+        this.flushQueue();
+        return true;
+    }
+
+    /**
+     * Check right away (e.g. a "Retry now" click), resetting the backoff
+     */
+    checkNow() {
+        this.backoff = HEALTH_BACKOFF_MIN;
+        return this.checkHealth();
+    }
+
+    /**
+     * Point the client at another backend (the port is configurable in
+     * Settings) and re-check the connection
+     */
+    setBaseUrl(baseUrl) {
+        if (!baseUrl || baseUrl === this.baseUrl) return;
+        this.baseUrl = baseUrl;
+        console.log(`🔗 Aether base URL: ${baseUrl}`);
+        this.checkNow();
+    }
+
+    markOnline() {
+        const wasOnline = this.online;
+        this.online = true;
+        this.lastError = null;
+        this.backoff = HEALTH_BACKOFF_MIN;
+        if (wasOnline !== true) {
+            console.log('🟢 Aether reachable');
+            this.scheduleHealthCheck(HEALTH_INTERVAL);
+            this.notifyConnection();
+            this.flushQueue();
+        }
+    }
+
+    markOffline(error) {
+        const wasOnline = this.online;
+        this.online = false;
+        this.lastError = error.message;
+        this.scheduleHealthCheck(this.backoff);
+        this.backoff = Math.min(this.backoff * 2, HEALTH_BACKOFF_MAX);
+        if (wasOnline !== false) {
+            console.warn('🔴 Aether unreachable - queueing changes until it is back');
+        }
+        this.notifyConnection();
+    }
+
+    getConnectionState() {
+        return {
+            online: this.online,
+            lastError: this.lastError,
+            nextCheckAt: this.nextCheckAt,
+            queued: this.queue.length
+        };
+    }
+
+    /**
+     * Subscribe to online/offline changes and queue size updates.
+     * The listener is called right away with the current state; returns an
+     * unsubscribe function.
+     */
+    onConnectionChange(listener) {
+        this.connectionListeners.add(listener);
+        listener(this.getConnectionState());
+        return () => this.connectionListeners.delete(listener);
+    }
+
+    notifyConnection() {
+        const state = this.getConnectionState();
+        this.connectionListeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (error) {
+                console.error('Connection listener failed:', error);
+            }
+        });
+    }
+
+    // --- Outbound queue ---
+
+    loadQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue() {
+        localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(this.queue));
+        this.notifyConnection();
+    }
+
+    enqueue(endpoint, options) {
+        const entry = {
+            id: `queued_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+            endpoint,
+            method: options.method || 'POST',
+            body: options.body || null,
+            queued_at: new Date().toISOString()
+        };
+        this.queue.push(entry);
+        // Oldest requests go first when the queue is full
+        this.queue.splice(0, Math.max(0, this.queue.length - MAX_QUEUED_REQUESTS));
+        this.saveQueue();
+        console.log(`📥 Queued ${entry.method} ${endpoint} for when Aether is back (${this.queue.length} queued)`);
+        return { queued: true, queueId: entry.id };
+    }
+
+    getQueue() {
+        return this.queue.slice();
+    }
+
+    discardQueued(queueId) {
+        this.queue = this.queue.filter(entry => entry.id !== queueId);
+        this.saveQueue();
+    }
+
+    /**
+     * Replay queued requests oldest first. Stops at the first network failure
+     * or server error (tried again after the next health check); requests the
+     * server rejects outright (4xx) are dropped.
+     */
+    async flushQueue() {
+        if (this.isFlushing || this.queue.length === 0) return;
+        this.isFlushing = true;
+
+        try {
+            while (this.queue.length > 0 && this.online) {
+                const entry = this.queue[0];
+                try {
+                    await this.request(entry.endpoint, { method: entry.method, body: entry.body, retries: 1 });
+                    console.log(`📤 Replayed queued ${entry.method} ${entry.endpoint}`);
+                } catch (error) {
+                    if (error.network || error.status >= 500) break;
+                    console.error(`❌ Dropped queued ${entry.method} ${entry.endpoint}: ${error.message}`);
+                }
+                this.queue = this.queue.filter(queued => queued.id !== entry.id);
+                this.saveQueue();
             }
+        } finally {
+            this.isFlushing = false;
         }
     }
 
@@ -145,10 +414,11 @@ class AetherClient {
     }
 
     /**
-     * Execute a webhook edict
+     * Execute a webhook edict. Queued for replay while Aether is offline
+     * (resolves with { queued: true } then).
      */
     async executeEdict(edictName, context = {}) {
-        return await this.request(`/webhook/${edictName}`, {
+        return await this.mutate(`/webhook/${encodeURIComponent(edictName)}`, {
             method: 'POST',
             body: JSON.stringify(context)
         });
@@ -213,61 +483,217 @@ class AetherClient {
         return await this.request('/foundry/reports');
     }
 
+    /**
+     * Stream a chat reply as an async iterator of text chunks.
+     * Understands SSE (`data: {"chunk": "..."}`), plain-text streams and, for
+     * servers that don't stream, a single JSON body (yielded as one chunk).
+     * The timeout is an idle timeout: it restarts every time data arrives.
+     */
+    async *streamChatMessage(message, { signal = null, timeout = CHAT_TIMEOUT } = {}) {
+        const controller = new AbortController();
+        let timedOut = false;
+        let timeoutId = null;
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        };
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            resetTimeout();
+            const response = await fetch(`${this.baseUrl}/api/chat`, {
+                method: 'POST',
+                signal: controller.signal,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream, application/json'
+                },
+                body: JSON.stringify({
+                    message: message,
+                    session_id: this.sessionId,  // CRITICAL: Always include session ID
+                    timestamp: new Date().toISOString()
+                })
+            });
+
+            console.log(`📡 Chat response status: ${response.status} ${response.statusText}`);
+            this.markOnline();
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const contentType = response.headers.get('content-type') || '';
+
+            // JSON fallback for non-streaming servers
+            if (contentType.includes('application/json') || !response.body) {
+                const data = await response.json();
+                const text = data.response || data.message || '';
+                if (text) yield text;
+                return;
+            }
+
+            const isSSE = contentType.includes('text/event-stream');
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                resetTimeout();
+
+                const text = decoder.decode(value, { stream: true });
+                if (!isSSE) {
+                    if (text) yield text;
+                    continue;
+                }
+
+                // SSE events may be split across reads - only parse complete lines
+                buffer += text;
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const chunk of this.parseSSELines(lines)) {
+                    if (chunk === null) return;
+                    yield chunk;
+                }
+            }
+
+            for (const chunk of this.parseSSELines([buffer])) {
+                if (chunk === null) return;
+                yield chunk;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (timedOut) {
+                    throw new Error('The AI is taking too long to respond. Please try again.');
+                }
+                const cancelled = new Error('Chat request cancelled');
+                cancelled.name = 'AbortError';
+                throw cancelled;
+            }
+            // fetch rejects with a TypeError when the server can't be reached
+            if (error instanceof TypeError) {
+                this.markOffline(error);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Turn SSE `data:` lines into text chunks. A `null` entry marks the end of
+     * the stream (`[DONE]` or `{"done": true}`).
+     */
+    parseSSELines(lines) {
+        const chunks = [];
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') {
+                chunks.push(null);
+                break;
+            }
+
+            try {
+                const data = JSON.parse(payload);
+                if (data.error) {
+                    throw new Error(data.error);
+                }
+                const chunk = data.chunk || data.response || data.content;
+                if (chunk) chunks.push(chunk);
+                if (data.done) {
+                    chunks.push(null);
+                    break;
+                }
+            } catch (e) {
+                if (e instanceof SyntaxError) {
+                    // Skip invalid JSON
+                    continue;
+                }
+                throw e;
+            }
+        }
+        return chunks;
+    }
+
     /**
      * Send chat message to AI with proper session handling
      * CRITICAL FIX: Ensures session persistence and timeout handling
+     *
+     * onStreamUpdate(chunk, fullText) is called for every streamed token.
+     * Several chats may run at once; options.signal cancels just this one.
      */
-    async sendChatMessage(message, onStreamUpdate = null) {
-        // Prevent concurrent requests
-        if (this.isRequestInProgress) {
-            throw new Error('Another request is already in progress. Please wait.');
+    async sendChatMessage(message, onStreamUpdate = null, { signal = null } = {}) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort);
         }
-        
-        this.isRequestInProgress = true;
+        this.chatControllers.add(controller);
+        let fullText = '';
         
         try {
             console.log(`💬 Sending chat message with session: ${this.sessionId}`);
             
-            const requestBody = {
-                message: message,
-                session_id: this.sessionId,  // CRITICAL: Always include session ID
-                timestamp: new Date().toISOString()
-            };
-            
-            console.log('📤 Chat request:', requestBody);
-            
-            // Use longer timeout for chat requests
-            const response = await this.request('/api/chat', {
-                method: 'POST',
-                body: JSON.stringify(requestBody)
-            }, CHAT_TIMEOUT);
-            
-            console.log('📥 Chat response received:', response);
-            
-            // Handle streaming updates if callback provided
-            if (onStreamUpdate && response.response) {
-                onStreamUpdate(response.response);
+            for await (const chunk of this.streamChatMessage(message, { signal: controller.signal })) {
+                fullText += chunk;
+                if (onStreamUpdate) {
+                    onStreamUpdate(chunk, fullText);
+                }
             }
             
+            console.log('📥 Chat response complete:', fullText.length, 'chars');
+            
             return {
                 success: true,
-                response: response.response || response.message || 'No response',
+                response: fullText || 'No response',
                 sessionId: this.sessionId,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
-            console.error('❌ Chat error:', error);
+            const cancelled = error.name === 'AbortError';
+            if (cancelled) {
+                console.log('🛑 Chat cancelled by user');
+            } else {
+                console.error('❌ Chat error:', error);
+            }
             
-            // Return error in a structured format
+            // Return error in a structured format, keeping whatever was streamed so far
             return {
                 success: false,
-                error: error.message,
+                cancelled,
+                error: cancelled ? 'Response cancelled' : error.message,
+                partialResponse: fullText,
                 sessionId: this.sessionId,
                 timestamp: new Date().toISOString()
             };
         } finally {
-            this.isRequestInProgress = false;
+            this.chatControllers.delete(controller);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Cancel every chat response currently streaming, if any
+     */
+    cancelChat() {
+        if (this.chatControllers.size === 0) {
+            return false;
         }
+        this.chatControllers.forEach(controller => controller.abort());
+        return true;
     }
 
     /**
@@ -304,18 +730,19 @@ class AetherClient {
     }
 
     /**
-     * Check if a request is currently in progress
+     * Check if any request or chat is currently in progress
      */
     isRequestPending() {
-        return this.isRequestInProgress;
+        return this.activeControllers.size > 0 || this.chatControllers.size > 0;
     }
 }
 
 // Make globally available
 window.AetherClient = AetherClient;
 
-// Create default instance
+// Create default instance, supervised for the lifetime of the page
 window.aetherClient = new AetherClient();
+window.aetherClient.startSupervisor();
 
 console.log('🔗 Aether Client loaded - Ready to connect to consciousness');
 console.log(`📍 Session ID: ${window.aetherClient.sessionId}`);
\ No newline at end of file
@@ -0,0 +1,490 @@
+/**
+ * Shared chat module for every view (index.html, motion-app.html, chat-interface.html)
+ * Sends through AetherClient or, when a model is picked, straight to an LLM
+ * provider via LLMClient. Keeps conversations on disk in the main process,
+ * and renders messages as DOM nodes - never through innerHTML.
+ */
+
+/**
+ * The preload bridge (window.electronAPI) - the only IPC access pages have
+ */
+function getChatIPC() {
+    return window.electronAPI || null;
+}
+
+/**
+ * Render inline markdown (`code`, **bold**, *italic*, [links](https://...)) into `parent`
+ */
+function appendInlineMarkdown(parent, text) {
+    const pattern = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*)|(\[[^\]]+\]\([^)\s]+\))/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+
+        const token = match[0];
+        let node;
+        if (match[1]) {
+            node = document.createElement('code');
+            node.textContent = token.slice(1, -1);
+        } else if (match[2]) {
+            node = document.createElement('strong');
+            appendInlineMarkdown(node, token.slice(2, -2));
+        } else if (match[3]) {
+            node = document.createElement('em');
+            appendInlineMarkdown(node, token.slice(1, -1));
+        } else {
+            const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            // Only plain web links - javascript:, file: and friends stay as text
+            if (/^https?:\/\//i.test(href)) {
+                node = document.createElement('a');
+                node.href = href;
+                node.target = '_blank';
+                node.rel = 'noopener noreferrer';
+                node.textContent = label;
+            } else {
+                node = document.createTextNode(token);
+            }
+        }
+        parent.appendChild(node);
+        lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+}
+
+/**
+ * Minimal, safe markdown renderer: headings, fenced code, lists and paragraphs
+ * Returns a DocumentFragment built only from createElement/textContent.
+ */
+function renderMarkdown(markdown) {
+    const fragment = document.createDocumentFragment();
+    const lines = String(markdown || '').split('\n');
+    let list = null;
+    let paragraph = null;
+    let codeBlock = null;
+
+    const closeBlocks = () => {
+        list = null;
+        paragraph = null;
+    };
+
+    for (const line of lines) {
+        if (line.trim().startsWith('```')) {
+            if (codeBlock) {
+                codeBlock = null;
+            } else {
+                closeBlocks();
+                const pre = document.createElement('pre');
+                codeBlock = document.createElement('code');
+                pre.appendChild(codeBlock);
+                fragment.appendChild(pre);
+            }
+            continue;
+        }
+
+        if (codeBlock) {
+            codeBlock.textContent += (codeBlock.textContent ? '\n' : '') + line;
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+        if (!line.trim()) {
+            closeBlocks();
+        } else if (heading) {
+            closeBlocks();
+            const node = document.createElement(`h${heading[1].length + 2}`);
+            appendInlineMarkdown(node, heading[2]);
+            fragment.appendChild(node);
+        } else if (bullet || numbered) {
+            const tag = bullet ? 'UL' : 'OL';
+            if (!list || list.tagName !== tag) {
+                paragraph = null;
+                list = document.createElement(tag.toLowerCase());
+                fragment.appendChild(list);
+            }
+            const item = document.createElement('li');
+            appendInlineMarkdown(item, (bullet || numbered)[1]);
+            list.appendChild(item);
+        } else {
+            list = null;
+            if (!paragraph) {
+                paragraph = document.createElement('p');
+                fragment.appendChild(paragraph);
+            } else {
+                paragraph.appendChild(document.createElement('br'));
+            }
+            appendInlineMarkdown(paragraph, line);
+        }
+    }
+
+    return fragment;
+}
+
+class ChatModule {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.messagesEl - where messages are rendered
+     * @param {HTMLInputElement} options.inputEl - message input
+     * @param {HTMLElement} [options.sendButton] - disabled while a reply streams
+     * @param {HTMLElement} [options.stopButton] - shown while a reply streams
+     * @param {HTMLElement} [options.conversationBarEl] - conversation switcher mounts here
+     * @param {Function} [options.onStatus] - called with 'thinking' | 'streaming' | 'idle'
+     * @param {Function} [options.onConversationChange] - called with the newly opened conversation
+     */
+    constructor(options) {
+        this.messagesEl = options.messagesEl;
+        this.inputEl = options.inputEl;
+        this.sendButton = options.sendButton || null;
+        this.stopButton = options.stopButton || null;
+        this.conversationBarEl = options.conversationBarEl || null;
+        this.onStatus = options.onStatus || (() => {});
+        this.onConversationChange = options.onConversationChange || (() => {});
+        this.aetherClient = options.client || window.aetherClient;
+        this.llmClient = window.LLMClient ? new window.LLMClient() : null;
+        this.client = this.aetherClient;
+        this.ipc = getChatIPC();
+        this.conversation = null;
+        this.isSending = false;
+        this.abortController = null; // cancels the reply currently streaming
+    }
+
+    async init() {
+        if (this.conversationBarEl) {
+            this.buildConversationBar();
+        }
+
+        this.inputEl.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                this.send();
+            }
+        });
+        if (this.sendButton) {
+            this.sendButton.addEventListener('click', () => this.send());
+        }
+        if (this.stopButton) {
+            this.stopButton.addEventListener('click', () => this.stop());
+            this.stopButton.style.display = 'none';
+        }
+
+        await this.loadModelChoice();
+
+        const { conversation } = await this.ipc.invoke('conversations-get-active');
+        await this.openConversation(conversation);
+    }
+
+    // --- Model selection ---
+
+    /**
+     * Restore the saved chat model ("provider:model", or null for Aether)
+     * and fill the picker with every provider that has an API key.
+     */
+    async loadModelChoice() {
+        if (!this.llmClient) return;
+
+        const [{ chatModel }, { providers }] = await Promise.all([
+            this.ipc.invoke('llm-get-config'),
+            this.ipc.invoke('llm-list-providers')
+        ]);
+        const usable = providers.filter(provider => provider.hasKey);
+
+        if (this.modelSelect) {
+            const aetherOption = document.createElement('option');
+            aetherOption.value = '';
+            aetherOption.textContent = 'Aether backend';
+
+            const groups = usable.map(provider => {
+                const group = document.createElement('optgroup');
+                group.label = provider.label;
+                provider.models.forEach(model => {
+                    const option = document.createElement('option');
+                    option.value = `${provider.name}:${model}`;
+                    option.textContent = model;
+                    group.appendChild(option);
+                });
+                return group;
+            });
+            this.modelSelect.replaceChildren(aetherOption, ...groups);
+        }
+
+        // A saved choice whose key has since been removed falls back to Aether
+        const [providerName] = String(chatModel || '').split(':');
+        this.applyModelChoice(usable.some(provider => provider.name === providerName) ? chatModel : null);
+    }
+
+    applyModelChoice(chatModel) {
+        if (chatModel) {
+            const separator = chatModel.indexOf(':');
+            this.llmClient.setModel(chatModel.slice(0, separator), chatModel.slice(separator + 1));
+            this.client = this.llmClient;
+        } else {
+            this.client = this.aetherClient;
+        }
+        if (this.modelSelect) {
+            this.modelSelect.value = chatModel || '';
+        }
+    }
+
+    async selectModel(chatModel) {
+        if (this.isSending) return;
+        this.applyModelChoice(chatModel || null);
+        await this.ipc.invoke('llm-set-config', { chatModel: chatModel || null });
+    }
+
+    // --- Conversations ---
+
+    buildConversationBar() {
+        const bar = this.conversationBarEl;
+        bar.classList.add('chat-conversation-bar');
+
+        this.conversationSelect = document.createElement('select');
+        this.conversationSelect.addEventListener('change', () => this.switchConversation(this.conversationSelect.value));
+
+        const makeButton = (label, title, handler) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', handler);
+            return button;
+        };
+
+        bar.appendChild(this.conversationSelect);
+        bar.appendChild(makeButton('＋ New', 'Start a new conversation', () => this.newConversation()));
+        bar.appendChild(makeButton('✏️ Rename', 'Rename this conversation', () => this.renameConversation()));
+        bar.appendChild(makeButton('🗑️ Delete', 'Delete this conversation', () => this.deleteConversation()));
+
+        if (this.llmClient) {
+            this.modelSelect = document.createElement('select');
+            this.modelSelect.className = 'chat-model-select';
+            this.modelSelect.title = 'Who answers: the Aether backend or a model using your API keys';
+            this.modelSelect.addEventListener('change', () => this.selectModel(this.modelSelect.value));
+            bar.appendChild(this.modelSelect);
+        }
+    }
+
+    async refreshConversationList() {
+        if (!this.conversationSelect) return;
+
+        const { conversations } = await this.ipc.invoke('conversations-list');
+        this.conversationSelect.replaceChildren(...conversations.map(conversation => {
+            const option = document.createElement('option');
+            option.value = conversation.id;
+            option.textContent = conversation.title;
+            option.selected = this.conversation && conversation.id === this.conversation.id;
+            return option;
+        }));
+    }
+
+    async openConversation(conversation) {
+        this.conversation = conversation;
+        this.aetherClient.setSession(conversation.session_id);
+        this.onConversationChange(conversation);
+        this.renderConversation();
+        await this.refreshConversationList();
+        await this.restoreHistory();
+    }
+
+    /**
+     * Pull the backend's history for this session; if it knows more than the
+     * local copy (e.g. messages sent from another client), adopt it.
+     */
+    async restoreHistory() {
+        const conversation = this.conversation;
+        const history = await this.aetherClient.getChatHistory();
+        const remoteMessages = (history && history.messages ? history.messages : [])
+            .map(message => ({
+                role: message.role === 'user' ? 'user' : 'assistant',
+                content: message.content || message.message || message.text || '',
+                timestamp: message.timestamp || message.created_at
+            }))
+            .filter(message => message.content);
+
+        if (this.conversation !== conversation || remoteMessages.length <= conversation.messages.length) {
+            return;
+        }
+
+        const result = await this.ipc.invoke('conversations-replace-messages', {
+            id: conversation.id,
+            messages: remoteMessages
+        });
+        this.conversation = result.conversation;
+        this.renderConversation();
+    }
+
+    async newConversation() {
+        if (this.isSending) return;
+        const { conversation } = await this.ipc.invoke('conversations-create', {});
+        await this.openConversation(conversation);
+        this.inputEl.focus();
+    }
+
+    async switchConversation(id) {
+        if (this.isSending || (this.conversation && this.conversation.id === id)) return;
+        const { conversation } = await this.ipc.invoke('conversations-set-active', { id });
+        await this.openConversation(conversation);
+    }
+
+    async renameConversation() {
+        const title = prompt('Rename conversation', this.conversation.title);
+        if (!title || !title.trim()) return;
+        const { conversation } = await this.ipc.invoke('conversations-rename', { id: this.conversation.id, title });
+        this.conversation = conversation;
+        await this.refreshConversationList();
+    }
+
+    async deleteConversation() {
+        if (this.isSending || !confirm(`Delete "${this.conversation.title}"?`)) return;
+        await this.ipc.invoke('conversations-delete', { id: this.conversation.id });
+        const { conversation } = await this.ipc.invoke('conversations-get-active');
+        await this.openConversation(conversation);
+    }
+
+    // --- Rendering ---
+
+    renderConversation() {
+        this.messagesEl.replaceChildren();
+        if (this.conversation.messages.length === 0) {
+            this.renderMessage('assistant', "Hello! I'm your AI project assistant. How can I help you today?");
+        }
+        this.conversation.messages.forEach(message => this.renderMessage(message.role, message.content, message.timestamp));
+    }
+
+    renderMessage(role, content, timestamp = null) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${role === 'assistant' ? 'ai' : role}`;
+
+        const header = document.createElement('div');
+        header.className = 'message-header';
+        const author = document.createElement('span');
+        author.textContent = { user: '👤 You', assistant: '🤖 AI Assistant', error: '⚠️ Error' }[role];
+        const time = document.createElement('span');
+        time.textContent = new Date(timestamp || Date.now()).toLocaleTimeString();
+        header.append(author, time);
+
+        const body = document.createElement('div');
+        body.className = 'message-content';
+        this.setContent(body, role, content);
+
+        messageDiv.append(header, body);
+        this.messagesEl.appendChild(messageDiv);
+        this.scrollToBottom();
+        return body;
+    }
+
+    setContent(body, role, content) {
+        // User text is shown verbatim; AI replies get (safe) markdown
+        if (role === 'assistant') {
+            body.replaceChildren(renderMarkdown(content));
+        } else {
+            body.textContent = content;
+        }
+    }
+
+    scrollToBottom() {
+        this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+    }
+
+    // --- Sending ---
+
+    setSending(sending) {
+        this.isSending = sending;
+        this.inputEl.disabled = sending;
+        if (this.sendButton) this.sendButton.style.display = sending ? 'none' : '';
+        if (this.stopButton) this.stopButton.style.display = sending ? '' : 'none';
+        if (this.conversationSelect) this.conversationSelect.disabled = sending;
+        if (this.modelSelect) this.modelSelect.disabled = sending;
+    }
+
+    async saveMessage(role, content) {
+        const { conversation } = await this.ipc.invoke('conversations-append', {
+            id: this.conversation.id,
+            message: { role, content, timestamp: new Date().toISOString() }
+        });
+        this.conversation = conversation;
+    }
+
+    async send() {
+        const message = this.inputEl.value.trim();
+        if (!message || this.isSending) return;
+
+        // Earlier turns, for clients that don't keep server-side sessions
+        const history = this.conversation.messages
+            .filter(turn => turn.role === 'user' || turn.role === 'assistant')
+            .map(({ role, content }) => ({ role, content }));
+
+        this.inputEl.value = '';
+        this.setSending(true);
+        this.renderMessage('user', message);
+        let liveBody = null;
+
+        // Saving can fail too; the finally below must still re-enable input
+        try {
+            await this.saveMessage('user', message);
+            await this.refreshConversationList();
+
+            this.onStatus('thinking');
+            this.abortController = new AbortController();
+            const result = await this.client.sendChatMessage(message, (chunk, fullText) => {
+                if (!liveBody) {
+                    this.onStatus('streaming');
+                    liveBody = this.renderMessage('assistant', '');
+                }
+                this.setContent(liveBody, 'assistant', fullText);
+                this.scrollToBottom();
+            }, { history, signal: this.abortController.signal });
+
+            if (result.success) {
+                if (!liveBody) {
+                    this.renderMessage('assistant', result.response);
+                }
+                await this.saveMessage('assistant', result.response);
+            } else if (result.cancelled) {
+                if (result.partialResponse) {
+                    await this.saveMessage('assistant', `${result.partialResponse} [stopped]`);
+                    this.setContent(liveBody, 'assistant', `${result.partialResponse} [stopped]`);
+                }
+            } else {
+                this.renderMessage('error', result.error || 'Failed to get response');
+            }
+        } catch (error) {
+            this.renderMessage('error', `Failed to send message: ${error.message}`);
+        } finally {
+            this.abortController = null;
+            this.onStatus('idle');
+            this.setSending(false);
+            this.inputEl.focus();
+        }
+    }
+
+    stop() {
+        // Only this view's reply - other chats on the same client keep going
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Turns visible in the current conversation (for UI context snapshots)
+     */
+    getRecentTurns(limit = 6) {
+        if (!this.conversation) return [];
+        return this.conversation.messages.slice(-limit).map(message => ({
+            role: message.role,
+            text: message.content.substring(0, 500)
+        }));
+    }
+}
+
+// Make globally available
+window.ChatModule = ChatModule;
+window.renderMarkdown = renderMarkdown;
@@ -0,0 +1,125 @@
+/**
+ * LLM Gateway client - chats with OpenAI, Anthropic, Google or Perplexity
+ * through the main process, using the API keys saved in Settings.
+ * Speaks the same sendChatMessage/cancelChat contract as AetherClient so
+ * ChatModule can use either.
+ */
+
+class LLMClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.provider] - openai | anthropic | google | perplexity
+     * @param {string} [options.model] - provider model, or its default when empty
+     * @param {string} [options.systemPrompt] - prepended to every request
+     */
+    constructor(options = {}) {
+        this.provider = options.provider || 'openai';
+        this.model = options.model || null;
+        this.systemPrompt = options.systemPrompt || 'You are a helpful AI project assistant inside Flow Saver AI.';
+        this.ipc = null;
+        this.streamHandlers = new Map(); // requestId -> onStreamUpdate, one per in-flight chat
+    }
+
+    /**
+     * Resolve the IPC bridge on first use and route streamed chunks by request ID
+     */
+    getIPC() {
+        if (this.ipc) {
+            return this.ipc;
+        }
+
+        this.ipc = window.electronAPI;
+        this.ipc.on('llm-chat-chunk', ({ requestId, chunk, fullText }) => {
+            const handler = this.streamHandlers.get(requestId);
+            if (handler) {
+                handler(chunk, fullText);
+            }
+        });
+        return this.ipc;
+    }
+
+    setModel(provider, model = null) {
+        this.provider = provider;
+        this.model = model;
+    }
+
+    /**
+     * Send a chat message, with earlier turns of the conversation as context.
+     *
+     * onStreamUpdate(chunk, fullText) is called for every streamed token.
+     * history is [{ role: 'user'|'assistant', content }], oldest first.
+     * Several chats may run at once; signal cancels just this one.
+     */
+    async sendChatMessage(message, onStreamUpdate = null, { history = [], signal = null } = {}) {
+        const ipc = this.getIPC();
+        const requestId = `llm_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+        const onAbort = () => ipc.invoke('llm-chat-cancel', { requestId });
+        let partialResponse = '';
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+        this.streamHandlers.set(requestId, (chunk, fullText) => {
+            partialResponse = fullText;
+            if (onStreamUpdate) {
+                onStreamUpdate(chunk, fullText);
+            }
+        });
+
+        try {
+            if (signal && signal.aborted) {
+                return { success: false, cancelled: true, error: 'Response cancelled', partialResponse, timestamp: new Date().toISOString() };
+            }
+            console.log(`💬 Sending chat message via ${this.provider}${this.model ? ` (${this.model})` : ''}`);
+            const result = await ipc.invoke('llm-chat', {
+                requestId,
+                provider: this.provider,
+                model: this.model,
+                stream: true,
+                messages: [
+                    { role: 'system', content: this.systemPrompt },
+                    ...history.filter(turn => turn.role === 'user' || turn.role === 'assistant'),
+                    { role: 'user', content: message }
+                ]
+            });
+
+            if (result.success) {
+                return {
+                    success: true,
+                    response: result.text || 'No response',
+                    provider: result.provider,
+                    model: result.model,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            return {
+                success: false,
+                cancelled: result.cancelled,
+                error: result.cancelled ? 'Response cancelled' : result.error.message,
+                errorCode: result.error.code,
+                partialResponse,
+                timestamp: new Date().toISOString()
+            };
+        } finally {
+            this.streamHandlers.delete(requestId);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Cancel every chat response currently streaming, if any
+     */
+    cancelChat() {
+        if (this.streamHandlers.size === 0) {
+            return false;
+        }
+        this.streamHandlers.forEach((handler, requestId) => {
+            this.getIPC().invoke('llm-chat-cancel', { requestId });
+        });
+        return true;
+    }
+}
+
+// Make globally available
+window.LLMClient = LLMClient;
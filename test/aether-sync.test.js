@@ -0,0 +1,186 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const MemoryStore = require('./helpers/memory-store');
+const TaskStore = require('../src/main/task-store');
+const AetherSync = require('../src/main/aether-sync');
+
+// A minimal /api/tasks backend; tests swap in the pieces they need to break
+let server;
+let baseUrl;
+let requests = [];
+let remote = new Map();
+let nextId = 1;
+let hooks = {};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, body });
+      const send = (status, json) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      };
+
+      if (req.url === '/health') return send(200, { status: 'ok' });
+      if (req.method === 'GET' && req.url === '/api/tasks') return send(200, hooks.list || { tasks: [...remote.values()] });
+      if (req.method === 'POST' && req.url === '/api/tasks') {
+        const task = { ...body, id: String(nextId++) };
+        remote.set(task.id, task);
+        if (hooks.onCreate) await hooks.onCreate(task);
+        return send(201, hooks.hideCreatedId ? { created: true } : task);
+      }
+      const id = decodeURIComponent(req.url.split('/').pop());
+      if (!remote.has(id)) return send(404, { detail: 'Task not found' });
+      if (req.method === 'PUT') {
+        remote.set(id, { ...remote.get(id), ...body, id });
+        return send(200, remote.get(id));
+      }
+      remote.delete(id);
+      return send(200, { deleted: true });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  remote = new Map();
+  nextId = 1;
+  hooks = {};
+});
+
+function setup() {
+  const taskStore = new TaskStore({ store: new MemoryStore({ defaults: { tasks: [], deletedRemoteIds: [] } }) });
+  return { taskStore, sync: new AetherSync(taskStore, { baseUrl }) };
+}
+
+const posts = () => requests.filter(request => request.method === 'POST');
+
+test('a new task is pushed once and marked synced', async () => {
+  const { taskStore, sync } = setup();
+  const task = taskStore.create({ title: 'Write report' });
+
+  await sync.sync();
+  await sync.sync();
+
+  assert.equal(posts().length, 1);
+  assert.equal(posts()[0].body.client_id, task.id);
+  assert.equal(taskStore.get(task.id).sync_status, 'synced');
+  assert.equal(taskStore.get(task.id).remote_id, '1');
+  assert.equal(taskStore.getAll().length, 1);
+});
+
+test('a create without an ID in the response is not posted again', async () => {
+  const { taskStore, sync } = setup();
+  hooks.hideCreatedId = true;
+  const task = taskStore.create({ title: 'Write report' });
+
+  await sync.sync();
+  await sync.sync();
+
+  assert.equal(posts().length, 1);
+  assert.equal(remote.size, 1);
+  // The pull in the same pass found the copy by client_id
+  assert.equal(taskStore.getAll().length, 1);
+  assert.equal(taskStore.get(task.id).remote_id, '1');
+  assert.equal(taskStore.get(task.id).sync_status, 'synced');
+});
+
+test('a create without an ID stays failed until edited when the copy cannot be found', async () => {
+  const { taskStore, sync } = setup();
+  hooks.hideCreatedId = true;
+  // This backend drops fields it doesn't know, client_id included
+  hooks.onCreate = (created) => { delete created.client_id; };
+  const task = taskStore.create({ title: 'Write report' });
+
+  await sync.sync();
+  await sync.sync();
+  assert.equal(posts().length, 1);
+  assert.equal(taskStore.get(task.id).sync_status, 'failed');
+  assert.match(taskStore.get(task.id).sync_error, /did not return an ID/);
+
+  taskStore.update(task.id, { title: 'Write the report' });
+  assert.equal(taskStore.get(task.id).sync_status, 'pending');
+  assert.equal(taskStore.get(task.id).sync_error, undefined);
+});
+
+test('a failed task deleted locally takes its remote copy with it', async () => {
+  const { taskStore, sync } = setup();
+  hooks.hideCreatedId = true;
+  // The copy only becomes visible after the local task is gone
+  hooks.onCreate = (created) => {
+    remote.delete(created.id);
+    hooks.hidden = created;
+  };
+  const task = taskStore.create({ title: 'Write report' });
+  await sync.sync();
+  assert.equal(taskStore.get(task.id).sync_status, 'failed');
+
+  taskStore.delete(task.id);
+  remote.set(hooks.hidden.id, hooks.hidden);
+  await sync.sync();
+  await sync.sync();
+
+  assert.equal(taskStore.getAll().length, 0);
+  assert.equal(remote.size, 0);
+});
+
+test('a task deleted while its create is in flight is deleted on the backend too', async () => {
+  const { taskStore, sync } = setup();
+  const task = taskStore.create({ title: 'Write report' });
+  hooks.onCreate = () => taskStore.delete(task.id);
+
+  await sync.sync();
+  assert.deepEqual(taskStore.getDeletedRemoteIds(), ['1']);
+
+  await sync.sync();
+  assert.equal(remote.size, 0);
+  assert.equal(taskStore.getAll().length, 0);
+  assert.deepEqual(taskStore.getDeletedRemoteIds(), []);
+});
+
+test('sync state passed to create is ignored', () => {
+  const { taskStore } = setup();
+  const task = taskStore.create({ title: 'Hijack', remote_id: '42', sync_status: 'synced' });
+  assert.equal(task.remote_id, null);
+  assert.equal(task.sync_status, 'pending');
+});
+
+test('tasks deleted on the backend are removed locally, unless edited', async () => {
+  const { taskStore, sync } = setup();
+  const kept = taskStore.create({ title: 'Kept' });
+  const removed = taskStore.create({ title: 'Removed' });
+  const edited = taskStore.create({ title: 'Edited', dependencies: [removed.id] });
+  await sync.sync();
+
+  remote.clear();
+  taskStore.update(edited.id, { title: 'Edited offline' });
+  remote.set('1', { id: '1', title: 'Kept' });
+  await sync.sync();
+
+  assert.deepEqual(taskStore.getAll().map(task => task.title), ['Kept', 'Edited offline']);
+  assert.equal(taskStore.get(kept.id).sync_status, 'synced');
+  // The edit went back up as a new task
+  assert.equal(taskStore.get(edited.id).remote_id, '4');
+  assert.equal(taskStore.get(edited.id).sync_status, 'synced');
+  assert.deepEqual(taskStore.get(edited.id).dependencies, []);
+  assert.equal(remote.get('4').title, 'Edited offline');
+});
+
+test('a pull that is not a task list changes nothing', async () => {
+  const { taskStore, sync } = setup();
+  taskStore.create({ title: 'Keep me' });
+  await sync.sync();
+
+  hooks.list = { error: 'maintenance' };
+  const status = await sync.sync();
+  assert.equal(status.online, false);
+  assert.equal(taskStore.getAll().length, 1);
+});
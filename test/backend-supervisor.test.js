@@ -0,0 +1,252 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const childProcess = require('child_process');
+const net = require('net');
+const path = require('path');
+const BackendSupervisor = require('../src/main/backend-supervisor');
+const { requestJson } = require('../src/main/http-client');
+
+const STUB = path.resolve(__dirname, '../scripts/aether-stub-server.js');
+const POSIX = process.platform !== 'win32';
+
+const running = [];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function supervisor(config, options = {}) {
+  const backend = new BackendSupervisor({
+    getConfig: () => ({ autoStart: false, autoRestart: false, ...config }),
+    healthInterval: 100,
+    startTimeout: 10000,
+    restartBackoff: 50,
+    ...options
+  });
+  running.push(backend);
+  return backend;
+}
+
+function stubConfig(port) {
+  return { command: process.execPath, args: [STUB, '--port', '{port}'], cwd: '', port };
+}
+
+function waitFor(backend, predicate, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    if (predicate(backend.getStatus())) {
+      resolve(backend.getStatus());
+      return;
+    }
+    const timer = setTimeout(() => {
+      backend.off('status', onStatus);
+      reject(new Error(`Timed out; last state ${backend.state}`));
+    }, timeout);
+    const onStatus = (status) => {
+      if (predicate(status)) {
+        clearTimeout(timer);
+        backend.off('status', onStatus);
+        resolve(status);
+      }
+    };
+    backend.on('status', onStatus);
+  });
+}
+
+function waitForLog(backend, predicate, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      backend.off('log', onLog);
+      reject(new Error('Timed out waiting for a log line'));
+    }, timeout);
+    const onLog = (entry) => {
+      if (predicate(entry.line)) {
+        clearTimeout(timer);
+        backend.off('log', onLog);
+        resolve(entry);
+      }
+    };
+    backend.on('log', onLog);
+  });
+}
+
+// Orphans may linger as zombies until something reaps them; those count as gone
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return false;
+  }
+  try {
+    const stat = require('fs').readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return stat.slice(stat.lastIndexOf(')') + 2, stat.lastIndexOf(')') + 3) !== 'Z';
+  } catch (error) {
+    return true;
+  }
+}
+
+async function answers(port) {
+  try {
+    await requestJson(`http://localhost:${port}/health`, { timeout: 1000 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+afterEach(async () => {
+  await Promise.all(running.splice(0).map(backend => backend.stop()));
+});
+
+test('start waits for /health, stop ends the process', async () => {
+  const port = await freePort();
+  const backend = supervisor(stubConfig(port));
+
+  const status = await backend.start();
+  assert.equal(status.state, 'running');
+  assert.equal(status.healthy, true);
+  assert.equal(status.port, port);
+  assert.ok(backend.getLogs().some(entry => entry.stream === 'stdout' && entry.line.includes(`${port}`)));
+
+  const { pid } = status;
+  const stopped = await backend.stop();
+  assert.equal(stopped.state, 'stopped');
+  assert.equal(stopped.pid, null);
+  assert.equal(isAlive(pid), false);
+  assert.equal(await answers(port), false);
+});
+
+test('a backend that is already running is adopted, not killed', async () => {
+  const port = await freePort();
+  const owner = supervisor(stubConfig(port));
+  await owner.start();
+
+  const backend = supervisor(stubConfig(port));
+  const status = await backend.start();
+  assert.equal(status.state, 'external');
+  assert.equal(status.pid, null);
+
+  await backend.stop();
+  assert.equal(await answers(port), true);
+});
+
+test('the health check marks a stalled backend unhealthy and sees it recover', { skip: !POSIX }, async () => {
+  const port = await freePort();
+  const backend = supervisor(stubConfig(port));
+  const { pid } = await backend.start();
+
+  process.kill(pid, 'SIGSTOP');
+  try {
+    const unhealthy = await waitFor(backend, status => status.state === 'unhealthy');
+    assert.equal(unhealthy.healthy, false);
+  } finally {
+    process.kill(pid, 'SIGCONT');
+  }
+  const recovered = await waitFor(backend, status => status.state === 'running');
+  assert.equal(recovered.healthy, true);
+});
+
+test('a crash restarts the backend', async () => {
+  const port = await freePort();
+  const backend = supervisor({ ...stubConfig(port), autoRestart: true });
+  const { pid } = await backend.start();
+
+  process.kill(pid, 'SIGKILL');
+  const crashed = await waitFor(backend, status => status.state === 'crashed');
+  assert.match(crashed.error, /SIGKILL/);
+
+  const restarted = await waitFor(backend, status => status.state === 'running');
+  assert.notEqual(restarted.pid, pid);
+  assert.ok(backend.getLogs().some(entry => entry.line === 'Restarting in 0.05s (attempt 1/5)'));
+});
+
+test('restarts back off exponentially and give up after five', async () => {
+  const port = await freePort();
+  const backend = supervisor({
+    command: process.execPath,
+    args: ['-e', 'process.exit(3)'],
+    cwd: '',
+    port,
+    autoRestart: true
+  }, { startTimeout: 2000 });
+
+  const gaveUp = waitForLog(backend, line => line.startsWith('Gave up'), 20000);
+  backend.start();
+  await gaveUp;
+
+  const delays = backend.getLogs()
+    .map(entry => entry.line.match(/^Restarting in ([\d.]+)s/))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  assert.deepEqual(delays, [0.05, 0.1, 0.2, 0.4, 0.8]);
+  assert.equal(backend.getStatus().state, 'crashed');
+  assert.equal(backend.getStatus().exitCode, 3);
+});
+
+test('stop also ends processes the command started', { skip: !POSIX }, async () => {
+  const port = await freePort();
+  // A wrapper shell around the real server, like `npm run dev`
+  const backend = supervisor({
+    command: '/bin/sh',
+    args: ['-c', `"${process.execPath}" "${STUB}" --port {port} & wait`],
+    cwd: '',
+    port
+  });
+
+  const status = await backend.start();
+  assert.equal(status.state, 'running');
+  const server = childProcess.execFileSync('pgrep', ['-P', String(status.pid)], { encoding: 'utf8' }).trim();
+  assert.ok(server, 'the shell started the server');
+
+  await backend.stop();
+  // The shell exits at once; the server shuts down gracefully on its own time
+  const deadline = Date.now() + 5000;
+  while (isAlive(Number(server)) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.equal(isAlive(Number(server)), false);
+  assert.equal(await answers(port), false);
+});
+
+test('overlapping starts share one backend', async () => {
+  const port = await freePort();
+  let spawned = 0;
+  const backend = supervisor(stubConfig(port), {
+    spawn: (...args) => {
+      spawned++;
+      return childProcess.spawn(...args);
+    }
+  });
+
+  const [first, second, third] = await Promise.all([backend.start(), backend.start(), backend.start()]);
+  assert.equal(spawned, 1);
+  assert.equal(first.state, 'running');
+  assert.equal(second.pid, first.pid);
+  assert.equal(third.pid, first.pid);
+});
+
+test('a stop during the start probe keeps the backend from spawning', async () => {
+  const port = await freePort();
+  let spawned = 0;
+  const backend = supervisor(stubConfig(port), {
+    spawn: (...args) => {
+      spawned++;
+      return childProcess.spawn(...args);
+    }
+  });
+
+  const starting = backend.start();
+  await backend.stop();
+  const status = await starting;
+  assert.equal(spawned, 0);
+  assert.equal(status.state, 'stopped');
+
+  assert.equal((await backend.start()).state, 'running');
+  assert.equal(spawned, 1);
+});
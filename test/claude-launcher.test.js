@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClaudeLauncher = require('../src/main/claude-launcher');
+const { quoteShellArg } = ClaudeLauncher;
+
+// Each one has broken a naive `claude "<title>"` command line at some point
+const HOSTILE_TITLES = [
+  "Fix Bob's parser",
+  'Say "hello"',
+  'Run $(touch pwned-subshell)',
+  'Run `touch pwned-backtick`',
+  'Done; touch pwned-semicolon',
+  'Line one\nLine two; touch pwned-newline',
+  "Mixed '\"$(id)`id`;\n\\ '' end"
+];
+
+function makeTmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'flowsaver-test-'));
+}
+
+test('quoteShellArg keeps every hostile title as one literal word in sh', { skip: process.platform === 'win32' }, () => {
+  const cwd = makeTmpDir();
+  try {
+    HOSTILE_TITLES.forEach(title => {
+      const output = execFileSync('/bin/sh', ['-c', `printf '%s' ${quoteShellArg(title, 'linux')}`], { cwd, encoding: 'utf8' });
+      assert.equal(output, title);
+    });
+    assert.deepEqual(fs.readdirSync(cwd), []);
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test('quoteShellArg doubles single quotes for PowerShell', () => {
+  assert.equal(quoteShellArg("Bob's $(x)", 'win32'), "'Bob''s $(x)'");
+});
+
+test('titles only reach the command line through the context file', () => {
+  const tmpRoot = makeTmpDir();
+  const launcher = new ClaudeLauncher({ platform: 'linux', tmpRoot });
+  try {
+    HOSTILE_TITLES.forEach(title => {
+      const { contextFile, command } = launcher.prepare('builder', { currentTask: { title } });
+      assert.ok(!command.includes(title), `command contains the title: ${command}`);
+      assert.ok(fs.readFileSync(contextFile, 'utf8').includes(`Title: ${title}`));
+    });
+  } finally {
+    launcher.dispose();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  }
+});
+
+test('the CLI receives the context file contents as a single argument', { skip: process.platform === 'win32' }, () => {
+  const tmpRoot = makeTmpDir();
+  const cwd = makeTmpDir();
+  // Stand-in CLI: writes its argument count and arguments to $OUT
+  const binary = path.join(tmpRoot, 'fake-claude');
+  fs.writeFileSync(binary, '#!/bin/sh\n{ printf \'%s\\n\' "$#"; printf \'%s\\0\' "$@"; } > "$OUT"\n', { mode: 0o755 });
+  const out = path.join(tmpRoot, 'args');
+
+  const launcher = new ClaudeLauncher({
+    platform: 'linux',
+    tmpRoot,
+    getConfig: () => ({ binary, args: ['--model', "it's"], contextFlag: '--append-system-prompt', mcp: false })
+  });
+  try {
+    HOSTILE_TITLES.forEach(title => {
+      const context = { currentTask: { title, description: title, tags: [title] } };
+      const { command } = launcher.prepare('builder', context);
+      execFileSync('/bin/sh', ['-c', command], { cwd, env: { ...process.env, OUT: out } });
+
+      const written = fs.readFileSync(out, 'utf8');
+      const count = written.slice(0, written.indexOf('\n'));
+      const args = written.slice(written.indexOf('\n') + 1).split('\0').slice(0, -1);
+      assert.equal(count, '4');
+      // $(...) strips trailing newlines from the file contents
+      assert.deepEqual(args, ['--model', "it's", '--append-system-prompt', launcher.buildContext(context).replace(/\n+$/, '')]);
+    });
+    assert.deepEqual(fs.readdirSync(cwd), [], 'a title ran a command');
+  } finally {
+    launcher.dispose();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test('the context directory is private to this run and removed by dispose()', { skip: process.platform === 'win32' }, () => {
+  const tmpRoot = makeTmpDir();
+  const launcher = new ClaudeLauncher({ tmpRoot, getMcpConfig: () => ({ mcpServers: {} }) });
+  try {
+    const { contextFile, mcpFile } = launcher.prepare('builder', {});
+    const dir = launcher.getContextDir();
+    assert.equal(path.dirname(contextFile), dir);
+    assert.equal(path.dirname(mcpFile), dir);
+    assert.equal(fs.statSync(dir).mode & 0o777, 0o700);
+    assert.equal(fs.statSync(mcpFile).mode & 0o777, 0o600);
+
+    launcher.dispose();
+    assert.equal(fs.existsSync(dir), false);
+  } finally {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  }
+});
+
+test('an interactive run reports the CLI exit code on its own line', { skip: process.platform === 'win32' }, () => {
+  const tmpRoot = makeTmpDir();
+  const binary = path.join(tmpRoot, 'fake-claude');
+  fs.writeFileSync(binary, '#!/bin/sh\necho working\nexit 3\n', { mode: 0o755 });
+  const launcher = new ClaudeLauncher({ platform: 'linux', tmpRoot, getConfig: () => ({ binary, mcp: false }) });
+  try {
+    const { command } = launcher.prepare('builder', {});
+    const output = execFileSync('/bin/sh', ['-c', `${command}; ${launcher.exitReport()}`], { encoding: 'utf8' });
+    assert.equal(output, `working\n${ClaudeLauncher.CLAUDE_EXIT_MARKER} 3\n`);
+  } finally {
+    launcher.dispose();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  }
+});
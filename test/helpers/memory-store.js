@@ -0,0 +1,52 @@
+const Module = require('module');
+
+/**
+ * In-memory stand-in for electron-store, which needs the Electron binary.
+ * Require this before any module that creates a Store.
+ */
+class MemoryStore {
+  constructor(options = {}) {
+    this.data = clone(options.defaults || {});
+  }
+
+  get store() {
+    return clone(this.data);
+  }
+
+  get(key, defaultValue) {
+    return key in this.data ? clone(this.data[key]) : defaultValue;
+  }
+
+  set(key, value) {
+    if (typeof key === 'object') {
+      Object.entries(key).forEach(([name, entry]) => this.set(name, entry));
+      return;
+    }
+    this.data[key] = clone(value);
+  }
+
+  has(key) {
+    return key in this.data;
+  }
+
+  delete(key) {
+    delete this.data[key];
+  }
+
+  clear() {
+    this.data = {};
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+const id = require.resolve('electron-store');
+const stub = new Module(id);
+stub.filename = id;
+stub.loaded = true;
+stub.exports = MemoryStore;
+require.cache[id] = stub;
+
+module.exports = MemoryStore;
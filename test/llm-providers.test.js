@@ -0,0 +1,245 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const LLMGateway = require('../src/main/llm-gateway');
+
+// One local server stands in for every provider; each test sets the reply
+let server;
+let baseUrl;
+let requests = [];
+let reply = () => ({ status: 500, json: {} });
+
+function sse(events) {
+  return events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+      requests.push(request);
+      const { status = 200, json, events } = reply(request);
+      if (events) {
+        res.writeHead(status, { 'Content-Type': 'text/event-stream' });
+        // Split mid-event to exercise line buffering across chunks
+        const body = sse(events);
+        res.write(body.slice(0, 7));
+        res.end(body.slice(7));
+      } else {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+function gateway(keys = { openai: 'sk-openai', anthropic: 'sk-ant', google: 'g-key' }) {
+  return new LLMGateway({
+    getApiKey: (provider) => keys[provider] || '',
+    baseUrls: { openai: `${baseUrl}/openai/v1`, anthropic: `${baseUrl}/anthropic/v1`, google: `${baseUrl}/google/v1beta` },
+    timeout: 5000
+  });
+}
+
+const MESSAGES = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'Hi' },
+  { role: 'assistant', content: 'Hello' },
+  { role: 'user', content: 'Plan my day' }
+];
+
+// --- OpenAI ---
+
+test('OpenAI: chat request shape and response', async () => {
+  reply = () => ({ json: { choices: [{ message: { content: 'Sure.' } }] } });
+  const result = await gateway().chat({ provider: 'openai', model: 'gpt-4o', messages: MESSAGES, maxTokens: 50, temperature: 0.2 });
+
+  assert.deepEqual(result, { text: 'Sure.', provider: 'openai', model: 'gpt-4o' });
+  const [request] = requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/openai/v1/chat/completions');
+  assert.equal(request.headers.authorization, 'Bearer sk-openai');
+  assert.deepEqual(request.body, { model: 'gpt-4o', messages: MESSAGES, stream: false, max_tokens: 50, temperature: 0.2 });
+});
+
+test('OpenAI: SSE deltas are joined and [DONE] ends the stream', async () => {
+  reply = () => ({
+    events: [
+      { choices: [{ delta: { role: 'assistant' } }] },
+      { choices: [{ delta: { content: 'Hel' } }] },
+      'not json',
+      { choices: [{ delta: { content: 'lo' } }] },
+      '[DONE]'
+    ]
+  });
+  const chunks = [];
+  const result = await gateway().chat(
+    { provider: 'openai', messages: MESSAGES, stream: true },
+    { onChunk: (chunk, fullText) => chunks.push([chunk, fullText]) }
+  );
+
+  assert.equal(result.text, 'Hello');
+  assert.equal(result.model, 'gpt-4o-mini');
+  assert.deepEqual(chunks, [['Hel', 'Hel'], ['lo', 'Hello']]);
+  assert.equal(requests[0].body.stream, true);
+  assert.equal(requests[0].headers.accept, 'text/event-stream');
+});
+
+test('OpenAI: HTTP errors map to codes with the provider message', async () => {
+  const cases = [
+    [401, 'auth', false],
+    [429, 'rate_limited', true],
+    [404, 'not_found', false],
+    [400, 'bad_request', false],
+    [503, 'server_error', true]
+  ];
+  for (const [status, code, retryable] of cases) {
+    reply = () => ({ status, json: { error: { message: `problem ${status}` } } });
+    await assert.rejects(
+      gateway().chat({ provider: 'openai', messages: MESSAGES }),
+      (error) => {
+        assert.equal(error.name, 'LLMError');
+        assert.equal(error.code, code);
+        assert.equal(error.status, status);
+        assert.equal(error.retryable, retryable);
+        assert.equal(error.message, `OpenAI: problem ${status}`);
+        return true;
+      }
+    );
+  }
+});
+
+// --- Anthropic ---
+
+test('Anthropic: system prompt is top-level and headers carry the key', async () => {
+  reply = () => ({ json: { content: [{ type: 'text', text: 'A' }, { type: 'tool_use' }, { type: 'text', text: 'B' }] } });
+  const result = await gateway().chat({ provider: 'anthropic', messages: MESSAGES });
+
+  assert.equal(result.text, 'AB');
+  const [request] = requests;
+  assert.equal(request.url, '/anthropic/v1/messages');
+  assert.equal(request.headers['x-api-key'], 'sk-ant');
+  assert.equal(request.headers['anthropic-version'], '2023-06-01');
+  assert.equal(request.headers.authorization, undefined);
+  assert.deepEqual(request.body, {
+    model: 'claude-3-5-sonnet-latest',
+    max_tokens: 1024,
+    messages: MESSAGES.slice(1),
+    stream: false,
+    system: 'Be brief.'
+  });
+});
+
+test('Anthropic: only content_block_delta events add text', async () => {
+  reply = () => ({
+    events: [
+      { type: 'message_start', message: {} },
+      { type: 'content_block_start', index: 0 },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'One ' } },
+      { type: 'ping' },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: 'two' } },
+      { type: 'message_stop' }
+    ]
+  });
+  const result = await gateway().chat({ provider: 'anthropic', messages: MESSAGES, stream: true });
+  assert.equal(result.text, 'One two');
+});
+
+test('Anthropic: an error event mid-stream rejects as server_error', async () => {
+  reply = () => ({
+    events: [
+      { type: 'content_block_delta', delta: { text: 'partial' } },
+      { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    ]
+  });
+  await assert.rejects(
+    gateway().chat({ provider: 'anthropic', messages: MESSAGES, stream: true }),
+    { name: 'LLMError', code: 'server_error', message: 'Anthropic: Overloaded' }
+  );
+});
+
+// --- Gemini ---
+
+test('Gemini: roles are mapped and the key goes in the query string', async () => {
+  reply = () => ({ json: { candidates: [{ content: { parts: [{ text: 'G' }, { text: 'o' }] } }] } });
+  const result = await gateway().chat({ provider: 'google', messages: MESSAGES, maxTokens: 10 });
+
+  assert.equal(result.text, 'Go');
+  const [request] = requests;
+  assert.equal(request.url, '/google/v1beta/models/gemini-1.5-flash:generateContent?key=g-key');
+  assert.deepEqual(request.body, {
+    contents: [
+      { role: 'user', parts: [{ text: 'Hi' }] },
+      { role: 'model', parts: [{ text: 'Hello' }] },
+      { role: 'user', parts: [{ text: 'Plan my day' }] }
+    ],
+    systemInstruction: { parts: [{ text: 'Be brief.' }] },
+    generationConfig: { maxOutputTokens: 10 }
+  });
+});
+
+test('Gemini: streams from streamGenerateContent with alt=sse', async () => {
+  reply = () => ({
+    events: [
+      { candidates: [{ content: { parts: [{ text: 'Par' }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'tial' }] } }] }
+    ]
+  });
+  const result = await gateway().chat({ provider: 'google', model: 'gemini-1.5-pro', messages: MESSAGES, stream: true });
+
+  assert.equal(result.text, 'Partial');
+  assert.equal(requests[0].url, '/google/v1beta/models/gemini-1.5-pro:streamGenerateContent?alt=sse&key=g-key');
+});
+
+test('Gemini: a 400 on a streamed call maps to bad_request', async () => {
+  reply = () => ({ status: 400, json: { error: { message: 'API key not valid' } } });
+  await assert.rejects(
+    gateway().chat({ provider: 'google', messages: MESSAGES, stream: true }),
+    { code: 'bad_request', message: 'Google Gemini: API key not valid' }
+  );
+});
+
+// --- Gateway ---
+
+test('a missing key fails before any request', async () => {
+  await assert.rejects(
+    gateway({}).chat({ provider: 'openai', messages: MESSAGES }),
+    { code: 'missing_key' }
+  );
+  assert.equal(requests.length, 0);
+});
+
+test('an unreachable provider maps to network', async () => {
+  const unreachable = new LLMGateway({ getApiKey: () => 'key', baseUrls: { openai: 'http://127.0.0.1:1' } });
+  await assert.rejects(unreachable.chat({ provider: 'openai', messages: MESSAGES }), { code: 'network', retryable: true });
+});
+
+test('testKey sends a typed key to the configured URL', async () => {
+  reply = () => ({ status: 401, json: { error: { message: 'Incorrect API key' } } });
+  const result = await gateway().testKey('openai', 'sk-typed');
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error.code, 'auth');
+  assert.equal(requests[0].method, 'GET');
+  assert.equal(requests[0].url, '/openai/v1/models');
+  assert.equal(requests[0].headers.authorization, 'Bearer sk-typed');
+});
+
+test('testKey sends the saved key to the same URL chat uses', async () => {
+  reply = () => ({ json: { data: [] } });
+  const result = await gateway().testKey('anthropic');
+
+  assert.deepEqual(result, { valid: true });
+  assert.equal(requests[0].url, '/anthropic/v1/models');
+  assert.equal(requests[0].headers['x-api-key'], 'sk-ant');
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('./helpers/memory-store');
+const TaskStore = require('../src/main/task-store');
+const ProjectStore = require('../src/main/project-store');
+const McpServer = require('../src/main/mcp-server');
+const { createFlowSaverTools } = require('../src/main/mcp-tools');
+
+let server;
+let taskStore;
+let projectStore;
+let project;
+
+before(async () => {
+  taskStore = new TaskStore({ store: new MemoryStore({ defaults: { tasks: [], deletedRemoteIds: [] } }) });
+  projectStore = new ProjectStore({ store: new MemoryStore({ defaults: { projects: [] } }) });
+  project = projectStore.create({ name: 'Website' });
+  server = new McpServer({
+    tools: createFlowSaverTools({
+      taskStore,
+      projectStore,
+      getUIContext: async () => ({ source: 'snapshot', context: 'Tasks view', snapshot: { view: 'tasks' } })
+    })
+  });
+  await server.start();
+});
+
+after(() => server.stop());
+
+function post(body, headers = {}) {
+  return fetch(server.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${server.token}`, ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+let nextId = 1;
+async function call(name, args) {
+  const response = await post({ jsonrpc: '2.0', id: nextId++, method: 'tools/call', params: { name, arguments: args } });
+  const { result, error } = await response.json();
+  if (error) return { error };
+  return { isError: result.isError, text: result.content[0].text, data: result.isError ? null : JSON.parse(result.content[0].text) };
+}
+
+test('requests need the bearer token', async () => {
+  const ping = { jsonrpc: '2.0', id: 1, method: 'ping' };
+  assert.equal((await post(ping, { Authorization: '' })).status, 401);
+  assert.equal((await post(ping, { Authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await post(ping, { Authorization: `Bearer ${server.token}x` })).status, 401);
+
+  const response = await post(ping);
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { jsonrpc: '2.0', id: 1, result: {} });
+});
+
+test('browser requests are refused even with the token', async () => {
+  const response = await post({ jsonrpc: '2.0', id: 1, method: 'ping' }, { Origin: 'http://evil.example' });
+  assert.equal(response.status, 403);
+});
+
+test('only POST on /mcp is served', async () => {
+  const auth = { Authorization: `Bearer ${server.token}` };
+  assert.equal((await fetch(server.url, { headers: auth })).status, 405);
+  assert.equal((await fetch(server.url.replace('/mcp', '/other'), { method: 'POST', headers: auth })).status, 404);
+});
+
+test('initialize, notifications, batches and bad JSON', async () => {
+  const init = await (await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' } })).json();
+  assert.equal(init.result.protocolVersion, '2024-11-05');
+  assert.equal(init.result.serverInfo.name, 'flowsaver');
+
+  assert.equal((await post({ jsonrpc: '2.0', method: 'notifications/initialized' })).status, 202);
+
+  const batch = await (await post([
+    { jsonrpc: '2.0', id: 'a', method: 'ping' },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 'b', method: 'nope' }
+  ])).json();
+  assert.deepEqual(batch.map(response => response.id), ['a', 'b']);
+  assert.equal(batch[1].error.code, -32601);
+
+  const parseError = await post('{not json');
+  assert.equal(parseError.status, 400);
+  assert.equal((await parseError.json()).error.code, -32700);
+});
+
+test('tools/list has the FlowSaver tools', async () => {
+  const { result } = await (await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' })).json();
+  assert.deepEqual(result.tools.map(tool => tool.name), ['list_tasks', 'create_task', 'update_task_status', 'get_project', 'get_ui_context']);
+});
+
+test('tasks can be created, listed and completed', async () => {
+  const created = await call('create_task', { title: 'Fix the footer', priority: 'high', project_id: project.id });
+  assert.equal(created.isError, false);
+  const { id } = created.data.task;
+  assert.equal(taskStore.get(id).title, 'Fix the footer');
+  // Sync bookkeeping stays out of what the model sees
+  assert.equal(created.data.task.sync_status, undefined);
+
+  const listed = await call('list_tasks', { search: 'footer' });
+  assert.deepEqual(listed.data.tasks.map(task => task.id), [id]);
+
+  const completed = await call('update_task_status', { id, status: 'completed' });
+  assert.equal(completed.data.task.status, 'completed');
+
+  const withProject = await call('get_project', { id: project.id });
+  assert.equal(withProject.data.project.progress, 100);
+  assert.deepEqual(withProject.data.tasks.map(task => task.id), [id]);
+  assert.deepEqual((await call('get_project', {})).data.projects.map(entry => entry.name), ['Website']);
+});
+
+test('bad arguments and failing handlers come back as tool errors', async () => {
+  const missingTitle = await call('create_task', { priority: 'high' });
+  assert.equal(missingTitle.isError, true);
+  assert.match(missingTitle.text, /title is required/);
+
+  assert.equal((await call('update_task_status', { id: 'x', status: 'someday' })).isError, true);
+  assert.match((await call('update_task_status', { id: 'missing', status: 'completed' })).text, /Task not found/);
+  assert.match((await call('create_task', { title: 'Orphan', project_id: 'missing' })).text, /Project not found/);
+  assert.equal(taskStore.list({ search: 'Orphan' }).length, 0);
+
+  const unknown = await call('delete_everything', {});
+  assert.equal(unknown.error.code, -32602);
+});
+
+test('get_ui_context passes the snapshot through', async () => {
+  const { data } = await call('get_ui_context', {});
+  assert.deepEqual(data, { source: 'snapshot', context: 'Tasks view', snapshot: { view: 'tasks' } });
+});
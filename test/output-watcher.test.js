@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/memory-store');
+const OutputWatcher = require('../src/main/output-watcher');
+const { CLAUDE_EXIT_MARKER } = require('../src/main/claude-launcher');
+
+const { compileRules, DEFAULT_WATCH_RULES } = OutputWatcher;
+
+function watcher() {
+  const instance = new OutputWatcher();
+  const matches = [];
+  instance.on('match', match => matches.push(match));
+  return { instance, matches };
+}
+
+test('the default rules compile', () => {
+  assert.equal(compileRules(DEFAULT_WATCH_RULES).length, DEFAULT_WATCH_RULES.length);
+});
+
+test('output rules without a pattern are refused', () => {
+  assert.throws(() => compileRules([{ name: 'Anything', on: 'output', pattern: '' }]), /"Anything" needs a pattern/);
+  assert.throws(() => compileRules([{ name: 'Anything', on: 'output' }]), /needs a pattern/);
+});
+
+test('patterns with nested repeats are refused', () => {
+  ['(a+)+$', '(?:\\w+\\s?)*:', '((ab)*c)+', '(x+){2,}'].forEach(pattern => {
+    assert.throws(() => compileRules([{ name: 'Slow', on: 'output', pattern }]), /\(a\+\)\+/, pattern);
+  });
+  ['\\(a+\\)+', '[(]a+[)]+', '(?::\\d+)?$', '[ab]+'].forEach(pattern => {
+    assert.doesNotThrow(() => compileRules([{ name: 'Fine', on: 'output', pattern }]), pattern);
+  });
+});
+
+test('repeated groups with alternatives are refused', () => {
+  ['(a|aa)+$', '(\\w|\\d)+x', '(?:x(a|b))*', '(a|b){3,}'].forEach(pattern => {
+    assert.throws(() => compileRules([{ name: 'Slow', on: 'output', pattern }]), /\(a\|aa\)\+/, pattern);
+  });
+  ['^(?:error|fatal): ', '(a|b)?c', '[|]+', 'a\\|b+', '(?:x|y)z+'].forEach(pattern => {
+    assert.doesNotThrow(() => compileRules([{ name: 'Fine', on: 'output', pattern }]), pattern);
+  });
+});
+
+test('an interactive session reports a failed Claude run from the exit line', () => {
+  const { instance, matches } = watcher();
+  instance.claudeStarted('builder');
+  // The shell echoes the typed command first; its `$?` must not count
+  instance.feed('builder', `$ claude; echo "${CLAUDE_EXIT_MARKER} $?"\r\n`);
+  instance.feed('builder', 'Thinking...\r\n');
+  instance.feed('builder', `\u001b[0m${CLAUDE_EXIT_MARKER} 2\r\n$ `);
+
+  assert.equal(matches.length, 1);
+  assert.equal(matches[0].rule.id, 'claude-exit');
+  assert.equal(matches[0].line, 'Claude exited with code 2');
+  assert.match(matches[0].output, /Thinking\.\.\./);
+
+  // The session ending later does not report the same run again
+  instance.exit('builder', 0);
+  assert.equal(matches.length, 1);
+});
+
+test('a clean Claude exit in an interactive session reports nothing', () => {
+  const { instance, matches } = watcher();
+  instance.claudeStarted('builder');
+  instance.feed('builder', `${CLAUDE_EXIT_MARKER} 0\n`);
+  instance.exit('builder', 1);
+  assert.equal(matches.length, 0);
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('./helpers/memory-store');
+const TaskStore = require('../src/main/task-store');
+const ReminderScheduler = require('../src/main/reminders');
+
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+// Monday 19 October 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+function setup(config = {}) {
+  const taskStore = new TaskStore({ store: new MemoryStore({ defaults: { tasks: [], deletedRemoteIds: [] } }) });
+  const reminders = new ReminderScheduler({
+    taskStore,
+    getConfig: () => ({ digest: { enabled: false }, ...config }),
+    store: new MemoryStore({ defaults: { entries: {}, lastDigestDay: null } })
+  });
+  const notifications = [];
+  reminders.on('notification', notification => notifications.push(notification));
+  return { taskStore, reminders, notifications };
+}
+
+function at(hours, minutes = 0, day = NOW) {
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+}
+
+test('a long-overdue open task reminds once, not every check', () => {
+  const { taskStore, reminders, notifications } = setup();
+  taskStore.create({ title: 'Renew passport', deadline: new Date(NOW - 31 * DAY).toISOString() });
+
+  reminders.check(NOW);
+  reminders.check(new Date(NOW.getTime() + MINUTE));
+  reminders.check(new Date(NOW.getTime() + 2 * MINUTE));
+
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].title, '⏰ Renew passport');
+});
+
+test('a dismissed long-overdue task stays quiet', () => {
+  const { taskStore, reminders, notifications } = setup();
+  const task = taskStore.create({ title: 'Renew passport', deadline: new Date(NOW - 31 * DAY).toISOString() });
+
+  reminders.dismiss(task.id);
+  reminders.check(NOW);
+  reminders.check(new Date(NOW.getTime() + MINUTE));
+
+  assert.equal(notifications.length, 0);
+  assert.equal(reminders.list()[0].status, 'dismissed');
+});
+
+test('entries for long-completed tasks and moved deadlines are pruned', () => {
+  const { taskStore, reminders } = setup();
+  const done = taskStore.create({ title: 'Old', deadline: new Date(NOW - 31 * DAY).toISOString() });
+  const moved = taskStore.create({ title: 'Moved', deadline: new Date(NOW - DAY).toISOString() });
+  reminders.check(NOW);
+  assert.equal(Object.keys(reminders.getEntries()).length, 2);
+
+  taskStore.complete(done.id);
+  taskStore.update(moved.id, { deadline: new Date(NOW.getTime() + DAY).toISOString() });
+  reminders.prune(NOW);
+
+  assert.deepEqual(reminders.getEntries(), {});
+});
+
+test('quiet hours past midnight hold reminders until they end', () => {
+  const { taskStore, reminders, notifications } = setup({ quietHours: { enabled: true, start: '22:00', end: '08:00' } });
+  taskStore.create({ title: 'Submit timesheet', deadline: at(23, 30).toISOString() });
+  const tomorrow = new Date(NOW.getTime() + DAY);
+
+  assert.equal(reminders.isQuietTime(at(21, 59)), false);
+  [at(22, 30), at(23, 59), at(0, 0, tomorrow), at(7, 59, tomorrow)].forEach(now => {
+    assert.equal(reminders.isQuietTime(now), true, now.toString());
+    assert.deepEqual(reminders.check(now), []);
+  });
+  assert.equal(notifications.length, 0);
+
+  reminders.check(at(8, 0, tomorrow));
+  assert.equal(notifications.length, 1);
+  assert.match(notifications[0].body, /^overdue since /);
+});
+
+test('quiet hours within a day do not wrap', () => {
+  const { reminders } = setup({ quietHours: { enabled: true, start: '12:00', end: '13:30' } });
+  assert.equal(reminders.isQuietTime(at(11, 59)), false);
+  assert.equal(reminders.isQuietTime(at(12, 0)), true);
+  assert.equal(reminders.isQuietTime(at(13, 29)), true);
+  assert.equal(reminders.isQuietTime(at(13, 30)), false);
+  assert.equal(reminders.isQuietTime(at(23, 0)), false);
+});
+
+test('the digest is sent once a day at digest time with what is due today and overdue', () => {
+  const { taskStore, reminders, notifications } = setup({ digest: { enabled: true, time: '09:30' } });
+  taskStore.create({ title: 'Due today', deadline: at(17, 0).toISOString() });
+  taskStore.create({ title: 'Overdue', deadline: at(9, 0, new Date(NOW - DAY)).toISOString() });
+  taskStore.create({ title: 'Tomorrow', deadline: at(17, 0, new Date(NOW.getTime() + DAY)).toISOString() });
+  const done = taskStore.create({ title: 'Done', deadline: at(9, 0).toISOString() });
+  taskStore.complete(done.id);
+  const digests = () => notifications.filter(notification => notification.kind === 'digest');
+
+  reminders.check(at(9, 29));
+  assert.equal(digests().length, 0);
+
+  reminders.check(at(9, 30));
+  reminders.check(at(12, 0));
+  assert.equal(digests().length, 1);
+  assert.equal(digests()[0].title, '📅 Today: 1 due today, 1 overdue');
+  assert.equal(digests()[0].body, '• Due today\n• Overdue');
+
+  reminders.check(at(9, 30, new Date(NOW.getTime() + DAY)));
+  assert.equal(digests().length, 2);
+  assert.equal(digests()[1].title, '📅 Today: 1 due today, 2 overdue');
+});
+
+test('the digest waits for quiet hours to end', () => {
+  const { taskStore, reminders, notifications } = setup({
+    digest: { enabled: true, time: '09:00' },
+    quietHours: { enabled: true, start: '22:00', end: '10:00' }
+  });
+  taskStore.create({ title: 'Due today', deadline: at(17, 0).toISOString() });
+
+  reminders.check(at(9, 0));
+  assert.equal(notifications.length, 0);
+  reminders.check(at(10, 0));
+  assert.deepEqual(notifications.map(notification => notification.kind), ['digest']);
+});
+
+test('no digest is sent when nothing is due, and the day still counts as done', () => {
+  const { taskStore, reminders, notifications } = setup({ digest: { enabled: true, time: '09:00' } });
+
+  assert.equal(reminders.checkDigest(at(9, 0)), null);
+  // A task added later waits for tomorrow's digest
+  taskStore.create({ title: 'Due today', deadline: at(17, 0).toISOString() });
+  reminders.check(at(9, 1));
+  assert.equal(notifications.length, 0);
+});
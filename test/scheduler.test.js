@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSchedule } = require('../src/main/scheduler');
+
+// Monday 19 October 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+function at(month, day, hours, minutes = 0) {
+  return new Date(2026, month - 1, day, hours, minutes).toISOString();
+}
+
+let nextId = 1;
+function task(fields = {}) {
+  const id = fields.id || `t${nextId++}`;
+  return {
+    id,
+    title: id,
+    status: 'active',
+    priority: 'medium',
+    duration_minutes: 60,
+    deadline: null,
+    dependencies: [],
+    created_at: '2026-10-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+const spans = schedule => schedule.blocks.map(block => [block.task_id, block.start, block.end]);
+
+test('tasks are laid out from now, earliest deadline first, then priority', () => {
+  const schedule = buildSchedule([
+    task({ id: 'undated-low', priority: 'low' }),
+    task({ id: 'undated-high', priority: 'high' }),
+    task({ id: 'due-friday', deadline: at(10, 23, 17) }),
+    task({ id: 'done', status: 'completed' })
+  ], { now: NOW });
+
+  assert.deepEqual(spans(schedule), [
+    ['due-friday', at(10, 19, 10), at(10, 19, 11)],
+    ['undated-high', at(10, 19, 11), at(10, 19, 12)],
+    ['undated-low', at(10, 19, 12), at(10, 19, 13)]
+  ]);
+  assert.deepEqual(schedule.unscheduled, []);
+  assert.equal(schedule.tasks['due-friday'].at_risk, false);
+});
+
+test('now is rounded up to the next five minutes', () => {
+  const schedule = buildSchedule([task({ id: 'a', duration_minutes: 15 })], { now: new Date(2026, 9, 19, 10, 2) });
+  assert.deepEqual(spans(schedule), [['a', at(10, 19, 10, 5), at(10, 19, 10, 20)]]);
+});
+
+test('a task that does not fit today is split across working days, skipping the weekend', () => {
+  const schedule = buildSchedule([task({ id: 'long', duration_minutes: 180 })], { now: new Date(2026, 9, 23, 15, 0) });
+  assert.deepEqual(spans(schedule), [
+    ['long', at(10, 23, 15), at(10, 23, 17)],
+    ['long', at(10, 26, 9), at(10, 26, 10)]
+  ]);
+  assert.deepEqual(schedule.tasks.long, { start: at(10, 23, 15), end: at(10, 26, 10), at_risk: false });
+});
+
+test('dependencies come first and cycles are left unscheduled', () => {
+  const schedule = buildSchedule([
+    task({ id: 'deploy', priority: 'high', dependencies: ['build'] }),
+    task({ id: 'build', priority: 'low', dependencies: ['gone', 'finished'] }),
+    task({ id: 'finished', status: 'completed' }),
+    task({ id: 'chicken', dependencies: ['egg'] }),
+    task({ id: 'egg', dependencies: ['chicken'] })
+  ], { now: NOW });
+
+  assert.deepEqual(schedule.blocks.map(block => block.task_id), ['build', 'deploy']);
+  assert.deepEqual(schedule.unscheduled, [
+    { task_id: 'chicken', reason: 'blocked_by_dependencies' },
+    { task_id: 'egg', reason: 'blocked_by_dependencies' }
+  ]);
+});
+
+test('a plan that ends after the deadline is at risk', () => {
+  const schedule = buildSchedule([
+    task({ id: 'first', deadline: at(10, 19, 11) }),
+    task({ id: 'second', deadline: at(10, 19, 11, 30) })
+  ], { now: NOW });
+
+  assert.equal(schedule.tasks.first.at_risk, false);
+  assert.equal(schedule.tasks.second.at_risk, true);
+});
+
+test('custom working hours and the planning horizon', () => {
+  const workingHours = { start: '08:30', end: '10:30', days: [1] };
+  const schedule = buildSchedule([
+    task({ id: 'fits', duration_minutes: 30 }),
+    task({ id: 'too-long', duration_minutes: 120 })
+  ], { now: NOW, workingHours, horizonDays: 7 });
+
+  assert.deepEqual(spans(schedule), [['fits', at(10, 19, 10), at(10, 19, 10, 30)]]);
+  assert.deepEqual(schedule.unscheduled, [{ task_id: 'too-long', reason: 'beyond_planning_horizon' }]);
+  assert.deepEqual(schedule.working_hours, workingHours);
+  assert.equal(schedule.generated_at, NOW.toISOString());
+});
+
+test('the same input always gives the same plan', () => {
+  const tasks = [task({ id: 'a' }), task({ id: 'b', priority: 'high' })];
+  assert.deepEqual(buildSchedule(tasks, { now: NOW }), buildSchedule(tasks, { now: NOW }));
+});
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/memory-store');
+const { parseTaskText, mergeRefinement } = require('../src/main/task-parser');
+
+// Monday 19 October 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+const PROJECTS = [
+  { id: 'p-pizza', name: 'pizza-directory' },
+  { id: 'p-site', name: 'Marketing Site' }
+];
+
+function parse(input, options = {}) {
+  return parseTaskText(input, { projects: PROJECTS, now: NOW, ...options });
+}
+
+function at(month, day, hours, minutes = 0) {
+  return new Date(2026, month - 1, day, hours, minutes).toISOString();
+}
+
+test('the example from the request', () => {
+  const task = parse('review PR for pizza-directory tomorrow 3pm 45m high');
+  assert.equal(task.title, 'review PR');
+  assert.equal(task.project_id, 'p-pizza');
+  assert.equal(task.project_name, 'pizza-directory');
+  assert.equal(task.deadline, at(10, 20, 15));
+  assert.equal(task.duration_minutes, 45);
+  assert.equal(task.priority, 'high');
+  assert.deepEqual(task.recognized.map(entry => entry.field), ['project', 'duration', 'time', 'date', 'priority']);
+});
+
+test('a plain entry keeps its text and gets the defaults', () => {
+  const task = parse('water the plants');
+  assert.equal(task.title, 'water the plants');
+  assert.equal(task.priority, 'medium');
+  assert.equal(task.duration_minutes, 30);
+  assert.equal(task.deadline, null);
+  assert.equal(task.project_id, null);
+  assert.deepEqual(task.tags, []);
+});
+
+test('priority words inside the title stay in the title', () => {
+  ['fix high memory usage in parser', 'pick the low-hanging fruit', 'write up medium article ideas'].forEach(input => {
+    const task = parse(input);
+    assert.equal(task.title, input);
+    assert.equal(task.priority, 'medium');
+    assert.deepEqual(task.recognized, []);
+  });
+});
+
+test('a bare priority counts as the last word', () => {
+  assert.equal(parse('fix high memory usage in parser low').priority, 'low');
+  assert.equal(parse('fix high memory usage in parser low').title, 'fix high memory usage in parser');
+  assert.equal(parse('call the bank asap').priority, 'high');
+  assert.equal(parse('renew passport urgent').title, 'renew passport');
+});
+
+test('marked priorities count anywhere', () => {
+  assert.deepEqual([
+    parse('!low tidy the desk'),
+    parse('p1 fix login'),
+    parse('high priority fix login'),
+    parse('fix login priority: high today'),
+    parse('fix login !high priority')
+  ].map(task => [task.priority, task.title]), [
+    ['low', 'tidy the desk'],
+    ['high', 'fix login'],
+    ['high', 'fix login'],
+    ['high', 'fix login'],
+    ['high', 'fix login']
+  ]);
+});
+
+test('"in N hours/minutes" is a due time from now, not a duration', () => {
+  const call = parse('call mom in 2 hours');
+  assert.equal(call.title, 'call mom');
+  assert.equal(call.deadline, at(10, 19, 12));
+  assert.equal(call.duration_minutes, 30);
+
+  assert.equal(parse('stretch in 45 minutes').deadline, at(10, 19, 10, 45));
+  assert.equal(parse('check the oven in 1.5h').deadline, at(10, 19, 11, 30));
+  assert.equal(parse('standup notes in 1h30m').deadline, at(10, 19, 11, 30));
+});
+
+test('durations', () => {
+  assert.equal(parse('deep work for 2 hours').duration_minutes, 120);
+  assert.equal(parse('deep work for 2 hours').title, 'deep work');
+  assert.equal(parse('review 1h30m').duration_minutes, 90);
+  assert.equal(parse('review 1.5h').duration_minutes, 90);
+  assert.equal(parse('inbox 15 min').duration_minutes, 15);
+  // A duration and a relative due time side by side
+  const task = parse('call mom in 2 hours for 20m');
+  assert.equal(task.duration_minutes, 20);
+  assert.equal(task.deadline, at(10, 19, 12));
+});
+
+test('due dates', () => {
+  assert.equal(parse('pay rent today').deadline, at(10, 19, 17));
+  assert.equal(parse('pay rent tonight').deadline, at(10, 19, 20));
+  assert.equal(parse('ship it by friday').deadline, at(10, 23, 17));
+  assert.equal(parse('ship it next friday').deadline, at(10, 30, 17));
+  assert.equal(parse('plan sprint next week').deadline, at(10, 26, 17));
+  assert.equal(parse('renew domain in 3 days').deadline, at(10, 22, 17));
+  assert.equal(parse('file taxes 2026-11-02 9am').deadline, at(11, 2, 9));
+  assert.equal(parse('book flights oct 25').deadline, at(10, 25, 17));
+  // Already past this year, so next year
+  assert.equal(parse('send cards jan 5').deadline, new Date(2027, 0, 5, 17).toISOString());
+  assert.equal(parse('pay rent tomorrow', { dueTime: '09:30' }).deadline, at(10, 20, 9, 30));
+});
+
+test('a time alone is today, or tomorrow once it has passed', () => {
+  assert.equal(parse('lunch with Sam at noon').deadline, at(10, 19, 12));
+  assert.equal(parse('lunch with Sam at noon').title, 'lunch with Sam');
+  assert.equal(parse('gym 7:30').deadline, at(10, 20, 7, 30));
+});
+
+test('projects and tags', () => {
+  const task = parse('update copy in the marketing site project #web #Copy #web');
+  assert.equal(task.project_id, 'p-site');
+  assert.equal(task.title, 'update copy');
+  assert.deepEqual(task.tags, ['web', 'copy']);
+  assert.equal(parse('deploy +pizza-directory').project_id, 'p-pizza');
+});
+
+test('mergeRefinement only fills in what the parser did not find', () => {
+  const draft = parse('review PR tomorrow');
+  const merged = mergeRefinement(draft, {
+    title: 'Review pull request',
+    priority: 'high',
+    deadline: '2030-01-01T00:00:00Z',
+    duration_minutes: 60,
+    project: 'Marketing Site'
+  }, { projects: PROJECTS });
+
+  assert.equal(merged.title, 'Review pull request');
+  assert.equal(merged.priority, 'high');
+  assert.equal(merged.deadline, draft.deadline);
+  assert.equal(merged.duration_minutes, 60);
+  assert.equal(merged.project_id, 'p-site');
+  assert.equal(merged.refined, true);
+});
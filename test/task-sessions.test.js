@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('./helpers/memory-store');
+const TaskStore = require('../src/main/task-store');
+const TaskSessions = require('../src/main/task-sessions');
+
+function setup(startClaude) {
+  const taskStore = new TaskStore({ store: new MemoryStore({ defaults: { tasks: [], deletedRemoteIds: [] } }) });
+  const launches = [];
+  const terminals = {
+    getOrCreate: (sessionId) => ({
+      startClaude: (...args) => {
+        launches.push(sessionId);
+        startClaude(...args);
+      }
+    })
+  };
+  return { taskStore, launches, sessions: new TaskSessions({ taskStore, terminals }) };
+}
+
+test('a session is tracked once Claude has started', () => {
+  const { taskStore, launches, sessions } = setup(() => {});
+  const task = taskStore.create({ title: 'Write report' });
+
+  const started = sessions.start(task.id);
+  assert.equal(started.alreadyRunning, false);
+  assert.deepEqual(sessions.list().map(entry => entry.taskId), [task.id]);
+  assert.equal(sessions.start(task.id).alreadyRunning, true);
+  assert.equal(launches.length, 1);
+});
+
+test('a launch that throws leaves nothing behind and can be retried', () => {
+  let fail = true;
+  const { taskStore, launches, sessions } = setup(() => {
+    if (fail) throw new Error('claude not found');
+  });
+  const task = taskStore.create({ title: 'Write report' });
+
+  assert.throws(() => sessions.start(task.id), /claude not found/);
+  assert.deepEqual(sessions.list(), []);
+  assert.equal(sessions.end(TaskSessions.sessionIdFor(task.id)), null);
+
+  fail = false;
+  assert.equal(sessions.start(task.id).alreadyRunning, false);
+  assert.equal(launches.length, 2);
+  assert.equal(sessions.list().length, 1);
+});
@@ -0,0 +1,185 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/memory-store');
+const {
+  toCSV,
+  parseCSV,
+  parseMarkdown,
+  markDuplicates,
+  toICS,
+  restorableSettings
+} = require('../src/main/task-transfer');
+
+// Monday 19 October 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+const PROJECTS = [{ id: 'p-site', name: 'Website' }];
+
+function at(month, day, hours, minutes = 0) {
+  return new Date(2026, month - 1, day, hours, minutes).toISOString();
+}
+
+test('CSV fields keep quoted commas, quotes and line breaks, with CRLF rows', () => {
+  const csv = [
+    '\uFEFFName,Notes,Due Date,Labels,Estimate',
+    '"Fix ""login"", again","line one\r\nline two",2026-10-20T15:00:00.000Z,web;#urgent,45',
+    '',
+    'Plain,,,,',
+    ''
+  ].join('\r\n');
+
+  const { drafts, errors } = parseCSV(csv);
+  assert.deepEqual(errors, []);
+  assert.equal(drafts.length, 2);
+  assert.equal(drafts[0].title, 'Fix "login", again');
+  assert.equal(drafts[0].description, 'line one\r\nline two');
+  assert.equal(drafts[0].deadline, '2026-10-20T15:00:00.000Z');
+  assert.deepEqual(drafts[0].tags, ['web', 'urgent']);
+  assert.equal(drafts[0].duration_minutes, 45);
+  assert.equal(drafts[1].title, 'Plain');
+  assert.equal(drafts[1].duration_minutes, 30);
+});
+
+test('CSV rows that are not tasks are reported by line', () => {
+  const { drafts, errors } = parseCSV('title,deadline\nGood,\n,2026-10-20\nBad date,someday\n');
+  assert.deepEqual(drafts.map(draft => draft.title), ['Good']);
+  assert.deepEqual(errors, ['Line 3: missing title', 'Line 4: invalid deadline "someday"']);
+  assert.throws(() => parseCSV('name only\nx\n'), /needs a "title" column/);
+});
+
+test('a CSV export reads back the same', () => {
+  const task = {
+    id: 't1',
+    title: 'Quote "this", please',
+    description: 'two\nlines',
+    status: 'completed',
+    priority: 'high',
+    project_id: 'p-site',
+    tags: ['a', 'b'],
+    duration_minutes: 90,
+    deadline: '2026-10-20T15:00:00.000Z',
+    completed_at: '2026-10-19T09:00:00.000Z'
+  };
+  const [draft] = parseCSV(toCSV([task], PROJECTS)).drafts;
+  assert.deepEqual(draft, {
+    title: task.title,
+    description: task.description,
+    status: 'completed',
+    priority: 'high',
+    tags: ['a', 'b'],
+    duration_minutes: 90,
+    deadline: task.deadline,
+    completed_at: task.completed_at,
+    project_name: 'Website'
+  });
+});
+
+test('Markdown checklists: headings name projects, indented lines are descriptions', () => {
+  const { drafts, errors } = parseMarkdown([
+    '# Tasks',
+    '',
+    '## Website',
+    '',
+    '- [ ] Fix footer !high 45m due 2026-10-20 15:00 #web',
+    '  Links are broken',
+    '  on mobile',
+    '- [x] Ship it',
+    '',
+    '  Not a description after a blank line',
+    '## No project',
+    '* [X] Water plants',
+    '- not a checklist item',
+    '- [ ] '
+  ].join('\r\n'), { projects: PROJECTS, now: NOW });
+
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Line 14: /);
+  assert.deepEqual(drafts.map(draft => [draft.title, draft.status, draft.project_name]), [
+    ['Fix footer', 'active', 'Website'],
+    ['Ship it', 'completed', 'Website'],
+    ['Water plants', 'completed', null]
+  ]);
+  assert.equal(drafts[0].priority, 'high');
+  assert.equal(drafts[0].duration_minutes, 45);
+  assert.equal(drafts[0].deadline, at(10, 20, 15));
+  assert.deepEqual(drafts[0].tags, ['web']);
+  assert.equal(drafts[0].description, 'Links are broken\non mobile');
+  assert.equal(drafts[1].description, '');
+});
+
+test('duplicates by source ID, by title within a project, and within the file', () => {
+  const existing = [
+    { id: 'e1', title: 'Fix   Footer', project_id: 'p-site' },
+    { id: 'e2', title: 'Call bank', project_id: null }
+  ];
+  const marked = markDuplicates([
+    { title: 'Renamed since export', project_name: null, source_id: 'e2' },
+    { title: 'fix footer', project_name: 'website' },
+    { title: 'Fix footer', project_name: null },
+    { title: 'Fix footer', project_name: '' },
+    { title: 'New task', project_name: null, source_id: 'gone' }
+  ], existing, PROJECTS);
+
+  assert.deepEqual(marked.map(draft => draft.duplicate), [
+    { reason: 'existing', task_id: 'e2' },
+    { reason: 'existing', task_id: 'e1' },
+    null,
+    { reason: 'in_file', task_id: null },
+    null
+  ]);
+});
+
+test('iCalendar lines are escaped and folded at 75 octets', () => {
+  const title = `Prépare le café, puis; ${'é'.repeat(60)}`;
+  const ics = toICS([
+    { id: 't1', title, description: 'a\nb', status: 'active', priority: 'high', deadline: '2026-10-20T15:00:00.000Z' },
+    { id: 't2', title: 'Done', status: 'completed', priority: 'low', deadline: '2026-10-20T15:00:00.000Z' }
+  ], null, { now: NOW });
+
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  const lines = ics.split('\r\n');
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(lines.includes('UID:t1-due@flowsaver'));
+  assert.ok(!ics.includes('t2-due'));
+  assert.ok(lines.includes('DTSTART:20261020T150000Z'));
+  assert.ok(lines.includes('DTEND:20261020T151500Z'));
+  assert.ok(lines.includes('DESCRIPTION:a\\nb'));
+
+  // Unfolding gives back the escaped summary, without splitting a character
+  const unfolded = ics.replace(/\r\n /g, '');
+  assert.ok(unfolded.includes(`SUMMARY:Due: Prépare le café\\, puis\\; ${'é'.repeat(60)}\r\n`));
+});
+
+test('planned blocks become events with stable UIDs', () => {
+  const schedule = {
+    blocks: [{ task_id: 't1', title: 'Write, edit', priority: 'medium', start: '2026-10-19T08:00:00.000Z', end: '2026-10-19T09:00:00.000Z' }]
+  };
+  const ics = toICS([{ id: 't1', title: 'Write, edit', status: 'active', priority: 'medium', deadline: null }], schedule, { now: NOW });
+  const lines = ics.split('\r\n');
+  assert.ok(lines.includes('UID:t1-20261019T080000Z@flowsaver'));
+  assert.ok(lines.includes('SUMMARY:Write\\, edit'));
+  assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+});
+
+test('a restore only takes allow-listed settings and fields', () => {
+  const restored = restorableSettings({
+    workingHours: { start: '08:00', end: '16:00', days: [1, 2], extra: true },
+    claudeCli: { binary: '/tmp/evil', args: ['--dangerous'], mcp: { enabled: true } },
+    backend: { command: 'rm', args: ['-rf', '/'], cwd: '/', autoStart: true },
+    llm: { providers: { openai: { baseUrl: 'http://evil.example' } }, chatModel: 'gpt-4o' },
+    quickCapture: { accelerator: 'Alt+Space' },
+    outputWatchers: { shell: 'sh' },
+    reminders: 'not an object',
+    license: 'LICENSE-TEXT',
+    unknownSection: { anything: 1 }
+  });
+
+  assert.deepEqual(restored, {
+    workingHours: { start: '08:00', end: '16:00', days: [1, 2] },
+    quickCapture: { accelerator: 'Alt+Space' },
+    llm: { chatModel: 'gpt-4o' },
+    claudeCli: { mcp: { enabled: true } },
+    backend: { autoStart: true },
+    license: 'LICENSE-TEXT'
+  });
+  assert.deepEqual(restorableSettings({ license: { forged: true } }), {});
+});